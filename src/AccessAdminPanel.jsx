@@ -0,0 +1,221 @@
+import React, { useMemo, useState } from 'react';
+import { UserCog, ScrollText, UserPlus, Trash2, ChevronRight, ChevronDown, CheckCircle, XCircle, Loader, ListRestart } from 'lucide-react';
+import { ROLES } from './accessControl.js';
+import { PMT_ROLES_COLLECTION } from './dataSources/index.js';
+import { rebuildPmtIndex } from './dataSources/indexingDataSource.js';
+import { sameDraft, useSyncedDrafts } from './formDrafts.js';
+
+const inputClass = 'border rounded px-2 py-1 text-xs font-mono';
+const selectClass = 'border rounded px-2 py-1 text-xs bg-white';
+
+const formatValue = (value) => (value === null ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+/**
+ * Field-level changes of one audit entry.
+ */
+const AuditChanges = ({ entry }) => (
+  <div className="mt-1 ml-5 space-y-1">
+    {entry.changes.map(change => (
+      <div key={`${change.collection || ''}/${change.id}`} className="text-xs">
+        <span className="font-mono text-gray-800">{change.collection && `${change.collection}/`}{change.id}</span>
+        <span className="ml-2 text-gray-500">{change.type}</span>
+        <ul className="ml-4 text-gray-600">
+          {Object.entries(change.fields).map(([field, { before, after }]) => (
+            <li key={field} className="font-mono break-all">
+              {field}: <span className="text-red-600">{formatValue(before)}</span> → <span className="text-green-700">{formatValue(after)}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    ))}
+    {entry.count > entry.changes.length && (
+      <p className="text-xs text-gray-500">
+        …and {entry.count - entry.changes.length} more document(s): {entry.doc_ids.slice(entry.changes.length, entry.changes.length + 10).join(', ')}
+        {entry.doc_ids.length > entry.changes.length + 10 && ', …'}
+      </p>
+    )}
+  </div>
+);
+
+/**
+ * Admin-only panel: assigns roles to user IDs, rebuilds the PMT index and
+ * lists the loaded audit entries (newest first), with the changed fields of
+ * each entry. `onLoadMoreAudit` loads older entries while `hasMoreAudit`.
+ */
+const AccessAdminPanel = ({ dataSource, roleDocs, auditEntries, hasMoreAudit = false, onLoadMoreAudit, currentUid }) => {
+  const saved = useMemo(
+    () => Object.fromEntries(Object.entries(roleDocs).map(([uid, doc]) => [uid, { name: doc.name || '', role: doc.role }])),
+    [roleDocs]
+  );
+  const [drafts, setDrafts] = useSyncedDrafts(saved);
+  const [newUser, setNewUser] = useState({ uid: '', name: '', role: 'uploader' });
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [collectionFilter, setCollectionFilter] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+
+  const changedUids = Object.keys(drafts).filter(uid => saved[uid] && !sameDraft(drafts[uid], saved[uid]));
+
+  const run = async (action, successMessage) => {
+    setIsSaving(true);
+    setStatus(null);
+    try {
+      await action();
+      if (successMessage) setStatus({ type: 'success', message: successMessage });
+    } catch (e) {
+      console.error("Access Admin Error:", e);
+      setStatus({ type: 'error', message: `Save failed: ${e.message}` });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = () => run(
+    () => dataSource.setDocs(PMT_ROLES_COLLECTION, changedUids.map(uid => ({ id: uid, ...drafts[uid] }))),
+    `Updated ${changedUids.length} user(s).`
+  );
+
+  const handleAdd = () => run(async () => {
+    await dataSource.setDocs(PMT_ROLES_COLLECTION, [{ id: newUser.uid.trim(), name: newUser.name.trim(), role: newUser.role }]);
+    setNewUser({ uid: '', name: '', role: 'uploader' });
+  }, `Added ${newUser.uid.trim()}.`);
+
+  // Reads all of pmt_data once; only needed when the index is missing or stale
+  const handleRebuildIndex = () => run(async () => {
+    const count = await rebuildPmtIndex(dataSource);
+    setStatus({ type: 'success', message: `Indexed ${count} PMT(s).` });
+  }, null);
+
+  const handleRemove = (uid) => {
+    if (!window.confirm(`Remove the role of ${roleDocs[uid].name || uid}? They fall back to the default role.`)) return;
+    run(() => dataSource.deleteDocs(PMT_ROLES_COLLECTION, [uid]), `Removed ${uid}.`);
+  };
+
+  const collections = useMemo(() => [...new Set(auditEntries.map(entry => entry.collection))].sort(), [auditEntries]);
+  const visibleEntries = auditEntries.filter(entry => !collectionFilter || entry.collection === collectionFilter);
+
+  return (
+    <div className="p-4 border rounded-xl bg-gray-50">
+      <label className="block text-lg font-medium text-gray-700 mb-3 flex items-center">
+        <UserCog className="w-5 h-5 mr-2 text-indigo-500" />
+        Access &amp; Audit
+      </label>
+
+      {/* Roles */}
+      <table className="min-w-full text-xs">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th className="p-1 font-medium">User ID</th>
+            <th className="p-1 font-medium">Name</th>
+            <th className="p-1 font-medium">Role</th>
+            <th className="p-1"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.keys(drafts).sort().map(uid => (
+            <tr key={uid} className="border-t">
+              <td className="p-1 font-mono text-gray-800">{uid}{uid === currentUid && <span className="ml-1 text-gray-400">(you)</span>}</td>
+              <td className="p-1">
+                <input className={inputClass} value={drafts[uid].name} onChange={(e) => setDrafts({ ...drafts, [uid]: { ...drafts[uid], name: e.target.value } })} />
+              </td>
+              <td className="p-1">
+                <select className={selectClass} value={drafts[uid].role} onChange={(e) => setDrafts({ ...drafts, [uid]: { ...drafts[uid], role: e.target.value } })}>
+                  {ROLES.map(role => <option key={role.key} value={role.key}>{role.label}</option>)}
+                </select>
+              </td>
+              <td className="p-1 text-right">
+                <button onClick={() => handleRemove(uid)} disabled={isSaving || uid === currentUid} className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-40" title="Remove role">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </td>
+            </tr>
+          ))}
+          <tr className="border-t">
+            <td className="p-1"><input className={inputClass} placeholder="user ID" value={newUser.uid} onChange={(e) => setNewUser({ ...newUser, uid: e.target.value })} /></td>
+            <td className="p-1"><input className={inputClass} placeholder="name" value={newUser.name} onChange={(e) => setNewUser({ ...newUser, name: e.target.value })} /></td>
+            <td className="p-1">
+              <select className={selectClass} value={newUser.role} onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}>
+                {ROLES.map(role => <option key={role.key} value={role.key}>{role.label}</option>)}
+              </select>
+            </td>
+            <td className="p-1 text-right">
+              <button onClick={handleAdd} disabled={isSaving || !newUser.uid.trim()} className="p-1 text-gray-500 hover:text-indigo-600 disabled:opacity-40" title="Add user">
+                <UserPlus className="w-4 h-4" />
+              </button>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+      <ul className="mt-2 text-xs text-gray-500">
+        {ROLES.map(role => <li key={role.key}><span className="font-medium">{role.label}:</span> {role.description}</li>)}
+      </ul>
+
+      <div className="flex items-center mt-3">
+        <button
+          onClick={handleSave}
+          disabled={isSaving || changedUids.length === 0}
+          className="px-3 py-1 text-sm font-medium rounded-full text-white bg-indigo-600 hover:bg-indigo-700 transition shadow-md disabled:opacity-50 flex items-center"
+        >
+          {isSaving && <Loader className="w-4 h-4 mr-1 animate-spin" />}
+          Save Roles
+        </button>
+        <button
+          onClick={handleRebuildIndex}
+          disabled={isSaving}
+          className="ml-3 flex items-center text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+          title="Recount every PMT from the stored data points, e.g. after data was written by other tools"
+        >
+          <ListRestart className="w-4 h-4 mr-1" />
+          Rebuild PMT Index
+        </button>
+        {status && (
+          <span className={`ml-3 text-sm flex items-center ${status.type === 'success' ? 'text-green-700' : 'text-red-600'}`}>
+            {status.type === 'success'
+              ? <CheckCircle className="w-4 h-4 mr-1" />
+              : <XCircle className="w-4 h-4 mr-1" />}
+            {status.message}
+          </span>
+        )}
+      </div>
+
+      {/* Audit Log */}
+      <div className="mt-4 pt-3 border-t">
+        <div className="flex items-center justify-between mb-2">
+          <span className="flex items-center text-sm font-medium text-gray-700">
+            <ScrollText className="w-4 h-4 mr-1 text-indigo-500" />
+            Audit Log
+          </span>
+          <select className={selectClass} value={collectionFilter} onChange={(e) => setCollectionFilter(e.target.value)}>
+            <option value="">All collections</option>
+            {collections.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+        {visibleEntries.length === 0 ? (
+          <p className="text-sm text-gray-500">No changes recorded yet.</p>
+        ) : (
+          <ul className="max-h-64 overflow-y-auto space-y-1">
+            {visibleEntries.map(entry => (
+              <li key={entry.id} className="bg-white border rounded px-2 py-1 text-xs">
+                <button onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)} className="flex items-center w-full text-left text-gray-700">
+                  {expandedId === entry.id ? <ChevronDown className="w-4 h-4 mr-1" /> : <ChevronRight className="w-4 h-4 mr-1" />}
+                  <span className="font-mono text-gray-500 mr-2">{new Date(entry.timestamp).toLocaleString()}</span>
+                  <span className="font-medium mr-1">{entry.actor_name || entry.actor_uid}</span>
+                  <span className="text-gray-400 mr-2">({entry.actor_role})</span>
+                  {entry.operation === 'delete' ? 'deleted' : 'wrote'} {entry.count} in <span className="font-mono ml-1">{entry.collection}</span>
+                </button>
+                {expandedId === entry.id && <AuditChanges entry={entry} />}
+              </li>
+            ))}
+          </ul>
+        )}
+        {hasMoreAudit && (
+          <button onClick={onLoadMoreAudit} className="mt-1 text-xs text-indigo-600 hover:text-indigo-800">
+            Showing the newest {auditEntries.length} entries. Load older entries
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccessAdminPanel;
@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import { SlidersHorizontal } from 'lucide-react';
+import { DEFAULT_AXIS_SETTINGS } from './axisScales.js';
+
+const SCALE_TYPES = [
+  { key: 'linear', label: 'Linear' },
+  { key: 'log', label: 'Log' },
+];
+
+/**
+ * Linear/log toggle shared by both axes.
+ */
+const ScaleToggle = ({ value, onChange }) => (
+  <div className="inline-flex rounded-lg bg-gray-100 p-0.5">
+    {SCALE_TYPES.map(type => (
+      <button
+        key={type.key}
+        onClick={() => onChange(type.key)}
+        className={`px-3 py-1 text-xs font-medium rounded-md transition ${
+          value === type.key ? 'bg-indigo-600 text-white shadow' : 'text-gray-700 hover:text-indigo-600'
+        }`}
+      >
+        {type.label}
+      </button>
+    ))}
+  </div>
+);
+
+const inputClass = 'w-full border rounded px-2 py-1 text-xs font-mono';
+
+/**
+ * Axis scaling controls: linear/log per axis, manual ranges and the
+ * absolute-value option for negative currents.
+ *
+ * The wavelength range edits the chart's zoom window (`xDomain`), so typed
+ * values and mouse zooming stay in sync.
+ */
+const AxisControls = ({ axisSettings, onChange, xDomain, onXDomainChange }) => {
+  const [xDraft, setXDraft] = useState(['', '']);
+
+  // Mirror zoom changes made with the mouse into the wavelength inputs
+  useEffect(() => {
+    setXDraft(xDomain ? xDomain.map(v => v.toFixed(1)) : ['', '']);
+  }, [xDomain]);
+
+  const update = (changes) => onChange({ ...axisSettings, ...changes });
+
+  const commitXRange = () => {
+    const [min, max] = xDraft.map(text => (text.trim() === '' ? NaN : Number(text)));
+    if (Number.isFinite(min) && Number.isFinite(max) && max > min) {
+      onXDomainChange([min, max]);
+    } else if (xDraft.every(text => text.trim() === '')) {
+      onXDomainChange(null);
+    } else {
+      // Invalid input: restore the current window
+      setXDraft(xDomain ? xDomain.map(v => v.toFixed(1)) : ['', '']);
+    }
+  };
+
+  const handleXKeyDown = (e) => {
+    if (e.key === 'Enter') commitXRange();
+  };
+
+  return (
+    <div className="p-4 border rounded-xl bg-gray-50">
+      <label className="block text-lg font-medium text-gray-700 mb-3 flex items-center">
+        <SlidersHorizontal className="w-5 h-5 mr-2 text-indigo-500" />
+        Axis Scaling
+      </label>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+        {/* Wavelength (X) Axis */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="font-medium text-gray-700">Wavelength (X)</span>
+            <ScaleToggle value={axisSettings.xScale} onChange={(xScale) => update({ xScale })} />
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              className={inputClass}
+              placeholder="min nm"
+              value={xDraft[0]}
+              onChange={(e) => setXDraft([e.target.value, xDraft[1]])}
+              onBlur={commitXRange}
+              onKeyDown={handleXKeyDown}
+            />
+            <span className="text-gray-400">–</span>
+            <input
+              className={inputClass}
+              placeholder="max nm"
+              value={xDraft[1]}
+              onChange={(e) => setXDraft([xDraft[0], e.target.value])}
+              onBlur={commitXRange}
+              onKeyDown={handleXKeyDown}
+            />
+          </div>
+        </div>
+
+        {/* Metric (Y) Axis */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="font-medium text-gray-700">Metric (Y)</span>
+            <ScaleToggle value={axisSettings.yScale} onChange={(yScale) => update({ yScale })} />
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              className={inputClass}
+              placeholder="auto min"
+              value={axisSettings.yMin}
+              onChange={(e) => update({ yMin: e.target.value })}
+            />
+            <span className="text-gray-400">–</span>
+            <input
+              className={inputClass}
+              placeholder="auto max"
+              value={axisSettings.yMax}
+              onChange={(e) => update({ yMax: e.target.value })}
+            />
+          </div>
+          <label className="flex items-center text-xs text-gray-600">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={axisSettings.absolute}
+              onChange={(e) => update({ absolute: e.target.checked })}
+            />
+            Absolute value (plot |current| for negative photocurrents)
+          </label>
+        </div>
+      </div>
+
+      <button
+        onClick={() => { onChange(DEFAULT_AXIS_SETTINGS); onXDomainChange(null); }}
+        className="mt-3 px-3 py-1 text-xs font-medium rounded-full text-indigo-600 bg-indigo-100 hover:bg-indigo-200 transition"
+      >
+        Reset Axes
+      </button>
+    </div>
+  );
+};
+
+export default AxisControls;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { GitCompare, AlertTriangle } from 'lucide-react';
+import { COMPARISON_MODES } from './referenceComparison.js';
+
+/**
+ * Reference comparison settings (off / ratio / difference and the reference
+ * PMT), plus a report of which PMTs only partially or never overlap the
+ * reference in wavelength.
+ */
+const ComparisonControls = ({ comparison, onChange, pmtList, result }) => {
+  const isActive = comparison.mode !== 'off';
+  const referenceRange = result?.referenceRange;
+
+  // PMTs whose curve extends beyond, or misses, the reference range
+  const overlapIssues = isActive && result ? pmtList
+    .filter(pmt => pmt !== comparison.referencePmt && result.ranges[pmt])
+    .map(pmt => ({ pmt, range: result.ranges[pmt], overlap: result.overlaps[pmt] }))
+    .filter(({ range, overlap }) => !overlap || overlap[0] > range[0] || overlap[1] < range[1])
+    : [];
+
+  return (
+    <div className="p-4 border rounded-xl bg-gray-50">
+      <label className="block text-lg font-medium text-gray-700 mb-3 flex items-center">
+        <GitCompare className="w-5 h-5 mr-2 text-indigo-500" />
+        Reference Comparison
+      </label>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <div className="inline-flex rounded-lg bg-gray-100 p-0.5">
+          {COMPARISON_MODES.map(mode => (
+            <button
+              key={mode.key}
+              onClick={() => onChange({ ...comparison, mode: mode.key })}
+              className={`px-3 py-1 text-xs font-medium rounded-md transition ${
+                comparison.mode === mode.key ? 'bg-indigo-600 text-white shadow' : 'text-gray-700 hover:text-indigo-600'
+              }`}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-gray-600">
+          Reference PMT
+          <select
+            className="border rounded px-2 py-1 text-sm bg-white"
+            value={comparison.referencePmt || ''}
+            disabled={pmtList.length === 0}
+            onChange={(e) => onChange({ ...comparison, referencePmt: e.target.value })}
+          >
+            {pmtList.map(pmt => <option key={pmt} value={pmt}>{pmt}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {isActive && referenceRange && (
+        <p className="text-xs text-gray-500 mt-3">
+          Reference covers {referenceRange[0].toFixed(1)}–{referenceRange[1].toFixed(1)} nm. Curves are resampled onto a
+          common grid and only plotted where they overlap it; uncovered wavelengths are hatched on the chart.
+        </p>
+      )}
+
+      {overlapIssues.length > 0 && (
+        <ul className="mt-2 space-y-1 text-xs text-yellow-800">
+          {overlapIssues.map(({ pmt, overlap }) => (
+            <li key={pmt} className="flex items-center">
+              <AlertTriangle className="w-3 h-3 mr-1 flex-shrink-0" />
+              <span className="font-mono mr-1">{pmt}</span>
+              {overlap
+                ? `compared over ${overlap[0].toFixed(1)}–${overlap[1].toFixed(1)} nm only`
+                : 'does not overlap the reference and is not plotted'}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonControls;
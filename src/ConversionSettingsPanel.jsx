@@ -0,0 +1,132 @@
+import React, { useMemo, useState } from 'react';
+import { Calculator, CheckCircle, XCircle, Loader } from 'lucide-react';
+import { UNIT_FACTORS } from './pmtFileParser.js';
+import { resolveConversion } from './derivedMetrics.js';
+import { PMT_CONVERSIONS_COLLECTION } from './dataSources/index.js';
+import { useSyncedDrafts } from './formDrafts.js';
+
+const inputClass = 'w-full border rounded px-2 py-1 text-xs font-mono';
+
+/**
+ * Editor for the per-PMT settings used by the derived metrics (photocathode
+ * area, monochromator bandwidth and the unit light_response was stored in).
+ * Saved to the shared conversions collection so everyone derives the same QE.
+ */
+const ConversionSettingsPanel = ({ dataSource, pmtList, conversions, readOnly = false }) => {
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  // Every selected PMT starts from its saved (or default) settings
+  const saved = useMemo(() => pmtList.reduce((acc, pmt) => {
+    acc[pmt] = resolveConversion(conversions[pmt]);
+    return acc;
+  }, {}), [pmtList, conversions]);
+  const [drafts, setDrafts] = useSyncedDrafts(saved);
+
+  const updateDraft = (pmt, changes) => {
+    setDrafts(prev => ({ ...prev, [pmt]: { ...prev[pmt], ...changes } }));
+    setStatus(null);
+  };
+
+  const changedPmts = pmtList.filter((pmt) => {
+    const draft = drafts[pmt];
+    return draft && saved[pmt] && Object.keys(saved[pmt]).some(key => String(saved[pmt][key]) !== String(draft[key]));
+  });
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setStatus(null);
+    try {
+      await dataSource.setDocs(PMT_CONVERSIONS_COLLECTION, changedPmts.map(pmt => ({
+        id: pmt,
+        ...resolveConversion(drafts[pmt]),
+      })));
+      setStatus({ type: 'success', message: `Saved settings for ${changedPmts.length} PMT(s).` });
+    } catch (e) {
+      console.error("Conversion Save Error:", e);
+      setStatus({ type: 'error', message: `Save failed: ${e.message}` });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="p-4 border rounded-xl bg-gray-50">
+      <label className="block text-lg font-medium text-gray-700 mb-3 flex items-center">
+        <Calculator className="w-5 h-5 mr-2 text-indigo-500" />
+        Derived Metric Settings
+      </label>
+
+      {pmtList.length === 0 ? (
+        <p className="text-sm text-gray-500">Select PMTs to edit their conversion settings.</p>
+      ) : (
+        <div className="max-h-48 overflow-y-auto">
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="p-1 font-medium">PMT</th>
+                <th className="p-1 font-medium">Cathode Area (cm²)</th>
+                <th className="p-1 font-medium">Bandwidth (nm)</th>
+                <th className="p-1 font-medium">Stored Response Unit</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pmtList.map(pmt => drafts[pmt] && (
+                <tr key={pmt} className="border-t">
+                  <td className="p-1 font-mono text-gray-800">{pmt}</td>
+                  <td className="p-1">
+                    <input
+                      className={inputClass}
+                      value={drafts[pmt].cathode_area_cm2}
+                      onChange={(e) => updateDraft(pmt, { cathode_area_cm2: e.target.value })}
+                    />
+                  </td>
+                  <td className="p-1">
+                    <input
+                      className={inputClass}
+                      value={drafts[pmt].bandwidth_nm}
+                      onChange={(e) => updateDraft(pmt, { bandwidth_nm: e.target.value })}
+                    />
+                  </td>
+                  <td className="p-1">
+                    <select
+                      className={inputClass}
+                      value={drafts[pmt].response_unit}
+                      onChange={(e) => updateDraft(pmt, { response_unit: e.target.value })}
+                    >
+                      {Object.keys(UNIT_FACTORS.light_response).map(unit => (
+                        <option key={unit} value={unit}>{unit}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex items-center mt-3">
+        <button
+          onClick={handleSave}
+          disabled={readOnly || isSaving || changedPmts.length === 0}
+          className="px-3 py-1 text-sm font-medium rounded-full text-white bg-indigo-600 hover:bg-indigo-700 transition shadow-md disabled:opacity-50 flex items-center"
+        >
+          {isSaving && <Loader className="w-4 h-4 mr-1 animate-spin" />}
+          Save Changes
+        </button>
+        {readOnly && <span className="ml-3 text-xs text-gray-500">Only uploaders and admins can change conversion settings.</span>}
+        {status && (
+          <span className={`ml-3 text-sm flex items-center ${status.type === 'success' ? 'text-green-700' : 'text-red-600'}`}>
+            {status.type === 'success'
+              ? <CheckCircle className="w-4 h-4 mr-1" />
+              : <XCircle className="w-4 h-4 mr-1" />}
+            {status.message}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ConversionSettingsPanel;
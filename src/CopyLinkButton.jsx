@@ -0,0 +1,39 @@
+import React, { useEffect, useState } from 'react';
+import { Link, Check } from 'lucide-react';
+
+/**
+ * Copies the current page URL, which encodes the plotted view, to the clipboard.
+ */
+const CopyLinkButton = () => {
+  const [status, setStatus] = useState(null); // null, 'copied' or 'failed'
+
+  // Reset the confirmation after a moment
+  useEffect(() => {
+    if (!status) return;
+    const timer = setTimeout(() => setStatus(null), 2000);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setStatus('copied');
+    } catch (e) {
+      console.error("Copy Link Error:", e);
+      setStatus('failed');
+    }
+  };
+
+  return (
+    <button
+      onClick={handleCopy}
+      title="Copy a link that opens this exact view"
+      className="px-3 py-1 text-sm font-medium rounded-full text-indigo-600 bg-indigo-100 hover:bg-indigo-200 transition shadow-md flex items-center"
+    >
+      {status === 'copied' ? <Check className="w-4 h-4 mr-1" /> : <Link className="w-4 h-4 mr-1" />}
+      {status === 'copied' ? 'Copied' : status === 'failed' ? 'Copy failed' : 'Copy Link'}
+    </button>
+  );
+};
+
+export default CopyLinkButton;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { Spline } from 'lucide-react';
+import { FIT_MODELS, SMOOTHING_OPTIONS } from './curveFitting.js';
+
+const selectClass = 'border rounded px-2 py-1 text-sm bg-white';
+
+/**
+ * Smoothing, spline display and model fitting settings for the plotted curves.
+ */
+const CurveProcessingPanel = ({ settings, onChange }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="p-4 border rounded-xl bg-gray-50">
+      <label className="block text-lg font-medium text-gray-700 mb-3 flex items-center">
+        <Spline className="w-5 h-5 mr-2 text-indigo-500" />
+        Smoothing &amp; Fitting
+      </label>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+        <label className="flex items-center gap-1">
+          Smoothing
+          <select className={selectClass} value={settings.smoothing} onChange={(e) => update({ smoothing: e.target.value })}>
+            {SMOOTHING_OPTIONS.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+          </select>
+        </label>
+        {settings.smoothing !== 'none' && (
+          <label className="flex items-center gap-1">
+            Window
+            <select className={selectClass} value={settings.window} onChange={(e) => update({ window: Number(e.target.value) })}>
+              {[3, 5, 7, 9, 11].map(size => <option key={size} value={size}>{size} points</option>)}
+            </select>
+          </label>
+        )}
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={settings.spline}
+            onChange={(e) => update({ spline: e.target.checked })}
+          />
+          Spline lines
+        </label>
+        <label className="flex items-center gap-1">
+          Fit model
+          <select className={selectClass} value={settings.model} onChange={(e) => update({ model: e.target.value })}>
+            <option value="none">None</option>
+            {FIT_MODELS.map(model => <option key={model.key} value={model.key}>{model.label}</option>)}
+          </select>
+        </label>
+      </div>
+      {settings.smoothing === 'savitzky-golay' && settings.window < 5 && (
+        <p className="text-xs text-gray-500 mt-2">Savitzky–Golay needs at least 5 points; a 3-point window is a moving average.</p>
+      )}
+    </div>
+  );
+};
+
+export default CurveProcessingPanel;
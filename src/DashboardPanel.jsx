@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { LayoutDashboard, Save, Trash2, Loader } from 'lucide-react';
+import { PMT_DASHBOARDS_COLLECTION } from './dataSources/index.js';
+
+/**
+ * Picks extra chart panels, one per metric, that are drawn next to the main
+ * chart with the same PMTs, wavelength zoom and crosshair. The layout (main
+ * metric plus panels) can be saved as a named dashboard shared with the team.
+ * Comparisons, the population band and model fits stay on the main chart.
+ */
+const DashboardPanel = ({
+  dataSource, dashboards, metricOptions, selectedMetric, panelMetrics, onPanelMetricsChange, onApply,
+  canEdit = true, canDelete = true,
+}) => {
+  const [activeId, setActiveId] = useState('');
+  const [name, setName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const activeDashboard = dashboards.find(dashboard => dashboard.id === activeId);
+
+  const handleToggle = (key) => {
+    onPanelMetricsChange(panelMetrics.includes(key) ? panelMetrics.filter(k => k !== key) : [...panelMetrics, key]);
+  };
+
+  const handleSelect = (id) => {
+    setActiveId(id);
+    const dashboard = dashboards.find(d => d.id === id);
+    if (!dashboard) return;
+    setName(dashboard.name);
+    onApply(dashboard.metrics);
+  };
+
+  // Saving under the name of an existing dashboard overwrites it
+  const handleSave = async () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setIsSaving(true);
+    setError(null);
+    try {
+      const id = dashboards.find(d => d.name === trimmed)?.id || `dashboard_${Date.now()}`;
+      await dataSource.setDocs(PMT_DASHBOARDS_COLLECTION, [{ id, name: trimmed, metrics: [selectedMetric, ...panelMetrics] }]);
+      setActiveId(id);
+    } catch (e) {
+      console.error("Dashboard Save Error:", e);
+      setError(`Save failed: ${e.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!activeDashboard || !window.confirm(`Delete dashboard "${activeDashboard.name}" for everyone?`)) return;
+    try {
+      await dataSource.deleteDocs(PMT_DASHBOARDS_COLLECTION, [activeDashboard.id]);
+      setActiveId('');
+    } catch (e) {
+      console.error("Dashboard Delete Error:", e);
+      setError(`Delete failed: ${e.message}`);
+    }
+  };
+
+  const iconButtonClass = 'p-1.5 rounded-md text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 disabled:opacity-40';
+
+  return (
+    <div className="p-4 border rounded-xl bg-gray-50">
+      <label className="block text-lg font-medium text-gray-700 mb-3 flex items-center">
+        <LayoutDashboard className="w-5 h-5 mr-2 text-indigo-500" />
+        Dashboard Panels
+      </label>
+
+      <div className="flex flex-wrap gap-2">
+        {metricOptions.map(option => (
+          option.key === selectedMetric ? (
+            <span key={option.key} className="px-3 py-1 text-xs font-medium rounded-full bg-indigo-600 text-white" title="Main chart">
+              {option.label}
+            </span>
+          ) : (
+            <button
+              key={option.key}
+              onClick={() => handleToggle(option.key)}
+              className={`px-3 py-1 text-xs font-medium rounded-full transition ${
+                panelMetrics.includes(option.key) ? 'bg-indigo-100 text-indigo-800 ring-1 ring-indigo-400' : 'bg-white text-gray-600 hover:bg-gray-100 border'
+              }`}
+            >
+              {option.label}
+            </button>
+          )
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2 mt-3">
+        <select
+          className="flex-1 border rounded-lg px-2 py-1.5 text-sm bg-white"
+          value={activeId}
+          onChange={(e) => handleSelect(e.target.value)}
+        >
+          <option value="">Saved dashboards…</option>
+          {dashboards.map(dashboard => (
+            <option key={dashboard.id} value={dashboard.id}>
+              {dashboard.name} ({dashboard.metrics.length} panel(s))
+            </option>
+          ))}
+        </select>
+        {canEdit && (
+          <>
+            <input
+              className="flex-1 border rounded-lg px-2 py-1.5 text-sm"
+              placeholder="Dashboard name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <button onClick={handleSave} disabled={isSaving || !name.trim()} className={iconButtonClass} title="Save the current panels">
+              {isSaving ? <Loader className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            </button>
+          </>
+        )}
+        {canDelete && <button onClick={handleDelete} disabled={!activeDashboard} className={iconButtonClass} title="Delete dashboard"><Trash2 className="w-4 h-4" /></button>}
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default DashboardPanel;
@@ -0,0 +1,330 @@
+import React, { useState } from 'react';
+import { Upload, FileText, AlertTriangle, CheckCircle, XCircle, Loader, Trash2 } from 'lucide-react';
+import { PMT_FIELDS, UNIT_FACTORS, buildRows, parsePmtFile } from './pmtFileParser.js';
+import { createRunId, toLocalDateTime } from './measurementRuns.js';
+import { PMT_DATA_COLLECTION, PMT_RUNS_COLLECTION } from './dataSources/index.js';
+import { AUDITED_BATCH_SIZE } from './dataSources/auditedDataSource.js';
+
+const ACCEPTED_EXTENSIONS = /\.(txt|csv|tsv|dat)$/i;
+
+// Number of raw rows shown in each file preview.
+const PREVIEW_ROWS = 10;
+
+// Conditions recorded with every run of one import
+const EMPTY_CONDITIONS = { hv_setting: '', temperature_c: '', notes: '' };
+
+const optionalNumber = (text) => (text.trim() === '' || !Number.isFinite(Number(text)) ? null : Number(text));
+
+/**
+ * Drag-and-drop import of raw bench files, with a column mapping preview and
+ * validation before the rows are written to the pmt_data collection. Every
+ * file becomes a new measurement run of its PMT, so re-measurements are kept
+ * next to earlier scans instead of overwriting them.
+ */
+const DataImportPanel = ({ dataSource, existingPmts }) => {
+  const [files, setFiles] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [conditions, setConditions] = useState(EMPTY_CONDITIONS);
+
+  const readFiles = async (fileList) => {
+    const accepted = [...fileList].filter(file => ACCEPTED_EXTENSIONS.test(file.name));
+    const rejected = fileList.length - accepted.length;
+
+    // The PMT defaults to the file name and the measurement time to the file's modification time
+    const parsed = await Promise.all(accepted.map(async (file) => ({
+      ...parsePmtFile(await file.text(), file.name),
+      pmt: file.name,
+      measuredAt: toLocalDateTime(new Date(file.lastModified || Date.now())),
+    })));
+    setFiles(prev => [
+      ...prev.filter(f => !parsed.some(p => p.fileName === f.fileName)),
+      ...parsed,
+    ]);
+    setStatus(rejected > 0
+      ? { type: 'error', message: `${rejected} file(s) skipped: only .txt, .csv, .tsv and .dat files are supported.` }
+      : null);
+  };
+
+  // Re-validate a file after the user changes a column's field or unit.
+  const updateColumn = (fileName, colIndex, changes) => {
+    setFiles(prev => prev.map((file) => {
+      if (file.fileName !== fileName) return file;
+      const columns = file.columns.map((column, i) => {
+        if (i !== colIndex) return column;
+        const next = { ...column, ...changes };
+        // Reset the unit to the canonical one when the field changes
+        if (changes.key !== undefined) {
+          next.unit = next.key ? PMT_FIELDS.find(f => f.key === next.key).unit : null;
+        }
+        return next;
+      });
+      const { rows, errors, warnings } = buildRows(file.body, columns, file.fileName);
+      return { ...file, columns, rows, errors, warnings };
+    }));
+  };
+
+  const updateFile = (fileName, changes) => {
+    setFiles(prev => prev.map(file => (file.fileName === fileName ? { ...file, ...changes } : file)));
+  };
+
+  const removeFile = (fileName) => {
+    setFiles(prev => prev.filter(f => f.fileName !== fileName));
+  };
+
+  const validFiles = files.filter(f => f.errors.length === 0 && f.rows.length > 0 && f.pmt.trim());
+
+  const handleImport = async () => {
+    if (!dataSource || validFiles.length === 0) return;
+    setIsImporting(true);
+    setStatus(null);
+
+    const imported = [];
+    let rowCount = 0;
+    try {
+      const now = new Date();
+      for (const [fileIndex, file] of validFiles.entries()) {
+        const run = {
+          id: createRunId(file.pmt.trim(), now, fileIndex),
+          source_file: file.pmt.trim(),
+          measured_at: file.measuredAt || null,
+          hv_setting: optionalNumber(conditions.hv_setting),
+          temperature_c: optionalNumber(conditions.temperature_c),
+          notes: conditions.notes.trim(),
+          file_name: file.fileName,
+        };
+        const points = file.rows.map((row, index) => ({ id: `${run.id}_${index}`, ...row, source_file: run.source_file, run_id: run.id }));
+        // The run is committed together with its first points, so a failed
+        // write never leaves a run without any; rows beyond one batch follow
+        const head = points.slice(0, AUDITED_BATCH_SIZE - 1);
+        await dataSource.commit([
+          { type: 'set', name: PMT_RUNS_COLLECTION, doc: run },
+          ...head.map(doc => ({ type: 'set', name: PMT_DATA_COLLECTION, doc })),
+        ]);
+        await dataSource.setDocs(PMT_DATA_COLLECTION, points.slice(head.length));
+        imported.push(file);
+        rowCount += points.length;
+      }
+
+      setStatus({ type: 'success', message: `Imported ${rowCount} rows from ${imported.length} file(s).` });
+    } catch (e) {
+      console.error("Import Error:", e);
+      setStatus({
+        type: 'error',
+        message: imported.length > 0
+          ? `Import failed after ${imported.length} of ${validFiles.length} file(s): ${e.message}`
+          : `Import failed: ${e.message}`,
+      });
+    } finally {
+      setFiles(prev => prev.filter(f => !imported.includes(f)));
+      setIsImporting(false);
+    }
+  };
+
+  // --- Drag and Drop Handlers ---
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = () => setIsDragging(false);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    readFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div className="p-4 border rounded-xl bg-gray-50">
+      <label className="block text-lg font-medium text-gray-700 mb-3 flex items-center">
+        <Upload className="w-5 h-5 mr-2 text-indigo-500" />
+        Import Measurement Files
+      </label>
+
+      <label
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+        className={`flex flex-col items-center justify-center p-6 border-2 border-dashed rounded-lg cursor-pointer transition ${
+          isDragging ? 'border-indigo-500 bg-indigo-50' : 'border-gray-300 bg-white hover:bg-indigo-50/50'
+        }`}
+      >
+        <FileText className="w-8 h-8 text-gray-400 mb-2" />
+        <span className="text-sm text-gray-600">Drop bench output files here (.txt, .csv) or click to browse</span>
+        <input
+          type="file"
+          multiple
+          accept=".txt,.csv,.tsv,.dat"
+          className="hidden"
+          onChange={(e) => { readFiles(e.target.files); e.target.value = ''; }}
+        />
+      </label>
+
+      {/* Per-file preview with column mapping and validation results */}
+      {files.map((file) => (
+        <div key={file.fileName} className="mt-4 p-3 border rounded-lg bg-white">
+          <div className="flex items-center justify-between mb-2">
+            <span className="font-mono text-sm font-semibold text-gray-800">{file.fileName}</span>
+            <div className="flex items-center text-xs text-gray-500">
+              {file.rows.length} rows
+              {existingPmts.includes(file.pmt.trim()) && (
+                <span className="ml-2 px-2 py-0.5 rounded-full bg-blue-100 text-blue-800">new run of an existing PMT</span>
+              )}
+              <button onClick={() => removeFile(file.fileName)} className="ml-2 text-gray-400 hover:text-red-500" title="Remove file">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-3 mb-2 text-xs text-gray-600">
+            <label className="flex items-center gap-1">
+              PMT
+              <input
+                className="w-40 border rounded px-2 py-0.5 font-mono"
+                list="import-existing-pmts"
+                value={file.pmt}
+                onChange={(e) => updateFile(file.fileName, { pmt: e.target.value })}
+              />
+            </label>
+            <label className="flex items-center gap-1">
+              Measured
+              <input
+                type="datetime-local"
+                className="border rounded px-2 py-0.5"
+                value={file.measuredAt}
+                onChange={(e) => updateFile(file.fileName, { measuredAt: e.target.value })}
+              />
+            </label>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr>
+                  {file.columns.map((column, colIndex) => (
+                    <th key={colIndex} className="p-1 text-left font-medium text-gray-600 align-top">
+                      <div className="truncate mb-1" title={column.header}>{column.header}</div>
+                      <select
+                        value={column.key || ''}
+                        onChange={(e) => updateColumn(file.fileName, colIndex, { key: e.target.value || null })}
+                        className="w-full border rounded px-1 py-0.5 mb-1"
+                      >
+                        <option value="">(ignore)</option>
+                        {PMT_FIELDS.map(field => (
+                          <option key={field.key} value={field.key}>{field.label}</option>
+                        ))}
+                      </select>
+                      {column.key && (
+                        <select
+                          value={column.unit}
+                          onChange={(e) => updateColumn(file.fileName, colIndex, { unit: e.target.value })}
+                          className="w-full border rounded px-1 py-0.5"
+                        >
+                          {Object.keys(UNIT_FACTORS[column.key]).map(unit => (
+                            <option key={unit} value={unit}>{unit}</option>
+                          ))}
+                        </select>
+                      )}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {file.body.slice(0, PREVIEW_ROWS).map((cells, rowIndex) => (
+                  <tr key={rowIndex} className="border-t">
+                    {file.columns.map((column, colIndex) => (
+                      <td key={colIndex} className={`p-1 font-mono ${column.key ? 'text-gray-800' : 'text-gray-400'}`}>
+                        {cells[colIndex]}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {file.body.length > PREVIEW_ROWS && (
+              <p className="text-xs text-gray-400 mt-1">Showing first {PREVIEW_ROWS} of {file.body.length} rows.</p>
+            )}
+          </div>
+
+          {file.errors.length > 0 && (
+            <ul className="mt-2 text-xs text-red-600 space-y-1">
+              {file.errors.slice(0, 5).map((message, i) => (
+                <li key={i} className="flex items-center"><XCircle className="w-3 h-3 mr-1" />{message}</li>
+              ))}
+              {file.errors.length > 5 && <li>…and {file.errors.length - 5} more errors.</li>}
+            </ul>
+          )}
+          {file.warnings.length > 0 && (
+            <ul className="mt-2 text-xs text-yellow-700 space-y-1">
+              {file.warnings.slice(0, 5).map((message, i) => (
+                <li key={i} className="flex items-center"><AlertTriangle className="w-3 h-3 mr-1" />{message}</li>
+              ))}
+              {file.warnings.length > 5 && <li>…and {file.warnings.length - 5} more warnings.</li>}
+            </ul>
+          )}
+        </div>
+      ))}
+
+      <datalist id="import-existing-pmts">
+        {existingPmts.map(pmt => <option key={pmt} value={pmt} />)}
+      </datalist>
+
+      {/* Conditions shared by every run of this import */}
+      {files.length > 0 && (
+        <div className="mt-4 flex flex-wrap gap-3 text-xs text-gray-600">
+          <label className="flex items-center gap-1">
+            HV (V)
+            <input
+              className="w-20 border rounded px-2 py-0.5"
+              value={conditions.hv_setting}
+              onChange={(e) => setConditions({ ...conditions, hv_setting: e.target.value })}
+            />
+          </label>
+          <label className="flex items-center gap-1">
+            Temperature (°C)
+            <input
+              className="w-16 border rounded px-2 py-0.5"
+              value={conditions.temperature_c}
+              onChange={(e) => setConditions({ ...conditions, temperature_c: e.target.value })}
+            />
+          </label>
+          <label className="flex flex-1 items-center gap-1">
+            Notes
+            <input
+              className="flex-1 border rounded px-2 py-0.5"
+              placeholder="e.g. after HV burn-in"
+              value={conditions.notes}
+              onChange={(e) => setConditions({ ...conditions, notes: e.target.value })}
+            />
+          </label>
+        </div>
+      )}
+
+      {files.length > 0 && (
+        <button
+          onClick={handleImport}
+          disabled={isImporting || validFiles.length === 0}
+          className="mt-4 w-full py-2 px-4 rounded-lg text-white font-semibold bg-indigo-600 hover:bg-indigo-700 transition shadow-md disabled:opacity-50 flex items-center justify-center"
+        >
+          {isImporting
+            ? <><Loader className="w-4 h-4 mr-2 animate-spin" /> Importing...</>
+            : `Import ${validFiles.length} valid file(s)`}
+        </button>
+      )}
+
+      {status && (
+        <p className={`mt-3 text-sm flex items-center ${status.type === 'success' ? 'text-green-700' : 'text-red-600'}`}>
+          {status.type === 'success'
+            ? <CheckCircle className="w-4 h-4 mr-1" />
+            : <XCircle className="w-4 h-4 mr-1" />}
+          {status.message}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default DataImportPanel;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { Download, FileText, FileJson, Image, ImageDown } from 'lucide-react';
+import {
+  buildStandaloneSvg, downloadBlob, exportFileName, populationToCsv, populationToJson, serializeSvg, svgToPngBlob, toCsv,
+  toJson
+} from './exportUtils.js';
+
+/**
+ * Dropdown that downloads the plotted rows (CSV/JSON) or the chart itself (SVG/PNG).
+ * In the population view, `population` ({ bands, label, color, pmts }) is what
+ * the chart shows: the data exports hold its band (JSON also the curves drawn
+ * on top, which are `data` and `pmtList`) and the legend starts with it.
+ */
+const ExportMenu = ({ data, selectedMetric, pmtList, colorMap, svgRef, title, population = null }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  const hasData = population ? population.bands.length > 0 : data.length > 0;
+
+  const standaloneSvg = () => buildStandaloneSvg(svgRef.current, {
+    title,
+    legend: [
+      ...(population ? [{ label: population.label, color: population.color }] : []),
+      ...pmtList.map(pmt => ({ label: pmt, color: colorMap[pmt] })),
+    ],
+  });
+
+  const runExport = async (exporter) => {
+    setIsOpen(false);
+    setError(null);
+    try {
+      await exporter();
+    } catch (e) {
+      console.error("Export Error:", e);
+      setError(`Export failed: ${e.message}`);
+    }
+  };
+
+  const exportOptions = [
+    {
+      key: 'csv',
+      label: population ? 'Population band as CSV' : 'Data as CSV',
+      icon: <FileText className="w-4 h-4 mr-2" />,
+      run: () => downloadBlob(
+        new Blob([
+          population ? populationToCsv(population.bands, selectedMetric) : toCsv(data, selectedMetric),
+        ], { type: 'text/csv;charset=utf-8' }),
+        exportFileName(population ? `${selectedMetric}_population` : selectedMetric, 'csv')
+      ),
+    },
+    {
+      key: 'json',
+      label: population ? 'Population as JSON' : 'Data as JSON',
+      icon: <FileJson className="w-4 h-4 mr-2" />,
+      run: () => downloadBlob(
+        new Blob([
+          population
+            ? populationToJson(population.bands, population.label, data, selectedMetric, population.pmts)
+            : toJson(data, selectedMetric, pmtList),
+        ], { type: 'application/json' }),
+        exportFileName(population ? `${selectedMetric}_population` : selectedMetric, 'json')
+      ),
+    },
+    {
+      key: 'svg',
+      label: 'Chart as SVG',
+      icon: <Image className="w-4 h-4 mr-2" />,
+      run: () => downloadBlob(
+        new Blob([serializeSvg(standaloneSvg())], { type: 'image/svg+xml;charset=utf-8' }),
+        exportFileName(selectedMetric, 'svg')
+      ),
+    },
+    {
+      key: 'png',
+      label: 'Chart as PNG',
+      icon: <ImageDown className="w-4 h-4 mr-2" />,
+      run: async () => downloadBlob(await svgToPngBlob(standaloneSvg()), exportFileName(selectedMetric, 'png')),
+    },
+  ];
+
+  return (
+    <div className="relative inline-block text-left">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        disabled={!hasData}
+        className="px-3 py-1 text-sm font-medium rounded-full text-indigo-600 bg-indigo-100 hover:bg-indigo-200 transition shadow-md flex items-center disabled:opacity-50"
+      >
+        <Download className="w-4 h-4 mr-1" />
+        Export
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-44 bg-white border rounded-lg shadow-xl z-10 py-1">
+          {exportOptions.map(option => (
+            <button
+              key={option.key}
+              onClick={() => runExport(option.run)}
+              className="w-full px-3 py-2 text-sm text-left text-gray-700 hover:bg-indigo-50 hover:text-indigo-600 flex items-center"
+            >
+              {option.icon}
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && <p className="absolute right-0 mt-1 text-xs text-red-600 whitespace-nowrap">{error}</p>}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { FunctionSquare } from 'lucide-react';
+import { formatSI } from './axisScales.js';
+import { CUTOFF_FRACTION, FIT_MODELS } from './curveFitting.js';
+
+const SPARK_WIDTH = 140;
+const SPARK_HEIGHT = 32;
+
+/**
+ * Residuals of one fit as a small zero-centered point plot.
+ */
+const ResidualSparkline = ({ residuals, color }) => {
+  const [first, last] = [residuals[0].wavelength, residuals[residuals.length - 1].wavelength];
+  const maxAbs = Math.max(...residuals.map(r => Math.abs(r.residual))) || 1;
+  const x = (wavelength) => 4 + ((wavelength - first) / ((last - first) || 1)) * (SPARK_WIDTH - 8);
+  const y = (residual) => SPARK_HEIGHT / 2 - (residual / maxAbs) * (SPARK_HEIGHT / 2 - 3);
+
+  return (
+    <svg width={SPARK_WIDTH} height={SPARK_HEIGHT} className="bg-gray-50 rounded">
+      <line x1="0" x2={SPARK_WIDTH} y1={SPARK_HEIGHT / 2} y2={SPARK_HEIGHT / 2} stroke="#d1d5db" />
+      {residuals.map((r, i) => (
+        <line key={i} x1={x(r.wavelength)} x2={x(r.wavelength)} y1={SPARK_HEIGHT / 2} y2={y(r.residual)} stroke={color} strokeWidth="2" />
+      ))}
+    </svg>
+  );
+};
+
+/**
+ * Fitted parameters, goodness of fit and residuals for every fitted PMT.
+ */
+const FitResultsPanel = ({ fits, pmtList, colorMap, metricOption, modelKey }) => {
+  const model = FIT_MODELS.find(m => m.key === modelKey);
+  if (!model || pmtList.length === 0) return null;
+
+  const prefix = metricOption.prefix !== false;
+  const formatParam = (value, index) => (index === 0 ? formatSI(value, metricOption.unit, 4, { prefix }) : value.toFixed(1));
+
+  return (
+    <div className="mt-8 pt-4 border-t">
+      <h3 className="text-lg font-semibold text-gray-700 mb-3 flex items-center">
+        <FunctionSquare className="w-5 h-5 mr-2 text-indigo-500" />
+        {model.label} Fit ({metricOption.label})
+      </h3>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-50 text-left text-gray-600">
+              <th className="px-3 py-2 font-medium">PMT</th>
+              {model.paramLabels.map(label => <th key={label} className="px-3 py-2 font-medium whitespace-nowrap">{label}</th>)}
+              <th className="px-3 py-2 font-medium whitespace-nowrap">Cutoffs (nm)</th>
+              <th className="px-3 py-2 font-medium">R²</th>
+              <th className="px-3 py-2 font-medium whitespace-nowrap">RMS Residual</th>
+              <th className="px-3 py-2 font-medium">Residuals</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pmtList.map((pmt) => {
+              const fit = fits[pmt];
+              return (
+                <tr key={pmt} className="border-t">
+                  <td className="px-3 py-2 whitespace-nowrap">
+                    <span className="flex items-center text-sm font-medium text-gray-700">
+                      <span className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: colorMap[pmt] }}></span>
+                      {pmt}
+                    </span>
+                  </td>
+                  {fit ? (
+                    <>
+                      {fit.params.map((value, i) => (
+                        <td key={i} className="px-3 py-2 font-mono text-xs text-gray-800 whitespace-nowrap">
+                          {formatParam(value, i)}
+                          {i === 1 && !fit.peakInRange && <span className="text-yellow-600" title="Outside the measured range"> *</span>}
+                        </td>
+                      ))}
+                      <td className="px-3 py-2 font-mono text-xs text-gray-800 whitespace-nowrap">
+                        {fit.cutoffs[0].toFixed(1)}–{fit.cutoffs[1].toFixed(1)}
+                      </td>
+                      <td className="px-3 py-2 font-mono text-xs text-gray-800">{fit.rSquared === null ? '—' : fit.rSquared.toFixed(4)}</td>
+                      <td className="px-3 py-2 font-mono text-xs text-gray-800 whitespace-nowrap">
+                        {formatSI(fit.rmsResidual, metricOption.unit, 3, { prefix })}
+                      </td>
+                      <td className="px-3 py-1"><ResidualSparkline residuals={fit.residuals} color={colorMap[pmt]} /></td>
+                    </>
+                  ) : (
+                    <td colSpan={model.paramLabels.length + 4} className="px-3 py-2 text-xs text-gray-500">
+                      No peaked response could be fitted: too few points, or the curve has no clear peak.
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-400 mt-2">
+        Cutoffs are where the fitted response falls to {(CUTOFF_FRACTION * 100).toFixed(0)}% of its peak.
+        * Fitted peak lies outside the measured range (extrapolated).
+      </p>
+    </div>
+  );
+};
+
+export default FitResultsPanel;
@@ -1,18 +1,69 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { initializeApp } from 'firebase/app';
-import { 
-  getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged 
-} from 'firebase/auth';
-import { 
-  getFirestore, collection, doc, setDoc, getDocs, onSnapshot, query, setLogLevel 
-} from 'firebase/firestore';
-import { LineChart, Zap, Gauge, Sigma, Loader, XCircle, Settings, Users, Eye } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useRef, useId, useCallback } from 'react';
+import {
+  LineChart, Zap, Gauge, Sigma, Loader, XCircle, Settings, Users, Eye, ZoomIn, Move, RotateCcw,
+  Percent, Activity, TrendingUp, CheckCircle, LogIn, LogOut, Shield, FileText
+} from 'lucide-react';
+import DataImportPanel from './DataImportPanel.jsx';
+import ExportMenu from './ExportMenu.jsx';
+import {
+  createDataSource, PMT_DATA_COLLECTION, PMT_CONVERSIONS_COLLECTION, PMT_SPECS_COLLECTION, PMT_METADATA_COLLECTION,
+  PMT_RUNS_COLLECTION, PMT_ROLES_COLLECTION, PMT_AUDIT_COLLECTION, PMT_TRASH_COLLECTION, PMT_INDEX_COLLECTION,
+  PMT_DASHBOARDS_COLLECTION
+} from './dataSources/index.js';
+import { createAuditedDataSource } from './dataSources/auditedDataSource.js';
+import { buildPmtIndexEntries, createIndexingDataSource, readPmtIndexEntries, rebuildPmtIndex } from './dataSources/indexingDataSource.js';
+import { createRetryingDataSource } from './dataSources/retryingDataSource.js';
+import { createOnlineWritesDataSource } from './dataSources/onlineWritesDataSource.js';
+import StatusBanners from './StatusBanners.jsx';
+import { CACHE_GRACE_MS, retryMessage, useOnlineStatus, useSustained } from './connectionStatus.js';
+import { usePmtRows } from './pmtDataLoader.js';
+import { DEFAULT_ROLES, canWrite, hasRole, resolveRole, roleLabel, userDisplayName } from './accessControl.js';
+import AccessAdminPanel from './AccessAdminPanel.jsx';
+import PointFlagEditor from './PointFlagEditor.jsx';
+import PmtDataEditor from './PmtDataEditor.jsx';
+import { isFlagged } from './dataCuration.js';
+import { clamp, groupCurvesByPmt, interpolateAt } from './curveMath.js';
+import {
+  DEFAULT_AXIS_SETTINGS, createAxisScale, formatSI, formatTicks, formatWavelengthTicks
+} from './axisScales.js';
+import { PLOT_COLORS, activeZoomWindow, buildColorMap, computeYDomain, fullXExtent } from './chartModel.js';
+import AxisControls from './AxisControls.jsx';
+import ConversionSettingsPanel from './ConversionSettingsPanel.jsx';
+import PmtSummaryTable from './PmtSummaryTable.jsx';
+import SpecPanel from './SpecPanel.jsx';
+import ComparisonControls from './ComparisonControls.jsx';
+import { compareToReference } from './referenceComparison.js';
+import CopyLinkButton from './CopyLinkButton.jsx';
+import { parseViewHash, useUrlViewState } from './urlViewState.js';
+import PmtFacetFilters from './PmtFacetFilters.jsx';
+import PmtMetadataPanel from './PmtMetadataPanel.jsx';
+import {
+  EMPTY_FACETS, facetOptions, formatMetadataSummary, matchesFacets, resolveMetadata, serialFromSourceFile
+} from './pmtMetadata.js';
+import RunHistoryPanel from './RunHistoryPanel.jsx';
+import PopulationPanel from './PopulationPanel.jsx';
+import { CENTER_OPTIONS, BAND_OPTIONS, DEFAULT_POPULATION_SETTINGS, computePopulation } from './populationStats.js';
+import { groupRunsByPmt, latestRunRows, peakTrend, runIdOf, runLabel, sortedRuns } from './measurementRuns.js';
+import { SPEC_STATUS, evaluateSpec, specKey, specLimitCurves, summarizeSpecResult } from './acceptanceSpecs.js';
+import { DERIVED_METRICS, applyDerivedMetrics } from './derivedMetrics.js';
+import CurveProcessingPanel from './CurveProcessingPanel.jsx';
+import FitResultsPanel from './FitResultsPanel.jsx';
+import { DEFAULT_CURVE_PROCESSING, fitCurve, smoothCurve, splineInterpolate } from './curveFitting.js';
+import DashboardPanel from './DashboardPanel.jsx';
+import QualificationReport from './QualificationReport.jsx';
 
 // --- Global Setup (MANDATORY VARIABLES) ---
 // These variables are provided by the canvas environment.
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-pmt-app';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// Optional: 'firestore', 'local' or 'memory'. Without it the explorer uses Firestore
+// when a Firebase configuration is present and browser storage otherwise.
+const dataSourceType = typeof __data_source !== 'undefined'
+  ? __data_source
+  : (firebaseConfig ? 'firestore' : 'local');
+// Optional Firestore log level: 'debug', 'error' (default) or 'silent'.
+const firestoreLogLevel = typeof __firestore_log_level !== 'undefined' ? __firestore_log_level : 'error';
 
 // --- Data Structure and Mapping ---
 
@@ -34,71 +85,250 @@ const initialData = [
   { source_file: 'A24-1080.txt', current: -3.3499e-08, intensity: 6589.64, wavelength: 333.739, light_response: 5.0837e-12 },
 ];
 
+const DERIVED_METRIC_ICONS = {
+  quantum_efficiency: <Percent className="w-4 h-4 mr-2" />,
+  radiant_sensitivity: <Activity className="w-4 h-4 mr-2" />,
+  normalized_response: <TrendingUp className="w-4 h-4 mr-2" />,
+};
+
 const Y_AXIS_OPTIONS = [
-  { key: 'light_response', label: 'Light Response (A/uWatt/cm²/nm)', icon: <Zap className="w-4 h-4 mr-2" /> },
-  { key: 'current', label: 'Current (A)', icon: <Sigma className="w-4 h-4 mr-2" /> },
-  { key: 'intensity', label: 'Intensity (uWatt/cm²/nm)', icon: <Gauge className="w-4 h-4 mr-2" /> },
+  // `unit` is the base unit SI prefixes are applied to in tick and tooltip labels
+  { key: 'light_response', label: 'Light Response (A/uWatt/cm²/nm)', unit: '', icon: <Zap className="w-4 h-4 mr-2" /> },
+  { key: 'current', label: 'Current (A)', unit: 'A', icon: <Sigma className="w-4 h-4 mr-2" /> },
+  { key: 'intensity', label: 'Intensity (uWatt/cm²/nm)', unit: '', icon: <Gauge className="w-4 h-4 mr-2" /> },
+  // Metrics computed from light_response by the derived-metrics engine
+  ...DERIVED_METRICS.map(metric => ({
+    key: metric.key,
+    label: metric.label,
+    unit: metric.unit,
+    prefix: metric.prefix,
+    derived: true,
+    icon: DERIVED_METRIC_ICONS[metric.key],
+  })),
 ];
 
-const PLOT_COLORS = [
-  '#ef4444', '#3b82f6', '#10b981', '#f97316', '#a855f7', 
-  '#06b6d4', '#eab308', '#ec4899', '#84cc16', '#6366f1'
+const DEFAULT_METRIC = 'light_response';
+
+// Reads the view (selection, metric, axes, zoom) encoded in a shared link
+const readViewHash = (hash) => parseViewHash(hash, { metricKeys: Y_AXIS_OPTIONS.map(opt => opt.key) });
+
+// Filters for the PMT selection grid while an acceptance spec is applied
+const STATUS_FILTERS = [
+  { key: 'all', label: 'All' },
+  { key: SPEC_STATUS.PASS, label: 'Pass' },
+  { key: SPEC_STATUS.FAIL, label: 'Fail' },
+  { key: SPEC_STATUS.NO_DATA, label: 'No data' },
 ];
 
+// Audit entries loaded at first, and added by every "Load older entries"
+const AUDIT_PAGE_SIZE = 100;
+
+// PMTs read per query while working out spec results the index does not have
+const SPEC_EVALUATION_BATCH = 20;
+
+// Center line and band of the population view
+const POPULATION_COLOR = '#312e81';
+
 // --- Utility Functions ---
 
-// Simple linear scaling function for SVG plotting
-const scaleData = (value, domainMin, domainMax, rangeMin, rangeMax) => {
-  return rangeMin + (rangeMax - rangeMin) * (value - domainMin) / (domainMax - domainMin);
+// Tooltip for a PMT's spec result (see summarizeSpecResult) in the selection grid
+const specStatusTitle = (summary) => {
+  if (summary.status === SPEC_STATUS.NO_DATA) return 'No data across the whole spec wavelength range';
+  if (summary.status === SPEC_STATUS.PASS) return `Meets spec at all ${summary.checked_count} checked points`;
+  return `${summary.violation_count} violation(s), first at ${summary.first_violation.toFixed(1)} nm`;
+};
+
+// Selection after the PMT list changed: the selected PMTs that still exist,
+// or the first five PMTs when `autoSelect` is set (the first list of a fresh
+// start) and nothing is selected. A selection from a shared link is kept
+// until there is a list to check it against.
+const reconcileSelection = (selected, pmts, autoSelect = false) => {
+  if (pmts.length === 0) return selected;
+  if (autoSelect && selected.length === 0) return [...pmts].sort().slice(0, 5);
+  return selected.filter(pmt => pmts.includes(pmt));
+};
+
+// Spec envelope drawn by SvgLineChart
+const specOverlayOf = (spec) => ({ name: spec.name, curves: specLimitCurves(spec) });
+
+// Tooltip line for a PMT index entry, e.g. "42 points in 2 runs, 200–800 nm"
+const indexEntryTitle = (entry) => {
+  const range = entry.min_wavelength !== null ? `, ${entry.min_wavelength}–${entry.max_wavelength} nm` : '';
+  return `${entry.point_count} points in ${entry.run_count} run(s)${range}`;
 };
 
 // --- Custom Components ---
 
+// Each wheel step zooms the wavelength axis in or out by this factor.
+const ZOOM_STEP = 1.25;
+// Narrowest wavelength window (nm) the chart can be zoomed to.
+const MIN_ZOOM_SPAN = 1;
+// Drags shorter than this (in SVG units) are treated as clicks, not box zooms.
+const MIN_BOX_WIDTH = 5;
+// Shared fallback for optional array props, so memos depending on them stay valid
+const EMPTY = [];
+
 /**
- * Renders the main line chart using SVG.
+ * Renders the main line chart using SVG, with zoom, pan and a crosshair readout.
  */
-const SvgLineChart = ({ data, selectedMetric, pmtList, colorMap }) => {
+const SvgLineChart = ({
+  data, selectedMetric, pmtList, colorMap, svgRef, xDomain, onXDomainChange, axisSettings = DEFAULT_AXIS_SETTINGS,
+  specOverlay = null, metricOverride = null, shadedRegions = EMPTY, population = null, spline = false, fitCurves = null,
+  flaggedPoints = EMPTY, onPointClick = null, selectedPointId = null, hoverWavelength: linkedWavelength = null, onHoverChange = null,
+}) => {
   const chartWidth = 700;
   const chartHeight = 400;
   const padding = 50;
 
-  // Use memoization to calculate scaling domains only when data or metric changes
-  const { xScale, yScale, xAxisTicks, yAxisTicks, yAxisLabel } = useMemo(() => {
-    if (data.length === 0) return {};
+  const clipId = useId();
+  const localSvgRef = useRef(null);
+  const wheelHandlerRef = useRef(null);
+  const [interactionMode, setInteractionMode] = useState('zoom'); // 'zoom' (box select) or 'pan'
+  const [drag, setDrag] = useState(null); // { startX, currentX, startDomain } in SVG units / nm
+  const [hoverX, setHoverX] = useState(null); // SVG x coordinate of the crosshair
 
-    const xValues = data.map(d => d.wavelength);
-    const yValues = data.map(d => d[selectedMetric]);
+  // Group data by PMT for plotting multiple lines
+  // (sorted by wavelength for a clean line plot)
+  const dataByPmt = useMemo(() => groupCurvesByPmt(data, pmtList), [data, pmtList]);
+  const bands = population ? population.bands : EMPTY;
+  const hasContent = data.length > 0 || bands.length > 0;
 
-    const xMin = Math.min(...xValues);
-    const xMax = Math.max(...xValues);
-    const yMin = Math.min(...yValues);
-    const yMax = Math.max(...yValues);
+  // Full wavelength extent of the data; the zoom window is kept inside it
+  const fullXDomain = useMemo(() => fullXExtent(data, bands, shadedRegions), [data, bands, shadedRegions]);
+  const activeXDomain = activeZoomWindow(xDomain, fullXDomain);
+  const [xMin, xMax] = activeXDomain || fullXDomain || [0, 1];
 
-    const xRange = xMax - xMin;
-    const yRange = yMax - yMin;
+  // Y value actually plotted, e.g. |current| when the absolute-value option is on
+  const yValue = useCallback(
+    (d) => (axisSettings.absolute ? Math.abs(d[selectedMetric]) : d[selectedMetric]),
+    [axisSettings.absolute, selectedMetric]
+  );
 
-    const xTicks = [];
-    for (let i = 0; i <= 5; i++) {
-        xTicks.push(xMin + (xRange / 5) * i);
-    }
+  // Use memoization to calculate scaling domains only when data, metric, zoom or axis settings change
+  const { xAxis, yAxis, xAxisLabels, yAxisLabels, yAxisLabel, hiddenPointCount } = useMemo(() => {
+    if (!hasContent) return {};
 
-    const yTicks = [];
-    for (let i = 0; i <= 5; i++) {
-        yTicks.push(yMin + (yRange / 5) * i);
-    }
-    
-    const metricLabel = Y_AXIS_OPTIONS.find(opt => opt.key === selectedMetric)?.label || '';
+    // Fit the Y axis to everything drawn inside the visible wavelength window
+    const { domain: yDomain, isManual } = computeYDomain(data, selectedMetric, [xMin, xMax], axisSettings, {
+      bands,
+      fitCurves,
+      specCurves: specOverlay ? specOverlay.curves : null,
+    });
+
+    const xDomainForScale = xMin === xMax ? [xMin - 1, xMax + 1] : [xMin, xMax];
+    const x = createAxisScale(axisSettings.xScale, xDomainForScale, [padding, chartWidth - padding]);
+    const y = createAxisScale(axisSettings.yScale, yDomain, [chartHeight - padding, padding], { // Note: Y is inverted for SVG
+      nice: !isManual,
+    });
+
+    const metricOption = metricOverride || Y_AXIS_OPTIONS.find(opt => opt.key === selectedMetric);
 
     return { 
-      xScale: (x) => scaleData(x, xMin, xMax, padding, chartWidth - padding),
-      yScale: (y) => scaleData(y, yMin, yMax, chartHeight - padding, padding), // Note: Y is inverted for SVG
-      xAxisTicks: xTicks,
-      yAxisTicks: yTicks,
-      yAxisLabel: metricLabel,
+      xAxis: x,
+      yAxis: y,
+      xAxisLabels: formatWavelengthTicks(x.ticks, x.step),
+      yAxisLabels: formatTicks(y.ticks, y.step, metricOption?.unit, { prefix: metricOption?.prefix !== false }),
+      yAxisLabel: `${axisSettings.absolute ? '|' : ''}${metricOption?.label || ''}${axisSettings.absolute ? '|' : ''}`,
+      // Non-positive values cannot be drawn on a log axis
+      hiddenPointCount: axisSettings.yScale === 'log' ? data.filter(d => !(yValue(d) > 0)).length : 0,
     };
-  }, [data, selectedMetric]);
+  }, [data, bands, hasContent, selectedMetric, xMin, xMax, axisSettings, yValue, specOverlay, metricOverride, fitCurves]);
+
+  const xScale = xAxis?.scale;
+  const yScale = yAxis?.scale;
+  const isPlottable = (d) => axisSettings.yScale !== 'log' || yValue(d) > 0;
+
+  // --- Zoom and Pan ---
+
+  // Converts a mouse event position into SVG x coordinates.
+  const toSvgX = (clientX) => {
+    const rect = localSvgRef.current.getBoundingClientRect();
+    return (clientX - rect.left) * chartWidth / rect.width;
+  };
+
+  const isInPlotArea = (x) => x >= padding && x <= chartWidth - padding;
+
+  // Applies a new zoom window, clamped to the data extent. Zooming out to the
+  // full range clears the zoom.
+  const setZoomWindow = (min, max) => {
+    const [fullMin, fullMax] = fullXDomain;
+    const fullSpan = fullMax - fullMin;
+    const span = Math.max(max - min, MIN_ZOOM_SPAN);
+    if (span >= fullSpan) {
+      onXDomainChange(null);
+      return;
+    }
+    const start = clamp(min, fullMin, fullMax - span);
+    onXDomainChange([start, start + span]);
+  };
+
+  wheelHandlerRef.current = (e) => {
+    const x = toSvgX(e.clientX);
+    if (!isInPlotArea(x)) return;
+    e.preventDefault();
+    // Zoom around the wavelength under the cursor, in axis (linear or log) space
+    const { forward, inverse } = xAxis;
+    const center = forward(xAxis.invert(x));
+    const factor = e.deltaY < 0 ? 1 / ZOOM_STEP : ZOOM_STEP;
+    setZoomWindow(
+      inverse(center - (center - forward(xMin)) * factor),
+      inverse(center + (forward(xMax) - center) * factor)
+    );
+  };
+
+  // React registers wheel listeners as passive, so attach one that can prevent page scrolling
+  const hasData = data.length > 0;
+  useEffect(() => {
+    const svg = localSvgRef.current;
+    if (!svg) return;
+    const onWheel = (e) => wheelHandlerRef.current(e);
+    svg.addEventListener('wheel', onWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', onWheel);
+  }, [hasData]);
+
+  const handleMouseDown = (e) => {
+    const x = toSvgX(e.clientX);
+    if (!isInPlotArea(x)) return;
+    setDrag({ startX: x, currentX: x, startDomain: [xMin, xMax] });
+  };
+
+  const handleMouseMove = (e) => {
+    const x = toSvgX(e.clientX);
+    setHoverX(isInPlotArea(x) ? x : null);
+    if (onHoverChange) onHoverChange(isInPlotArea(x) ? xAxis.invert(x) : null);
+    if (!drag) return;
+
+    if (interactionMode === 'pan') {
+      const { forward, inverse } = xAxis;
+      const [startMin, startMax] = drag.startDomain.map(forward);
+      const shift = (drag.startX - x) * (startMax - startMin) / (chartWidth - 2 * padding);
+      setZoomWindow(inverse(startMin + shift), inverse(startMax + shift));
+    } else {
+      setDrag({ ...drag, currentX: clamp(x, padding, chartWidth - padding) });
+    }
+  };
+
+  const handleMouseUp = () => {
+    if (drag && interactionMode === 'zoom' && Math.abs(drag.currentX - drag.startX) > MIN_BOX_WIDTH) {
+      const left = Math.min(drag.startX, drag.currentX);
+      const right = Math.max(drag.startX, drag.currentX);
+      setZoomWindow(xAxis.invert(left), xAxis.invert(right));
+    }
+    setDrag(null);
+  };
+
+  const handleMouseLeave = () => {
+    setHoverX(null);
+    setDrag(null);
+    if (onHoverChange) onHoverChange(null);
+  };
+
+  const setSvgRefs = (element) => {
+    localSvgRef.current = element;
+    if (svgRef) svgRef.current = element;
+  };
 
-  if (data.length === 0) {
+  if (!hasContent) {
     return (
       <div className="flex items-center justify-center h-full text-gray-500 bg-gray-50 rounded-lg p-10 border-2 border-dashed border-gray-300">
         <LineChart className="w-6 h-6 mr-2" /> No data selected or available to plot.
@@ -106,123 +336,350 @@ const SvgLineChart = ({ data, selectedMetric, pmtList, colorMap }) => {
     );
   }
 
-  // Group data by PMT for plotting multiple lines
-  const dataByPmt = pmtList.reduce((acc, pmt) => {
-    acc[pmt] = data.filter(d => d.source_file === pmt)
-                   .sort((a, b) => a.wavelength - b.wavelength); // Sort by Wavelength for clean line plot
-    return acc;
-  }, {});
+  const metricOption = metricOverride || Y_AXIS_OPTIONS.find(opt => opt.key === selectedMetric);
+
+  // Linked charts place the crosshair at the wavelength hovered in any of them
+  const crosshairX = onHoverChange
+    ? (linkedWavelength !== null && linkedWavelength >= xMin && linkedWavelength <= xMax ? xScale(linkedWavelength) : null)
+    : hoverX;
+
+  // Crosshair readout: every selected PMT's value at the hovered wavelength
+  const hoverWavelength = crosshairX !== null && !drag ? xAxis.invert(crosshairX) : null;
+  const readings = hoverWavelength === null ? [] : [
+    ...(bands.length > 0
+      ? [{ pmt: population.label, color: POPULATION_COLOR, value: interpolateAt(bands, hoverWavelength, 'center') }]
+      : []),
+    ...pmtList.map((pmt, index) => ({
+      pmt,
+      color: colorMap[pmt] || PLOT_COLORS[index % PLOT_COLORS.length],
+      value: interpolateAt(dataByPmt[pmt], hoverWavelength, selectedMetric),
+    })),
+  ]
+    .filter(reading => reading.value !== null)
+    .map(reading => ({ ...reading, value: axisSettings.absolute ? Math.abs(reading.value) : reading.value }));
+
+  // Stored points can be picked (e.g. to flag them); computed ones such as ratios cannot
+  const pointClickProps = (d) => (onPointClick && d.id ? {
+    onClick: () => onPointClick(d),
+    style: { cursor: 'pointer' },
+  } : {});
+  const selectedPoint = selectedPointId
+    ? [...data, ...flaggedPoints].find(d => d.id === selectedPointId && pmtList.includes(d.source_file)) || null
+    : null;
+
+  // Population band points, in plotted values (log axes skip non-positive ones)
+  const bandValue = (v) => (axisSettings.absolute ? Math.abs(v) : v);
+  const drawableBands = bands.filter(b => axisSettings.yScale !== 'log'
+    || (bandValue(b.lower) > 0 && bandValue(b.center) > 0 && bandValue(b.upper) > 0));
+  const bandPoint = (b, key) => `${xScale(b.wavelength)},${yScale(bandValue(b[key]))}`;
+
+  const modeButtonClass = (mode) => `px-2 py-1 text-xs font-medium rounded-md flex items-center transition ${
+    interactionMode === mode ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-indigo-50'
+  }`;
 
   return (
     <div className="w-full max-w-4xl mx-auto mt-4 bg-white p-4 shadow-xl rounded-xl">
       <h2 className="text-xl font-semibold mb-4 text-gray-800 text-center">
         {yAxisLabel} vs. Wavelength (nm)
       </h2>
-      <svg viewBox={`0 0 ${chartWidth} ${chartHeight}`} width="100%" height="auto">
-        
-        {/* Y-Axis Grid Lines */}
-        {yAxisTicks.map((tick, i) => (
-          <g key={`y-tick-${i}`}>
-            <line 
-              x1={padding} 
-              y1={yScale(tick)} 
-              x2={chartWidth - padding} 
-              y2={yScale(tick)} 
-              stroke="#e5e7eb" 
-              strokeDasharray="4 4" 
-            />
-            <text 
-              x={padding - 10} 
-              y={yScale(tick)} 
-              dominantBaseline="middle" 
-              textAnchor="end" 
-              fontSize="10" 
-              fill="#6b7280"
-            >
-              {tick.toExponential(2)}
-            </text>
-          </g>
-        ))}
-
-        {/* X-Axis Grid Lines */}
-        {xAxisTicks.map((tick, i) => (
-          <g key={`x-tick-${i}`}>
-            <line 
-              x1={xScale(tick)} 
-              y1={padding} 
-              x2={xScale(tick)} 
-              y2={chartHeight - padding} 
-              stroke="#e5e7eb" 
-              strokeDasharray="4 4" 
-            />
-            <text 
-              x={xScale(tick)} 
-              y={chartHeight - padding + 15} 
-              textAnchor="middle" 
-              fontSize="10" 
-              fill="#6b7280"
-            >
-              {tick.toFixed(0)}
-            </text>
-          </g>
-        ))}
-
-        {/* Axis Labels */}
-        <text x={chartWidth / 2} y={chartHeight - 5} textAnchor="middle" fontSize="12" fontWeight="bold">Wavelength (nm)</text>
-        <text 
-          x={10} 
-          y={chartHeight / 2} 
-          textAnchor="middle" 
-          transform={`rotate(-90, 10, ${chartHeight / 2})`} 
-          fontSize="12" 
-          fontWeight="bold"
+
+      {/* Zoom / Pan Toolbar (not printed) */}
+      <div className="flex items-center justify-end gap-2 mb-2 print:hidden">
+        <span className="text-xs text-gray-500 mr-auto">
+          {activeXDomain
+            ? `Showing ${xMin.toFixed(1)}–${xMax.toFixed(1)} nm`
+            : 'Scroll or drag over the plot to zoom'}
+        </span>
+        <button onClick={() => setInteractionMode('zoom')} className={modeButtonClass('zoom')} title="Drag to select a wavelength range">
+          <ZoomIn className="w-3 h-3 mr-1" /> Box Zoom
+        </button>
+        <button onClick={() => setInteractionMode('pan')} className={modeButtonClass('pan')} title="Drag to move along the wavelength axis">
+          <Move className="w-3 h-3 mr-1" /> Pan
+        </button>
+        <button
+          onClick={() => onXDomainChange(null)}
+          disabled={!activeXDomain}
+          className="px-2 py-1 text-xs font-medium rounded-md flex items-center bg-gray-100 text-gray-700 hover:bg-indigo-50 disabled:opacity-50"
+        >
+          <RotateCcw className="w-3 h-3 mr-1" /> Reset
+        </button>
+      </div>
+      {hiddenPointCount > 0 && (
+        <p className="text-xs text-yellow-700 mb-2">
+          {hiddenPointCount} non-positive value(s) cannot be shown on a log axis. Enable "Absolute value" to plot them.
+        </p>
+      )}
+
+      <div className="relative">
+        <svg
+          ref={setSvgRefs}
+          viewBox={`0 0 ${chartWidth} ${chartHeight}`}
+          width="100%"
+          height="auto"
+          className="select-none"
+          style={{ cursor: interactionMode === 'pan' ? (drag ? 'grabbing' : 'grab') : 'crosshair' }}
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleMouseMove}
+          onMouseUp={handleMouseUp}
+          onMouseLeave={handleMouseLeave}
         >
-          {yAxisLabel}
-        </text>
-
-        {/* Plot Lines and Markers */}
-        {pmtList.map((pmt, index) => {
-          const pmtData = dataByPmt[pmt];
-          const color = colorMap[pmt] || PLOT_COLORS[index % PLOT_COLORS.length];
-
-          // Create the polyline string: "x1,y1 x2,y2 ..."
-          const linePath = pmtData.map(d => 
-            `${xScale(d.wavelength)},${yScale(d[selectedMetric])}`
-          ).join(' ');
-
-          return (
-            <g key={pmt}>
-              {/* Line */}
-              <polyline 
-                fill="none" 
-                stroke={color} 
-                strokeWidth="2" 
-                points={linePath} 
+          <defs>
+            <clipPath id={clipId}>
+              <rect x={padding} y={padding} width={chartWidth - 2 * padding} height={chartHeight - 2 * padding} />
+            </clipPath>
+            <pattern id={`${clipId}-hatch`} width="8" height="8" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+              <line x1="0" y1="0" x2="0" y2="8" stroke="#9ca3af" strokeWidth="2" />
+            </pattern>
+          </defs>
+          
+          {/* Y-Axis Grid Lines */}
+          {yAxis.ticks.map((tick, i) => (
+            <g key={`y-tick-${i}`}>
+              <line 
+                x1={padding} 
+                y1={yScale(tick)} 
+                x2={chartWidth - padding} 
+                y2={yScale(tick)} 
+                stroke="#e5e7eb" 
+                strokeDasharray="4 4" 
               />
-              {/* Markers */}
-              {pmtData.map((d, dIndex) => (
-                <circle
-                  key={dIndex}
-                  cx={xScale(d.wavelength)}
-                  cy={yScale(d[selectedMetric])}
-                  r="4"
-                  fill={color}
-                  stroke="white"
-                  strokeWidth="1.5"
+              <text 
+                x={padding - 10} 
+                y={yScale(tick)} 
+                dominantBaseline="middle" 
+                textAnchor="end" 
+                fontSize="10" 
+                fill="#6b7280"
+              >
+                {yAxisLabels[i]}
+              </text>
+            </g>
+          ))}
+
+          {/* X-Axis Grid Lines */}
+          {xAxis.ticks.map((tick, i) => (
+            <g key={`x-tick-${i}`}>
+              <line 
+                x1={xScale(tick)} 
+                y1={padding} 
+                x2={xScale(tick)} 
+                y2={chartHeight - padding} 
+                stroke="#e5e7eb" 
+                strokeDasharray="4 4" 
+              />
+              <text 
+                x={xScale(tick)} 
+                y={chartHeight - padding + 15} 
+                textAnchor="middle" 
+                fontSize="10" 
+                fill="#6b7280"
+              >
+                {xAxisLabels[i]}
+              </text>
+            </g>
+          ))}
+
+          {/* Axis Labels */}
+          <text x={chartWidth / 2} y={chartHeight - 5} textAnchor="middle" fontSize="12" fontWeight="bold">Wavelength (nm)</text>
+          <text 
+            x={10} 
+            y={chartHeight / 2} 
+            textAnchor="middle" 
+            transform={`rotate(-90, 10, ${chartHeight / 2})`} 
+            fontSize="12" 
+            fontWeight="bold"
+          >
+            {yAxisLabel}
+          </text>
+
+          {/* Plot Lines and Markers, clipped to the plot area when zoomed */}
+          <g clipPath={`url(#${clipId})`}>
+            {/* Regions Without Data (e.g. outside the reference PMT's range) */}
+            {shadedRegions.map(([lo, hi], i) => (
+              <g key={`shade-${i}`}>
+                <rect
+                  x={xScale(lo)}
+                  y={padding}
+                  width={Math.max(0, xScale(hi) - xScale(lo))}
+                  height={chartHeight - 2 * padding}
+                  fill={`url(#${clipId}-hatch)`}
+                  opacity="0.35"
                 >
-                    {/* Tooltip on hover (basic) */}
-                    <title>{`${pmt}: Wavelength=${d.wavelength.toFixed(1)}nm, ${selectedMetric}=${d[selectedMetric].toExponential(3)}`}</title>
-                </circle>
+                  <title>{`No reference data: ${lo.toFixed(1)}–${hi.toFixed(1)} nm`}</title>
+                </rect>
+                <text x={(xScale(lo) + xScale(hi)) / 2} y={padding + 14} textAnchor="middle" fontSize="10" fill="#6b7280">
+                  No reference data
+                </text>
+              </g>
+            ))}
+
+            {/* Acceptance Spec Envelope */}
+            {specOverlay && ['min', 'max'].map(kind => specOverlay.curves[kind].map((curve, i) => (
+              <polyline
+                key={`spec-${kind}-${i}`}
+                fill="none"
+                stroke="#dc2626"
+                strokeWidth="1.5"
+                strokeDasharray={kind === 'min' ? '6 3' : '2 3'}
+                points={curve
+                  .map(p => ({ wavelength: p.wavelength, value: axisSettings.absolute ? Math.abs(p.value) : p.value }))
+                  .filter(p => axisSettings.yScale !== 'log' || p.value > 0)
+                  .map(p => `${xScale(p.wavelength)},${yScale(p.value)}`)
+                  .join(' ')}
+              >
+                <title>{`${specOverlay.name}: ${kind} limit`}</title>
+              </polyline>
+            )))}
+
+            {/* Population Center Line and Spread Band */}
+            {drawableBands.length > 0 && (
+              <g>
+                <polygon
+                  fill={POPULATION_COLOR}
+                  fillOpacity="0.15"
+                  stroke="none"
+                  points={[
+                    ...drawableBands.map(b => bandPoint(b, 'upper')),
+                    ...[...drawableBands].reverse().map(b => bandPoint(b, 'lower')),
+                  ].join(' ')}
+                />
+                <polyline fill="none" stroke={POPULATION_COLOR} strokeWidth="2.5" points={drawableBands.map(b => bandPoint(b, 'center')).join(' ')}>
+                  <title>{population.label}</title>
+                </polyline>
+              </g>
+            )}
+
+            {pmtList.map((pmt, index) => {
+              const pmtData = dataByPmt[pmt].filter(isPlottable);
+              const color = colorMap[pmt] || PLOT_COLORS[index % PLOT_COLORS.length];
+
+              // Create the polyline string: "x1,y1 x2,y2 ..."
+              const linePoints = spline ? splineInterpolate(pmtData, selectedMetric).filter(isPlottable) : pmtData;
+              const linePath = linePoints.map(d => 
+                `${xScale(d.wavelength)},${yScale(yValue(d))}`
+              ).join(' ');
+              const fitPath = fitCurves && fitCurves[pmt]
+                ? fitCurves[pmt].filter(isPlottable).map(d => `${xScale(d.wavelength)},${yScale(yValue(d))}`).join(' ')
+                : null;
+
+              return (
+                <g key={pmt}>
+                  {/* Line */}
+                  <polyline 
+                    fill="none" 
+                    stroke={color} 
+                    strokeWidth="2" 
+                    points={linePath} 
+                  />
+                  {/* Fitted Model Curve */}
+                  {fitPath && (
+                    <polyline fill="none" stroke={color} strokeWidth="1.5" strokeDasharray="5 3" points={fitPath}>
+                      <title>{`${pmt}: fitted model`}</title>
+                    </polyline>
+                  )}
+                  {/* Markers */}
+                  {pmtData.map((d, dIndex) => (
+                    <circle
+                      key={dIndex}
+                      cx={xScale(d.wavelength)}
+                      cy={yScale(yValue(d))}
+                      r="4"
+                      fill={color}
+                      stroke="white"
+                      strokeWidth="1.5"
+                      {...pointClickProps(d)}
+                    />
+                  ))}
+                </g>
+              );
+            })}
+
+            {/* Flagged Points: crosses, left out of lines and statistics */}
+            {flaggedPoints.filter(isPlottable).map((d) => {
+              const [x, y] = [xScale(d.wavelength), yScale(yValue(d))];
+              return (
+                <g key={`flag-${d.id}`} stroke={colorMap[d.source_file] || '#6b7280'} strokeWidth="2" {...pointClickProps(d)}>
+                  <line x1={x - 4} y1={y - 4} x2={x + 4} y2={y + 4} />
+                  <line x1={x - 4} y1={y + 4} x2={x + 4} y2={y - 4} />
+                  <circle cx={x} cy={y} r="6" fill="transparent" stroke="none" />
+                  <title>{`${d.source_file} @ ${d.wavelength.toFixed(1)} nm: flagged (${d.flag.reason})`}</title>
+                </g>
+              );
+            })}
+
+            {/* Selected Point */}
+            {selectedPoint && isPlottable(selectedPoint) && (
+              <circle
+                cx={xScale(selectedPoint.wavelength)}
+                cy={yScale(yValue(selectedPoint))}
+                r="8"
+                fill="none"
+                stroke="#111827"
+                strokeWidth="1.5"
+                pointerEvents="none"
+              />
+            )}
+          </g>
+
+          {/* Box Zoom Selection */}
+          {drag && interactionMode === 'zoom' && (
+            <rect
+              x={Math.min(drag.startX, drag.currentX)}
+              y={padding}
+              width={Math.abs(drag.currentX - drag.startX)}
+              height={chartHeight - 2 * padding}
+              fill="#6366f1"
+              fillOpacity="0.15"
+              stroke="#6366f1"
+              strokeDasharray="3 3"
+            />
+          )}
+
+          {/* Crosshair */}
+          {hoverWavelength !== null && (
+            <g pointerEvents="none">
+              <line x1={crosshairX} y1={padding} x2={crosshairX} y2={chartHeight - padding} stroke="#6b7280" strokeDasharray="2 2" />
+              {readings.filter(reading => axisSettings.yScale !== 'log' || reading.value > 0).map(reading => (
+                <circle
+                  key={reading.pmt}
+                  cx={crosshairX}
+                  cy={yScale(reading.value)}
+                  r="5"
+                  fill="white"
+                  stroke={reading.color}
+                  strokeWidth="2"
+                />
               ))}
             </g>
-          );
-        })}
+          )}
 
-        {/* Draw Axes after grid and lines so they are on top */}
-        <line x1={padding} y1={chartHeight - padding} x2={chartWidth - padding} y2={chartHeight - padding} stroke="black" />
-        <line x1={padding} y1={padding} x2={padding} y2={chartHeight - padding} stroke="black" />
-        
-      </svg>
+          {/* Draw Axes after grid and lines so they are on top */}
+          <line x1={padding} y1={chartHeight - padding} x2={chartWidth - padding} y2={chartHeight - padding} stroke="black" />
+          <line x1={padding} y1={padding} x2={padding} y2={chartHeight - padding} stroke="black" />
+          
+        </svg>
+
+        {/* Hover Tooltip */}
+        {hoverWavelength !== null && (
+          <div
+            className="absolute top-2 pointer-events-none bg-white/95 border border-gray-200 shadow-lg rounded-lg px-3 py-2 text-xs z-10"
+            style={{
+              left: `${(crosshairX / chartWidth) * 100}%`,
+              transform: crosshairX > chartWidth / 2 ? 'translateX(calc(-100% - 12px))' : 'translateX(12px)',
+            }}
+          >
+            <div className="font-semibold text-gray-800 mb-1">λ = {hoverWavelength.toFixed(1)} nm</div>
+            {readings.length === 0 && <div className="text-gray-400">No PMT measured here</div>}
+            {readings.map(reading => (
+              <div key={reading.pmt} className="flex items-center whitespace-nowrap">
+                <span className="w-2 h-2 rounded-full mr-2" style={{ backgroundColor: reading.color }}></span>
+                <span className="text-gray-600 mr-2">{reading.pmt}</span>
+                <span className="font-mono text-gray-900 ml-auto">{formatSI(reading.value, metricOption?.unit, 4, { prefix: metricOption?.prefix !== false })}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
     </div>
   );
 };
@@ -231,132 +688,728 @@ const SvgLineChart = ({ data, selectedMetric, pmtList, colorMap }) => {
 /**
  * Main application component.
  */
-const App = () => {
-  const [db, setDb] = useState(null);
-  const [auth, setAuth] = useState(null);
-  const [userId, setUserId] = useState(null);
+const App = ({ dataSource: providedDataSource }) => {
+  const [initialView] = useState(() => readViewHash(window.location.hash));
+  // Only a start without a view in the URL picks a few PMTs, and only once: an
+  // emptied selection or a shared view without PMTs stays empty
+  const autoSelectRef = useRef(!window.location.hash.replace(/^#/, ''));
+  // Who is writing, read by the audited data source at the time of each write
+  const actorRef = useRef({ uid: null, name: null, role: 'viewer' });
+  // Read by the Firestore data source at the time of each write, which fails while offline
+  const isOfflineRef = useRef(false);
+  // Failed listeners are retried, and writes to pmt_data also keep the PMT index
+  // current; the index updates go through the audited layer like any other write.
+  // Only Firestore has a server to be offline from; the browser-only backends always write.
+  const withAccessControl = (source) => {
+    const controlled = createIndexingDataSource(createAuditedDataSource(
+      createRetryingDataSource(source),
+      { getActor: () => actorRef.current }
+    ));
+    return source.type === 'firestore'
+      ? createOnlineWritesDataSource(controlled, { isOffline: () => isOfflineRef.current })
+      : controlled;
+  };
+  const [dataSource, setDataSource] = useState(() => (providedDataSource ? withAccessControl(providedDataSource) : null));
+  const [user, setUser] = useState(null);
+  const [roleDocs, setRoleDocs] = useState({}); // Role documents by uid
+  const [rolesLoaded, setRolesLoaded] = useState(false);
+  const [auditEntries, setAuditEntries] = useState([]); // Newest first; loaded for admins only
+  const [auditLimit, setAuditLimit] = useState(AUDIT_PAGE_SIZE);
   const [isAuthReady, setIsAuthReady] = useState(false);
-  const [allData, setAllData] = useState([]);
-  const [selectedPmts, setSelectedPmts] = useState([]);
-  const [selectedMetric, setSelectedMetric] = useState('light_response');
+  const [storedIndex, setStoredIndex] = useState({}); // PMT index entries by source_file
+  const [fallbackIndex, setFallbackIndex] = useState(null); // Built in the browser while the index is missing
+  const [conversions, setConversions] = useState({}); // Derived-metric settings by source_file
+  const [specs, setSpecs] = useState([]);
+  const [activeSpecId, setActiveSpecId] = useState(null);
+  const [evaluatedSpecStatus, setEvaluatedSpecStatus] = useState({}); // specKey -> { source_file: summary or null }
+  const [statusFilter, setStatusFilter] = useState('all'); // 'all' or a SPEC_STATUS value
+  const [metadataDocs, setMetadataDocs] = useState({}); // Saved PMT metadata by serial number
+  const [facets, setFacets] = useState(EMPTY_FACETS);
+  const [runDocs, setRunDocs] = useState({}); // Measurement runs by run ID
+  const [historyPmt, setHistoryPmt] = useState(null); // PMT shown in the measurement history
+  const [historyXDomain, setHistoryXDomain] = useState(null);
+  const [population, setPopulation] = useState(DEFAULT_POPULATION_SETTINGS);
+  const [detailPmts, setDetailPmts] = useState([]); // Curves drawn on top of the population band
+  const [curveProcessing, setCurveProcessing] = useState(DEFAULT_CURVE_PROCESSING);
+  const [trashDocs, setTrashDocs] = useState({}); // Soft-deleted PMT datasets by source_file
+  const [showFlagged, setShowFlagged] = useState(false);
+  const [selectedPointId, setSelectedPointId] = useState(null); // Point picked in the chart for flagging
+  const [editorPmt, setEditorPmt] = useState(null); // PMT shown in the data point editor
+  const [selectedPmts, setSelectedPmts] = useState(initialView.selectedPmts || []);
+  const [selectedMetric, setSelectedMetric] = useState(initialView.selectedMetric || DEFAULT_METRIC);
+  const [panelMetrics, setPanelMetrics] = useState(initialView.panelMetrics); // Extra chart panels next to the main one
+  const [dashboards, setDashboards] = useState([]);
+  const [linkedHover, setLinkedHover] = useState(null); // Wavelength under the crosshair of any panel
+  const [isReportOpen, setIsReportOpen] = useState(false);
+  const [xDomain, setXDomain] = useState(initialView.xDomain); // Wavelength zoom window, null = full range
+  const [axisSettings, setAxisSettings] = useState(initialView.axisSettings);
+  const [comparison, setComparison] = useState(initialView.comparison);
   const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const [isIndexLoaded, setIsIndexLoaded] = useState(false); // False until the first index snapshot
+  const [isIndexFromCache, setIsIndexFromCache] = useState(false); // Served from the offline cache
+  const [authAttempt, setAuthAttempt] = useState(0); // Bumped to retry signing in
+  const [error, setError] = useState(null); // Fatal: the data source could not be created
+  const [notices, setNotices] = useState({}); // Non-fatal problems by key, shown as banners
+  const isOnline = useOnlineStatus();
+  // Firestore is offline while the PMT index keeps coming from its cache; a
+  // browser without a network skips the grace period the first snapshot gets
+  const isServedFromCache = useSustained(isIndexFromCache, CACHE_GRACE_MS);
+  const isOffline = dataSource?.type === 'firestore' && (isServedFromCache || (!isOnline && isIndexFromCache));
 
-  // Set the Firestore collection path for public data
-  const collectionPath = `artifacts/${appId}/public/data/pmt_data`;
-  
-  // 1. Initialize Firebase, Auth, and Database
   useEffect(() => {
-    if (!firebaseConfig) {
-      setError('Firebase configuration is missing. Cannot initialize application.');
-      setIsLoading(false);
-      return;
-    }
+    isOfflineRef.current = isOffline;
+  }, [isOffline]);
+  const chartSvgRef = useRef(null);
+
+  // 1. Initialize the configured data source (unless one was passed in, e.g. by tests)
+  useEffect(() => {
+    if (providedDataSource) return;
 
     try {
-      setLogLevel('debug'); // Enable detailed Firebase logging
-      const app = initializeApp(firebaseConfig);
-      const firestore = getFirestore(app);
-      const userAuth = getAuth(app);
-      
-      setDb(firestore);
-      setAuth(userAuth);
+      setDataSource(withAccessControl(createDataSource(dataSourceType, {
+        firebaseConfig, appId, initialAuthToken, logLevel: firestoreLogLevel,
+      })));
     } catch (e) {
-      setError(`Firebase Initialization Error: ${e.message}`);
+      setError(`Data Source Initialization Error: ${e.message}`);
       setIsLoading(false);
     }
+  }, [providedDataSource]);
+
+  // Stable, so the listener effects below can depend on them without resubscribing
+  const showNotice = useCallback((key, message) => {
+    setNotices(prev => (prev[key] === message ? prev : { ...prev, [key]: message }));
   }, []);
 
+  const clearNotice = useCallback((key) => {
+    setNotices((prev) => {
+      if (!(key in prev)) return prev;
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  }, []);
 
-  // 2. Handle Authentication and Initial Data Setup
+  // 2. Handle Authentication. A failed sign-in leaves an anonymous or no
+  // session, which can still read cached and public data.
   useEffect(() => {
-    if (!auth || !db) return;
+    if (!dataSource) return;
+
+    let unsubscribe = () => {};
+    let cancelled = false;
 
     const authenticateAndSetup = async () => {
       try {
-        if (initialAuthToken) {
-          await signInWithCustomToken(auth, initialAuthToken);
-        } else {
-          await signInAnonymously(auth);
-        }
+        await dataSource.signIn();
+        clearNotice('auth');
       } catch (e) {
         console.error("Auth Error:", e);
-        setError(`Authentication failed: ${e.message}`);
+        showNotice('auth', `Authentication failed: ${e.message}`);
         setIsAuthReady(true); // Proceed to data loading attempt
       }
+      if (cancelled) return;
 
-      onAuthStateChanged(auth, async (user) => {
-        if (user) {
-          setUserId(user.uid);
-          // Check if data needs to be seeded (only runs once on first user's load)
-          const pmtDataRef = collection(db, collectionPath);
-          const snapshot = await getDocs(pmtDataRef);
-          
-          if (snapshot.empty) {
-            console.log("Seeding database with initial PMT data...");
-            await Promise.all(initialData.map((data, index) => {
-              // Use a predictable ID for each data point
-              return setDoc(doc(pmtDataRef, `entry_${index}`), data);
-            }));
-            console.log("Database seeded successfully.");
-          }
-        }
+      unsubscribe = dataSource.onUserChanged((currentUser) => {
+        setUser(currentUser);
         setIsAuthReady(true);
       });
     };
 
     authenticateAndSetup();
-  }, [auth, db]);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [dataSource, authAttempt, showNotice, clearNotice]);
 
 
-  // 3. Listen for Real-time Data Changes (onSnapshot)
-  useEffect(() => {
-    if (!db || !isAuthReady) return;
+  // Applies a new PMT list to the selection; see reconcileSelection
+  const reconcileWithPmtList = useCallback((pmts) => {
+    const autoSelect = autoSelectRef.current;
+    if (pmts.length > 0) autoSelectRef.current = false;
+    setSelectedPmts(prev => reconcileSelection(prev, pmts, autoSelect));
+  }, []);
 
-    const pmtDataRef = collection(db, collectionPath);
-    const q = query(pmtDataRef);
+  // 3. Listen for the PMT index; the data points are loaded per PMT below
+  useEffect(() => {
+    if (!dataSource || !isAuthReady) return;
 
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setAllData(data);
-      
-      // Determine all unique PMT serial numbers and initialize selection
-      const uniquePmts = [...new Set(data.map(d => d.source_file))].sort();
-      // Select the first 5 PMTs by default, or all if less than 5
-      setSelectedPmts(prev => {
-        if (prev.length === 0) {
-          return uniquePmts.slice(0, Math.min(uniquePmts.length, 5));
-        }
-        // Ensure previously selected PMTs are still valid
-        return prev.filter(p => uniquePmts.includes(p));
-      });
+    const unsubscribe = dataSource.subscribe(PMT_INDEX_COLLECTION, (entries, meta) => {
+      clearNotice('index');
+      setIsIndexFromCache(Boolean(meta?.fromCache));
+      setIsIndexLoaded(true);
+      setStoredIndex(entries.reduce((acc, entry) => {
+        acc[entry.id] = entry;
+        return acc;
+      }, {}));
+      reconcileWithPmtList(entries.map(entry => entry.id));
       setIsLoading(false);
-    }, (e) => {
-      console.error("Firestore Snapshot Error:", e);
-      setError(`Failed to fetch data: ${e.message}`);
+    }, (e, retry) => {
+      console.error("Index Snapshot Error:", e);
+      showNotice('index', retryMessage('the PMT list', e, retry));
       setIsLoading(false);
     });
 
     return () => unsubscribe();
-  }, [db, isAuthReady]); // Re-run only when db or auth status changes
+  }, [dataSource, isAuthReady, reconcileWithPmtList, showNotice, clearNotice]); // The callbacks are stable, so this re-runs only on data source or auth changes
+
+  // 4. Listen for the per-PMT conversion settings used by the derived metrics
+  useEffect(() => {
+    if (!dataSource || !isAuthReady) return;
+
+    const unsubscribe = dataSource.subscribe(PMT_CONVERSIONS_COLLECTION, (docs) => {
+      clearNotice('conversions');
+      setConversions(docs.reduce((acc, { id, ...settings }) => {
+        acc[id] = settings;
+        return acc;
+      }, {}));
+    }, (e, retry) => {
+      console.error("Conversion Settings Error:", e);
+      showNotice('conversions', retryMessage('the conversion settings', e, retry));
+    });
+
+    return () => unsubscribe();
+  }, [dataSource, isAuthReady, showNotice, clearNotice]);
+
+  // 5. Listen for the shared acceptance specs
+  useEffect(() => {
+    if (!dataSource || !isAuthReady) return;
+
+    const unsubscribe = dataSource.subscribe(PMT_SPECS_COLLECTION, (docs) => {
+      clearNotice('specs');
+      setSpecs([...docs].sort((a, b) => a.name.localeCompare(b.name)));
+    }, (e, retry) => {
+      console.error("Spec Snapshot Error:", e);
+      showNotice('specs', retryMessage('the acceptance specs', e, retry));
+    });
+
+    return () => unsubscribe();
+  }, [dataSource, isAuthReady, showNotice, clearNotice]);
+
+  // 6. Listen for the PMT metadata records used by the selection filters
+  useEffect(() => {
+    if (!dataSource || !isAuthReady) return;
+
+    const unsubscribe = dataSource.subscribe(PMT_METADATA_COLLECTION, (docs) => {
+      clearNotice('metadata');
+      setMetadataDocs(docs.reduce((acc, { id, ...metadata }) => {
+        acc[id] = metadata;
+        return acc;
+      }, {}));
+    }, (e, retry) => {
+      console.error("Metadata Snapshot Error:", e);
+      showNotice('metadata', retryMessage('the PMT metadata', e, retry));
+    });
+
+    return () => unsubscribe();
+  }, [dataSource, isAuthReady, showNotice, clearNotice]);
+
+  // 7. Listen for the measurement runs
+  useEffect(() => {
+    if (!dataSource || !isAuthReady) return;
+
+    const unsubscribe = dataSource.subscribe(PMT_RUNS_COLLECTION, (docs) => {
+      clearNotice('runs');
+      setRunDocs(docs.reduce((acc, run) => {
+        acc[run.id] = run;
+        return acc;
+      }, {}));
+    }, (e, retry) => {
+      console.error("Run Snapshot Error:", e);
+      showNotice('runs', retryMessage('the measurement runs', e, retry));
+    });
+
+    return () => unsubscribe();
+  }, [dataSource, isAuthReady, showNotice, clearNotice]);
+
+  // 8. Mirror the view in the URL hash; back/forward restore earlier views
+  const applyViewHash = useCallback((hash) => {
+    const view = readViewHash(hash);
+    setSelectedPmts(view.selectedPmts || []);
+    setSelectedMetric(view.selectedMetric || DEFAULT_METRIC);
+    setPanelMetrics(view.panelMetrics);
+    setAxisSettings(view.axisSettings);
+    setXDomain(view.xDomain);
+    setComparison(view.comparison);
+  }, []);
+
+  useUrlViewState({ selectedPmts, selectedMetric, panelMetrics, axisSettings, xDomain, comparison }, applyViewHash, !isLoading);
+
+  // 9. Listen for the user roles
+  useEffect(() => {
+    if (!dataSource || !isAuthReady) return;
+
+    const unsubscribe = dataSource.subscribe(PMT_ROLES_COLLECTION, (docs) => {
+      clearNotice('roles');
+      setRoleDocs(docs.reduce((acc, { id, ...roleDoc }) => {
+        acc[id] = roleDoc;
+        return acc;
+      }, {}));
+      setRolesLoaded(true);
+    }, (e, retry) => {
+      console.error("Role Snapshot Error:", e);
+      showNotice('roles', retryMessage('the user roles', e, retry));
+      setRolesLoaded(true); // Without role documents everyone is treated as a viewer
+    });
+
+    return () => unsubscribe();
+  }, [dataSource, isAuthReady, showNotice, clearNotice]);
+
+  const userId = user ? user.uid : null;
+  const role = dataSource && rolesLoaded ? resolveRole(user, roleDocs, DEFAULT_ROLES[dataSource.type]) : 'viewer';
+  const isAdmin = hasRole(role, 'admin');
+
+  useEffect(() => {
+    actorRef.current = { uid: userId, name: userDisplayName(user), role };
+  }, [user, userId, role]);
+
+  // 10. Listen for the newest `auditLimit` audit entries (admins only; the
+  // rules deny everyone else). The log only grows, so it is never read whole.
+  useEffect(() => {
+    if (!dataSource || !isAuthReady || !isAdmin) {
+      setAuditEntries([]);
+      return;
+    }
+
+    const unsubscribe = dataSource.subscribeLatest(PMT_AUDIT_COLLECTION, 'timestamp', auditLimit, (docs) => {
+      clearNotice('audit');
+      setAuditEntries(docs);
+    }, (e, retry) => {
+      console.error("Audit Snapshot Error:", e);
+      showNotice('audit', retryMessage('the audit log', e, retry));
+    });
+
+    return () => unsubscribe();
+  }, [dataSource, isAuthReady, isAdmin, auditLimit, showNotice, clearNotice]);
+
+  // 11. Seed an empty dataset with the sample data (admins only, once). An
+  // empty index over existing data points (stored before the index existed)
+  // is rebuilt instead. A cached snapshot may just be a cold cache, so only
+  // an empty index confirmed by the server counts.
+  const hasSeededRef = useRef(false);
+  const isIndexEmpty = Object.keys(storedIndex).length === 0;
+  useEffect(() => {
+    if (!dataSource || !isIndexLoaded || isIndexFromCache || !isIndexEmpty || !isAdmin || hasSeededRef.current) return;
+    hasSeededRef.current = true;
+
+    const seed = async () => {
+      if (!(await dataSource.isEmpty(PMT_DATA_COLLECTION))) {
+        console.log("Rebuilding the PMT index...");
+        await rebuildPmtIndex(dataSource);
+        return;
+      }
+      console.log("Seeding database with initial PMT data...");
+      // The sample data is one undated run per PMT
+      const seedRunId = (sourceFile) => `seed_${serialFromSourceFile(sourceFile)}`;
+      await dataSource.setDocs(
+        PMT_RUNS_COLLECTION,
+        [...new Set(initialData.map(d => d.source_file))].map(sourceFile => ({
+          id: seedRunId(sourceFile),
+          source_file: sourceFile,
+          measured_at: null,
+          hv_setting: null,
+          temperature_c: null,
+          notes: 'Initial sample data',
+          file_name: sourceFile,
+        }))
+      );
+      // Use a predictable ID for each data point
+      await dataSource.setDocs(
+        PMT_DATA_COLLECTION,
+        initialData.map((data, index) => ({
+          id: `${seedRunId(data.source_file)}_${index}`,
+          ...data,
+          run_id: seedRunId(data.source_file),
+        }))
+      );
+      console.log("Database seeded successfully.");
+    };
+
+    seed().catch((e) => {
+      console.error("Seeding Error:", e);
+      showNotice('seed', `Failed to seed the sample data: ${e.message}`);
+    });
+  }, [dataSource, isIndexLoaded, isIndexFromCache, isIndexEmpty, isAdmin, showNotice]);
+
+  // Other roles cannot rebuild a missing index. Until an admin does, their PMT
+  // list comes from one full read of pmt_data, and a banner says so.
+  useEffect(() => {
+    if (!isIndexEmpty) {
+      setFallbackIndex(null);
+      clearNotice('index-missing');
+      return;
+    }
+    if (!dataSource || !isIndexLoaded || isIndexFromCache || !rolesLoaded || isAdmin) return;
+
+    let cancelled = false;
+    const load = async () => {
+      if (await dataSource.isEmpty(PMT_DATA_COLLECTION)) return;
+      const entries = buildPmtIndexEntries(await dataSource.getDocs(PMT_DATA_COLLECTION));
+      if (cancelled) return;
+      setFallbackIndex(Object.fromEntries(entries.map(entry => [entry.id, entry])));
+      reconcileWithPmtList(entries.map(entry => entry.id));
+      showNotice('index-missing', 'The PMT index is missing, so the PMT list was read from all data points and does not update. Ask an admin to rebuild the index under Access & Audit.');
+    };
+
+    load().catch((e) => {
+      console.error("Fallback Index Error:", e);
+      showNotice('index-missing', `The PMT index is missing and the data points could not be read: ${e.message}`);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [dataSource, isIndexLoaded, isIndexFromCache, isIndexEmpty, rolesLoaded, isAdmin, reconcileWithPmtList, showNotice, clearNotice]);
+
+  const pmtIndex = isIndexEmpty && fallbackIndex ? fallbackIndex : storedIndex;
+
+  // 12. Listen for soft-deleted PMT datasets
+  useEffect(() => {
+    if (!dataSource || !isAuthReady) return;
+
+    const unsubscribe = dataSource.subscribe(PMT_TRASH_COLLECTION, (docs) => {
+      clearNotice('trash');
+      const trashed = docs.reduce((acc, record) => {
+        acc[record.id] = record;
+        return acc;
+      }, {});
+      setTrashDocs(trashed);
+      setSelectedPmts(prev => prev.filter(p => !trashed[p]));
+    }, (e, retry) => {
+      console.error("Trash Snapshot Error:", e);
+      showNotice('trash', retryMessage('the trashed datasets', e, retry));
+    });
+
+    return () => unsubscribe();
+  }, [dataSource, isAuthReady, showNotice, clearNotice]);
+
+  // 13. Listen for the saved dashboards
+  useEffect(() => {
+    if (!dataSource || !isAuthReady) return;
+
+    const unsubscribe = dataSource.subscribe(PMT_DASHBOARDS_COLLECTION, (docs) => {
+      clearNotice('dashboards');
+      setDashboards([...docs].sort((a, b) => a.name.localeCompare(b.name)));
+    }, (e, retry) => {
+      console.error("Dashboard Snapshot Error:", e);
+      showNotice('dashboards', retryMessage('the saved dashboards', e, retry));
+    });
+
+    return () => unsubscribe();
+  }, [dataSource, isAuthReady, showNotice, clearNotice]);
+
+  const handleSignIn = async () => {
+    try {
+      await dataSource.signInWithGoogle();
+    } catch (e) {
+      console.error("Sign-in Error:", e);
+      showNotice('auth', `Sign-in failed: ${e.message}`);
+    }
+  };
+
+  // Signing out returns to an anonymous, read-only session
+  const handleSignOut = async () => {
+    try {
+      await dataSource.signOut();
+      await dataSource.signIn();
+    } catch (e) {
+      console.error("Sign-out Error:", e);
+      showNotice('auth', `Authentication failed: ${e.message}`);
+    }
+  };
 
   // --- Derived State ---
 
+  // Everything below ignores trashed PMT datasets
   const uniquePmts = useMemo(() => {
-    return [...new Set(allData.map(d => d.source_file))].sort();
-  }, [allData]);
+    return Object.keys(pmtIndex).filter(pmt => !trashDocs[pmt]).sort();
+  }, [pmtIndex, trashDocs]);
+
+  const activeHistoryPmt = uniquePmts.includes(historyPmt) ? historyPmt : (selectedPmts[0] || uniquePmts[0] || null);
+  const activeEditorPmt = uniquePmts.includes(editorPmt) ? editorPmt : (selectedPmts[0] || uniquePmts[0] || null);
+
+  // Only the points of the selected, history and editor PMTs are loaded
+  const handleRowsError = useCallback((pmt, e, retry) => {
+    console.error("Data Snapshot Error:", e);
+    showNotice(`rows:${pmt}`, retryMessage(`the data of ${pmt}`, e, retry));
+  }, [showNotice]);
+  const handleRowsLoad = useCallback((pmt) => clearNotice(`rows:${pmt}`), [clearNotice]);
+  const { rowsByPmt, loadingPmts } = usePmtRows(
+    dataSource,
+    [...selectedPmts, activeHistoryPmt, activeEditorPmt].filter(pmt => uniquePmts.includes(pmt)),
+    isAuthReady,
+    handleRowsError,
+    handleRowsLoad
+  );
+
+  const activeData = useMemo(() => uniquePmts.flatMap(pmt => rowsByPmt[pmt] || []), [uniquePmts, rowsByPmt]);
+
+  const pmtColorMap = useMemo(() => buildColorMap(uniquePmts), [uniquePmts]);
+
+  // Every run of every PMT; the explorer shows each PMT's latest run
+  const runsByPmt = useMemo(() => groupRunsByPmt(activeData, runDocs), [activeData, runDocs]);
+
+  // Raw rows of the latest runs plus every derived metric (QE, radiant sensitivity, normalized response).
+  // Flagged points are split off: they are left out of lines, statistics and fits.
+  const [derivedData, flaggedData] = useMemo(() => {
+    const rows = applyDerivedMetrics(latestRunRows(activeData, runsByPmt), conversions);
+    return [rows.filter(d => !isFlagged(d)), rows.filter(isFlagged)];
+  }, [activeData, runsByPmt, conversions]);
+
+  const filteredData = useMemo(() => {
+    return derivedData.filter(d => selectedPmts.includes(d.source_file));
+  }, [derivedData, selectedPmts]);
+
+  // Selected curves with the plotted metric smoothed; everything downstream works on these
+  const processedData = useMemo(() => {
+    if (curveProcessing.smoothing === 'none') return filteredData;
+    const curves = groupCurvesByPmt(filteredData, selectedPmts);
+    return selectedPmts.flatMap(pmt => smoothCurve(curves[pmt], selectedMetric, curveProcessing));
+  }, [filteredData, selectedPmts, selectedMetric, curveProcessing]);
+
+  const selectedMetricOption = Y_AXIS_OPTIONS.find(opt => opt.key === selectedMetric);
+  const isDerivedMetric = selectedMetricOption?.derived;
 
-  const pmtColorMap = useMemo(() => {
-    return uniquePmts.reduce((acc, pmt, index) => {
-      acc[pmt] = PLOT_COLORS[index % PLOT_COLORS.length];
+  // The reference falls back to the first selected PMT when it is deselected
+  const referencePmt = selectedPmts.includes(comparison.referencePmt) ? comparison.referencePmt : (selectedPmts[0] || null);
+  const isComparing = comparison.mode !== 'off' && referencePmt !== null;
+
+  // Ratio / difference against the reference PMT on a common wavelength grid
+  const comparisonResult = useMemo(() => {
+    if (!isComparing) return null;
+    return compareToReference(groupCurvesByPmt(processedData, selectedPmts), referencePmt, selectedMetric, comparison.mode);
+  }, [isComparing, processedData, selectedPmts, referencePmt, selectedMetric, comparison.mode]);
+
+  // What the chart, table and exports show: raw curves or the comparison
+  const plotData = comparisonResult ? comparisonResult.rows : processedData;
+  const plotMetricOption = useMemo(() => {
+    if (!isComparing) return selectedMetricOption;
+    return comparison.mode === 'ratio'
+      ? { ...selectedMetricOption, label: `${selectedMetricOption.label} ÷ ${referencePmt}`, unit: '', prefix: false }
+      : { ...selectedMetricOption, label: `${selectedMetricOption.label} − ${referencePmt}` };
+  }, [isComparing, comparison.mode, selectedMetricOption, referencePmt]);
+
+  // Response model fit per PMT (source_file -> fitCurve() result or null); not for comparisons
+  const fits = useMemo(() => {
+    if (curveProcessing.model === 'none' || isComparing) return null;
+    const curves = groupCurvesByPmt(processedData, selectedPmts);
+    return Object.fromEntries(selectedPmts.map(pmt => [pmt, fitCurve(curves[pmt], selectedMetric, curveProcessing.model)]));
+  }, [curveProcessing.model, isComparing, processedData, selectedPmts, selectedMetric]);
+
+  // Population view: center and spread of all plotted curves, plus outliers
+  const populationResult = useMemo(() => {
+    if (!population.enabled) return null;
+    return computePopulation(groupCurvesByPmt(plotData, selectedPmts), selectedMetric, population);
+  }, [population, plotData, selectedPmts, selectedMetric]);
+
+  // Individually drawn curves: all of them, or only the toggled ones in the population view
+  const chartPmts = population.enabled ? selectedPmts.filter(pmt => detailPmts.includes(pmt)) : selectedPmts;
+  const chartData = population.enabled ? plotData.filter(d => chartPmts.includes(d.source_file)) : plotData;
+  const populationOverlay = useMemo(() => {
+    if (!populationResult) return null;
+    const center = CENTER_OPTIONS.find(option => option.key === population.center).label;
+    const band = BAND_OPTIONS.find(option => option.key === population.band).label;
+    return { bands: populationResult.bands, label: `${center} (${band}) of ${selectedPmts.length} PMTs` };
+  }, [populationResult, population.center, population.band, selectedPmts.length]);
+
+  // Dashed fitted curves for the individually drawn PMTs
+  const fitCurves = useMemo(() => {
+    if (!fits) return null;
+    return Object.fromEntries(chartPmts.filter(pmt => fits[pmt]).map(pmt => [pmt, fits[pmt].curve]));
+  }, [fits, chartPmts]);
+
+  const handleDetailToggle = (pmt) => {
+    setDetailPmts(prev => (prev.includes(pmt) ? prev.filter(p => p !== pmt) : [...prev, pmt]));
+  };
+
+  const activeSpec = useMemo(() => specs.find(spec => spec.id === activeSpecId) || null, [specs, activeSpecId]);
+
+  // Full pass/fail result of every loaded PMT against the active spec, keyed
+  // by source_file; PMTs whose points were never loaded have no result here
+  const specResults = useMemo(() => {
+    if (!activeSpec) return {};
+    const curves = groupCurvesByPmt(derivedData);
+    return uniquePmts.filter(pmt => rowsByPmt[pmt]).reduce((acc, pmt) => {
+      acc[pmt] = evaluateSpec(activeSpec, curves[pmt] || []);
       return acc;
     }, {});
-  }, [uniquePmts]);
+  }, [activeSpec, derivedData, uniquePmts, rowsByPmt]);
 
-  const filteredData = useMemo(() => {
-    return allData.filter(d => selectedPmts.includes(d.source_file));
-  }, [allData, selectedPmts]);
+  // Result summary of every PMT for the grid and the pass/fail filter: evaluated
+  // for loaded PMTs, taken from the PMT index for the others as long as it was
+  // computed for the spec's current limits, else worked out below
+  const activeSpecKey = activeSpec ? specKey(activeSpec) : null;
+  const specSummaries = useMemo(() => {
+    if (!activeSpec) return {};
+    const evaluated = evaluatedSpecStatus[activeSpecKey] || {};
+    return uniquePmts.reduce((acc, pmt) => {
+      const indexed = pmtIndex[pmt]?.spec_status?.[activeSpec.id];
+      const summary = specResults[pmt]
+        ? summarizeSpecResult(specResults[pmt])
+        : (indexed?.spec_key === activeSpecKey ? indexed : evaluated[pmt]);
+      if (summary) acc[pmt] = summary;
+      return acc;
+    }, {});
+  }, [activeSpec, activeSpecKey, uniquePmts, specResults, pmtIndex, evaluatedSpecStatus]);
+
+  // PMTs without a result for a new or edited spec. Saving a spec does not
+  // re-evaluate the whole index, so their points are read here a batch at a
+  // time, and roles that may write the index store the results for everyone.
+  const unevaluatedPmts = useMemo(
+    () => (activeSpec ? uniquePmts.filter(pmt => !specSummaries[pmt] && !(pmt in (evaluatedSpecStatus[activeSpecKey] || {}))) : EMPTY),
+    [activeSpec, activeSpecKey, uniquePmts, specSummaries, evaluatedSpecStatus]
+  );
+  const nextSpecBatch = unevaluatedPmts.slice(0, SPEC_EVALUATION_BATCH).join('\n');
+  // A fallback index must not be partly stored, or it would replace the full list
+  const canStoreSpecStatus = canWrite(role, PMT_INDEX_COLLECTION, 'set') && !isIndexEmpty;
+  useEffect(() => {
+    if (!dataSource || !activeSpecId || !nextSpecBatch) return;
+    const sourceFiles = nextSpecBatch.split('\n');
+    const store = (summaries) => setEvaluatedSpecStatus(prev => ({
+      ...prev,
+      [activeSpecKey]: { ...prev[activeSpecKey], ...Object.fromEntries(sourceFiles.map(pmt => [pmt, summaries[pmt] || null])) },
+    }));
+
+    let cancelled = false;
+    const evaluate = async () => {
+      const entries = await readPmtIndexEntries(dataSource, sourceFiles);
+      if (cancelled) return;
+      store(Object.fromEntries(entries.map(entry => [entry.id, entry.spec_status[activeSpecId]])));
+      if (canStoreSpecStatus && entries.length > 0) {
+        dataSource.setDocs(PMT_INDEX_COLLECTION, entries).catch((e) => {
+          console.error("Spec Status Save Error:", e);
+        });
+      }
+    };
+
+    evaluate().catch((e) => {
+      console.error("Spec Evaluation Error:", e);
+      if (cancelled) return;
+      // Leave the batch without results rather than retrying it forever
+      store({});
+      showNotice('spec-evaluation', `Some PMTs could not be checked against the spec: ${e.message}`);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [dataSource, activeSpecId, activeSpecKey, nextSpecBatch, canStoreSpecStatus, showNotice]);
+
+  const specStatusCounts = useMemo(() => Object.values(specSummaries).reduce((acc, summary) => {
+    acc[summary.status] = (acc[summary.status] || 0) + 1;
+    return acc;
+  }, {}), [specSummaries]);
+
+  // Metadata of every PMT, with defaults (e.g. batch from the serial) where none is saved
+  const pmtMetadata = useMemo(() => uniquePmts.reduce((acc, pmt) => {
+    acc[pmt] = resolveMetadata(pmt, metadataDocs[serialFromSourceFile(pmt)]);
+    return acc;
+  }, {}), [uniquePmts, metadataDocs]);
+
+  const metadataOptions = useMemo(() => facetOptions(Object.values(pmtMetadata)), [pmtMetadata]);
+
+  const facetMatches = useMemo(() => {
+    return uniquePmts.filter(pmt => matchesFacets(pmtMetadata[pmt], facets));
+  }, [uniquePmts, pmtMetadata, facets]);
+
+  const visiblePmts = useMemo(() => {
+    if (!activeSpec || statusFilter === 'all') return facetMatches;
+    return facetMatches.filter(pmt => specSummaries[pmt]?.status === statusFilter);
+  }, [facetMatches, activeSpec, statusFilter, specSummaries]);
+
+  // The spec envelope is only drawn when it constrains the plotted metric,
+  // which is not the case for reference comparisons
+  const specOverlay = useMemo(() => {
+    if (!activeSpec || activeSpec.metric !== selectedMetric || isComparing) return null;
+    return specOverlayOf(activeSpec);
+  }, [activeSpec, selectedMetric, isComparing]);
+
+  // Extra dashboard panels: the selected curves (smoothed like the main chart) in other metrics.
+  // A manual Y range belongs to the main metric, so the panels scale automatically.
+  const dashboardPanels = useMemo(() => {
+    const curves = groupCurvesByPmt(filteredData, selectedPmts);
+    return panelMetrics.filter(key => key !== selectedMetric).map(key => ({
+      metric: key,
+      data: curveProcessing.smoothing === 'none'
+        ? filteredData
+        : selectedPmts.flatMap(pmt => smoothCurve(curves[pmt], key, curveProcessing)),
+      specOverlay: activeSpec && activeSpec.metric === key ? specOverlayOf(activeSpec) : null,
+    }));
+  }, [panelMetrics, selectedMetric, filteredData, selectedPmts, curveProcessing, activeSpec]);
+  const panelAxisSettings = useMemo(() => ({ ...axisSettings, yMin: '', yMax: '' }), [axisSettings]);
+  const hasPanels = dashboardPanels.length > 0;
+
+  // A saved dashboard lists the main metric first; unknown metrics are skipped
+  const handleApplyDashboard = (metrics) => {
+    const known = metrics.filter(key => Y_AXIS_OPTIONS.some(opt => opt.key === key));
+    if (known.length === 0) return;
+    setSelectedMetric(known[0]);
+    setPanelMetrics(known.slice(1));
+  };
+
+  // --- Measurement History ---
+
+  // Rows of each run of the history PMT, with derived metrics computed per run
+  const historyRowsByRun = useMemo(() => {
+    const byRun = {};
+    activeData.forEach((row) => {
+      if (row.source_file !== activeHistoryPmt || isFlagged(row)) return;
+      (byRun[runIdOf(row)] = byRun[runIdOf(row)] || []).push(row);
+    });
+    Object.keys(byRun).forEach((id) => { byRun[id] = applyDerivedMetrics(byRun[id], conversions); });
+    return byRun;
+  }, [activeData, activeHistoryPmt, conversions]);
+
+  const historyTrend = useMemo(() => {
+    return peakTrend(sortedRuns(runsByPmt[activeHistoryPmt]), historyRowsByRun, selectedMetric);
+  }, [runsByPmt, activeHistoryPmt, historyRowsByRun, selectedMetric]);
+
+  // The overlay chart plots one series per run, named "#n <date>"
+  const historyChart = useMemo(() => {
+    const labels = historyTrend.map(({ run }, i) => `#${i + 1} ${runLabel(run)}`);
+    return {
+      labels,
+      runColors: buildColorMap(historyTrend.map(({ run }) => run.id)),
+      labelColors: buildColorMap(labels),
+      data: historyTrend.flatMap(({ run }, i) => (historyRowsByRun[run.id] || []).map(row => ({ ...row, source_file: labels[i] }))),
+    };
+  }, [historyTrend, historyRowsByRun]);
+
+
+  // --- Data Point Editing ---
 
+  // Every stored point of the editor PMT, by run (oldest first) and wavelength
+  const editorRows = useMemo(() => {
+    const runOrder = sortedRuns(runsByPmt[activeEditorPmt]).map(run => run.id);
+    return activeData
+      .filter(row => row.source_file === activeEditorPmt)
+      .sort((a, b) => runOrder.indexOf(runIdOf(a)) - runOrder.indexOf(runIdOf(b)) || a.wavelength - b.wavelength);
+  }, [activeData, activeEditorPmt, runsByPmt]);
+
+  const editorRunLabels = useMemo(() => {
+    return (runsByPmt[activeEditorPmt] || []).reduce((acc, run) => {
+      acc[run.id] = runLabel(run);
+      return acc;
+    }, {});
+  }, [runsByPmt, activeEditorPmt]);
+
+  // Flagged points drawn as crosses; comparisons plot computed values, which have no stored point
+  const chartFlaggedPoints = showFlagged && !isComparing
+    ? flaggedData.filter(d => chartPmts.includes(d.source_file))
+    : [];
+
+  // The point picked in the chart: its stored document and its plotted value
+  const selectedPointRow = selectedPointId ? activeData.find(d => d.id === selectedPointId) || null : null;
+  const selectedPointValue = selectedPointId
+    ? [...derivedData, ...flaggedData].find(d => d.id === selectedPointId)?.[selectedMetric]
+    : null;
+
+  // --- Qualification Report ---
+
+  // Unsmoothed latest-run curves of the selected PMTs, and the run each one comes from
+  const reportCurves = useMemo(() => groupCurvesByPmt(derivedData, selectedPmts), [derivedData, selectedPmts]);
+  const reportRunLabels = useMemo(() => selectedPmts.reduce((acc, pmt) => {
+    const runs = sortedRuns(runsByPmt[pmt]);
+    if (runs.length > 0) acc[pmt] = runLabel(runs[runs.length - 1]);
+    return acc;
+  }, {}), [selectedPmts, runsByPmt]);
 
   // --- Event Handlers ---
 
@@ -368,8 +1421,21 @@ const App = () => {
     );
   };
 
+  // Selects every PMT shown in the grid, i.e. respecting the pass/fail filter
   const handleSelectAll = () => {
-    setSelectedPmts(uniquePmts);
+    setSelectedPmts(visiblePmts);
+  };
+
+  const pmtButtonClass = (pmt) => {
+    const status = specSummaries[pmt]?.status;
+    if (selectedPmts.includes(pmt)) {
+      if (status === SPEC_STATUS.PASS) return 'text-white shadow-lg ring-4 ring-green-500';
+      if (status === SPEC_STATUS.FAIL) return 'text-white shadow-lg ring-4 ring-red-500';
+      return 'bg-indigo-500 text-white shadow-lg ring-2 ring-indigo-400';
+    }
+    if (status === SPEC_STATUS.PASS) return 'bg-green-100 text-green-800 hover:bg-green-200';
+    if (status === SPEC_STATUS.FAIL) return 'bg-red-100 text-red-800 hover:bg-red-200';
+    return 'bg-gray-200 text-gray-700 hover:bg-gray-300';
   };
 
   const handleClearSelection = () => {
@@ -378,15 +1444,7 @@ const App = () => {
 
   // --- Render ---
 
-  if (!isAuthReady || isLoading) {
-    return (
-      <div className="flex items-center justify-center min-h-screen bg-gray-50 p-6">
-        <Loader className="w-8 h-8 mr-2 text-indigo-600 animate-spin" />
-        <p className="text-lg font-medium text-gray-700">Loading PMT Data and Initializing...</p>
-      </div>
-    );
-  }
-
+  // Only a data source that cannot be created is fatal; everything else is a banner
   if (error) {
     return (
       <div className="min-h-screen bg-red-50 p-6 flex items-center justify-center">
@@ -400,6 +1458,46 @@ const App = () => {
     );
   }
 
+  if (!isAuthReady || isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gray-50 p-6">
+        <Loader className="w-8 h-8 mr-2 text-indigo-600 animate-spin" />
+        <p className="text-lg font-medium text-gray-700">Loading PMT Data and Initializing...</p>
+      </div>
+    );
+  }
+
+
+  // The qualification report replaces the explorer, so only the report pages are printed
+  if (isReportOpen) {
+    return (
+      <QualificationReport
+        pmtList={selectedPmts}
+        curves={reportCurves}
+        metricOption={selectedMetricOption}
+        metadata={pmtMetadata}
+        runLabels={reportRunLabels}
+        spec={activeSpec}
+        specMetricOption={activeSpec && Y_AXIS_OPTIONS.find(opt => opt.key === activeSpec.metric)}
+        specResults={specResults}
+        loadingCount={loadingPmts.length}
+        onClose={() => setIsReportOpen(false)}
+        renderChart={pmt => (
+          <SvgLineChart
+            data={reportCurves[pmt] || []}
+            selectedMetric={selectedMetric}
+            pmtList={[pmt]}
+            colorMap={pmtColorMap}
+            xDomain={null}
+            onXDomainChange={() => {}}
+            axisSettings={axisSettings}
+            specOverlay={activeSpec && activeSpec.metric === selectedMetric ? specOverlayOf(activeSpec) : null}
+          />
+        )}
+      />
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 font-sans p-6">
       <header className="text-center mb-8">
@@ -412,6 +1510,13 @@ const App = () => {
         </p>
       </header>
 
+      <StatusBanners
+        isOffline={isOffline}
+        notices={notices}
+        actions={notices.auth ? { auth: { label: 'Retry', onClick: () => setAuthAttempt(attempt => attempt + 1) } } : {}}
+        onDismiss={clearNotice}
+      />
+
       {/* Control Panel and User Info */}
       <div className="bg-white shadow-2xl rounded-2xl p-6 mb-8 max-w-6xl mx-auto border border-indigo-100">
         <div className="flex flex-col md:flex-row justify-between items-start md:items-center border-b pb-4 mb-4">
@@ -421,7 +1526,20 @@ const App = () => {
           </h2>
           <div className="mt-3 md:mt-0 text-sm text-gray-500 flex items-center">
             <Users className="w-4 h-4 mr-1" />
-            Authenticated User: <span className="font-mono bg-gray-100 text-xs px-2 py-1 rounded ml-1 select-all">{userId}</span>
+            Authenticated User: <span className="font-mono bg-gray-100 text-xs px-2 py-1 rounded ml-1 select-all" title={userDisplayName(user) || ''}>{userId}</span>
+            <span className="ml-2 flex items-center text-xs font-medium text-indigo-700 bg-indigo-50 px-2 py-1 rounded-full" title="Your role">
+              <Shield className="w-3 h-3 mr-1" />
+              {roleLabel(role)}
+            </span>
+            {dataSource?.signInWithGoogle && (user?.isAnonymous ? (
+              <button onClick={handleSignIn} className="ml-2 flex items-center text-xs text-indigo-600 hover:text-indigo-800" title="Sign in to get write access">
+                <LogIn className="w-4 h-4 mr-1" />Sign in
+              </button>
+            ) : (
+              <button onClick={handleSignOut} className="ml-2 flex items-center text-xs text-indigo-600 hover:text-indigo-800">
+                <LogOut className="w-4 h-4 mr-1" />Sign out
+              </button>
+            ))}
           </div>
         </div>
 
@@ -430,6 +1548,12 @@ const App = () => {
           <div className="lg:col-span-2 p-4 border rounded-xl bg-indigo-50/50">
             <label className="block text-lg font-medium text-gray-700 mb-3">
               Select PMT Serial Numbers ({selectedPmts.length} / {uniquePmts.length} selected)
+              {loadingPmts.length > 0 && (
+                <span className="ml-2 inline-flex items-center text-sm font-normal text-gray-500">
+                  <Loader className="w-4 h-4 mr-1 animate-spin" />
+                  Loading {loadingPmts.length} PMT(s)...
+                </span>
+              )}
             </label>
             <div className="flex flex-wrap gap-2 mb-4">
               <button 
@@ -444,21 +1568,51 @@ const App = () => {
               >
                 Clear Selection
               </button>
+              {/* Pass/fail filter, available while a spec is applied */}
+              {activeSpec && (
+                <div className="flex gap-1 ml-auto">
+                  {STATUS_FILTERS.map(filter => (
+                    <button
+                      key={filter.key}
+                      onClick={() => setStatusFilter(filter.key)}
+                      className={`px-3 py-1 text-xs font-medium rounded-full transition ${
+                        statusFilter === filter.key ? 'bg-gray-800 text-white' : 'bg-white text-gray-600 hover:bg-gray-100 border'
+                      }`}
+                    >
+                      {filter.label}
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
+
+            {/* Metadata Facets */}
+            <PmtFacetFilters
+              facets={facets}
+              onChange={setFacets}
+              options={metadataOptions}
+              matchCount={facetMatches.length}
+              totalCount={uniquePmts.length}
+            />
             
             <div className="max-h-48 overflow-y-auto p-2 border rounded-lg bg-white">
               <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-2">
-                {uniquePmts.map((pmt) => (
+                {visiblePmts.map((pmt) => (
                   <button
                     key={pmt}
                     onClick={() => handlePmtToggle(pmt)}
                     className={`py-2 px-3 text-sm font-medium rounded-lg transition-all duration-200 flex items-center justify-center truncate ${
-                      selectedPmts.includes(pmt)
-                        ? 'bg-indigo-500 text-white shadow-lg ring-2 ring-indigo-400'
-                        : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                      pmtButtonClass(pmt)
                     }`}
                     style={{ backgroundColor: selectedPmts.includes(pmt) ? pmtColorMap[pmt] : undefined }}
+                    title={[
+                      formatMetadataSummary(pmtMetadata[pmt]),
+                      pmtIndex[pmt] && indexEntryTitle(pmtIndex[pmt]),
+                      specSummaries[pmt] && specStatusTitle(specSummaries[pmt]),
+                    ].filter(Boolean).join('\n')}
                   >
+                    {specSummaries[pmt]?.status === SPEC_STATUS.PASS && <CheckCircle className="w-4 h-4 mr-1 flex-shrink-0" />}
+                    {specSummaries[pmt]?.status === SPEC_STATUS.FAIL && <XCircle className="w-4 h-4 mr-1 flex-shrink-0" />}
                     {pmt}
                   </button>
                 ))}
@@ -472,39 +1626,252 @@ const App = () => {
               Y-Axis Metric
             </label>
             <div className="space-y-3">
-              {Y_AXIS_OPTIONS.map((option) => (
-                <button
-                  key={option.key}
-                  onClick={() => setSelectedMetric(option.key)}
-                  className={`w-full py-3 px-4 text-left rounded-lg transition-all duration-200 shadow-md flex items-center ${
-                    selectedMetric === option.key
-                      ? 'bg-indigo-600 text-white font-semibold'
-                      : 'bg-white text-gray-700 hover:bg-indigo-50 hover:text-indigo-600'
-                  }`}
-                >
-                  {option.icon}
-                  {option.label}
-                </button>
+              {Y_AXIS_OPTIONS.map((option, index) => (
+                <React.Fragment key={option.key}>
+                  {option.derived && !Y_AXIS_OPTIONS[index - 1].derived && (
+                    <p className="pt-2 text-xs font-semibold uppercase tracking-wide text-gray-500">Derived Metrics</p>
+                  )}
+                  <button
+                    onClick={() => setSelectedMetric(option.key)}
+                    className={`w-full py-3 px-4 text-left rounded-lg transition-all duration-200 shadow-md flex items-center ${
+                      selectedMetric === option.key
+                        ? 'bg-indigo-600 text-white font-semibold'
+                        : 'bg-white text-gray-700 hover:bg-indigo-50 hover:text-indigo-600'
+                    }`}
+                  >
+                    {option.icon}
+                    {option.label}
+                  </button>
+                </React.Fragment>
               ))}
             </div>
           </div>
         </div>
+
+        {/* Axis Scaling Controls */}
+        <div className="mt-6">
+          <AxisControls
+            axisSettings={axisSettings}
+            onChange={setAxisSettings}
+            xDomain={xDomain}
+            onXDomainChange={setXDomain}
+          />
+        </div>
+
+        {/* Extra Metric Panels and Saved Dashboards */}
+        <div className="mt-6">
+          <DashboardPanel
+            dataSource={dataSource}
+            dashboards={dashboards}
+            metricOptions={Y_AXIS_OPTIONS}
+            selectedMetric={selectedMetric}
+            panelMetrics={panelMetrics.filter(key => key !== selectedMetric)}
+            onPanelMetricsChange={setPanelMetrics}
+            onApply={handleApplyDashboard}
+            canEdit={canWrite(role, PMT_DASHBOARDS_COLLECTION, 'set')}
+            canDelete={canWrite(role, PMT_DASHBOARDS_COLLECTION, 'delete')}
+          />
+        </div>
+
+        {/* Ratio / Difference Against a Reference PMT */}
+        <div className="mt-6">
+          <ComparisonControls
+            comparison={{ ...comparison, referencePmt }}
+            onChange={setComparison}
+            pmtList={selectedPmts}
+            result={comparisonResult}
+          />
+        </div>
+
+        {/* Mean / Median With Spread Band and Outliers */}
+        <div className="mt-6">
+          <PopulationPanel
+            settings={population}
+            onChange={setPopulation}
+            result={populationResult}
+            curveCount={selectedPmts.length}
+            detailPmts={detailPmts}
+            onToggleDetail={handleDetailToggle}
+            colorMap={pmtColorMap}
+          />
+        </div>
+
+        {/* Smoothing, Spline Lines and Model Fits */}
+        <div className="mt-6">
+          <CurveProcessingPanel settings={curveProcessing} onChange={setCurveProcessing} />
+        </div>
+
+        {/* Conversion settings only matter for the derived metrics */}
+        {isDerivedMetric && (
+          <div className="mt-6">
+            <ConversionSettingsPanel
+              dataSource={dataSource}
+              pmtList={selectedPmts}
+              conversions={conversions}
+              readOnly={!canWrite(role, PMT_CONVERSIONS_COLLECTION, 'set')}
+            />
+          </div>
+        )}
+
+        {/* Acceptance Spec Selection and Editing */}
+        <div className="mt-6">
+          <SpecPanel
+            dataSource={dataSource}
+            specs={specs}
+            activeSpecId={activeSpecId}
+            onActiveSpecChange={setActiveSpecId}
+            metricOptions={Y_AXIS_OPTIONS}
+            statusCounts={specStatusCounts}
+            pendingCount={unevaluatedPmts.length}
+            canEdit={canWrite(role, PMT_SPECS_COLLECTION, 'set')}
+            canDelete={canWrite(role, PMT_SPECS_COLLECTION, 'delete')}
+          />
+        </div>
+
+        {/* PMT Metadata Editing */}
+        <div className="mt-6">
+          <PmtMetadataPanel
+            dataSource={dataSource}
+            pmtList={selectedPmts}
+            metadataDocs={metadataDocs}
+            readOnly={!canWrite(role, PMT_METADATA_COLLECTION, 'set')}
+          />
+        </div>
+
+        {/* Stored Points: Values, Flags and Soft Delete */}
+        <div className="mt-6">
+          <PmtDataEditor
+            dataSource={dataSource}
+            pmtList={uniquePmts}
+            pmt={activeEditorPmt}
+            onPmtChange={setEditorPmt}
+            rows={editorRows}
+            runLabels={editorRunLabels}
+            trashDocs={Object.values(trashDocs)}
+            canEdit={canWrite(role, PMT_DATA_COLLECTION, 'set')}
+            canTrash={canWrite(role, PMT_TRASH_COLLECTION, 'set')}
+            actorName={userDisplayName(user)}
+          />
+        </div>
+
+        {/* Raw Measurement File Import */}
+        {canWrite(role, PMT_DATA_COLLECTION, 'set') && (
+          <div className="mt-6">
+            <DataImportPanel dataSource={dataSource} existingPmts={uniquePmts} />
+          </div>
+        )}
+
+        {/* Roles and Audit Log */}
+        {isAdmin && (
+          <div className="mt-6">
+            <AccessAdminPanel
+              dataSource={dataSource}
+              roleDocs={roleDocs}
+              auditEntries={auditEntries}
+              hasMoreAudit={auditEntries.length >= auditLimit}
+              onLoadMoreAudit={() => setAuditLimit(prev => prev + AUDIT_PAGE_SIZE)}
+              currentUid={userId}
+            />
+          </div>
+        )}
       </div>
 
       {/* Visualization Area */}
       <div className="max-w-6xl mx-auto bg-white shadow-2xl rounded-2xl p-6 border border-indigo-100">
-        <SvgLineChart 
-          data={filteredData} 
-          selectedMetric={selectedMetric} 
-          pmtList={selectedPmts} 
-          colorMap={pmtColorMap}
-        />
+        <div className="flex justify-end items-center gap-2">
+          {flaggedData.length > 0 && (
+            <label className="mr-auto flex items-center text-sm text-gray-600">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={showFlagged}
+                onChange={(e) => setShowFlagged(e.target.checked)}
+              />
+              Show {flaggedData.length} flagged point(s)
+            </label>
+          )}
+          <CopyLinkButton />
+          <button
+            onClick={() => setIsReportOpen(true)}
+            disabled={selectedPmts.length === 0}
+            title="One printable qualification page per selected PMT"
+            className="px-3 py-1 text-sm font-medium rounded-full text-indigo-600 bg-indigo-100 hover:bg-indigo-200 transition shadow-md flex items-center disabled:opacity-50"
+          >
+            <FileText className="w-4 h-4 mr-1" /> Report
+          </button>
+          <ExportMenu
+            data={chartData}
+            selectedMetric={selectedMetric}
+            pmtList={chartPmts}
+            colorMap={pmtColorMap}
+            svgRef={chartSvgRef}
+            title={`${plotMetricOption?.label} vs. Wavelength (nm)`}
+            population={populationOverlay && { ...populationOverlay, color: POPULATION_COLOR, pmts: selectedPmts }}
+          />
+        </div>
+        <div className={hasPanels ? 'grid grid-cols-1 xl:grid-cols-2 gap-4' : ''}>
+          <SvgLineChart 
+            data={chartData} 
+            selectedMetric={selectedMetric} 
+            pmtList={chartPmts} 
+            colorMap={pmtColorMap}
+            svgRef={chartSvgRef}
+            xDomain={xDomain}
+            onXDomainChange={setXDomain}
+            axisSettings={axisSettings}
+            specOverlay={specOverlay}
+            metricOverride={isComparing ? plotMetricOption : null}
+            shadedRegions={comparisonResult?.uncovered}
+            population={populationOverlay}
+            spline={curveProcessing.spline}
+            fitCurves={fitCurves}
+            flaggedPoints={chartFlaggedPoints}
+            onPointClick={(d) => setSelectedPointId(d.id)}
+            selectedPointId={selectedPointId}
+            hoverWavelength={linkedHover}
+            onHoverChange={hasPanels ? setLinkedHover : null}
+          />
+          {/* Dashboard Panels: same PMTs, zoom and crosshair as the main chart */}
+          {dashboardPanels.map(panel => (
+            <SvgLineChart
+              key={panel.metric}
+              data={panel.data}
+              selectedMetric={panel.metric}
+              pmtList={selectedPmts}
+              colorMap={pmtColorMap}
+              xDomain={xDomain}
+              onXDomainChange={setXDomain}
+              axisSettings={panelAxisSettings}
+              specOverlay={panel.specOverlay}
+              spline={curveProcessing.spline}
+              hoverWavelength={linkedHover}
+              onHoverChange={setLinkedHover}
+            />
+          ))}
+        </div>
+        {selectedPointRow && (
+          <PointFlagEditor
+            dataSource={dataSource}
+            row={selectedPointRow}
+            value={selectedPointValue}
+            metricOption={selectedMetricOption}
+            actorName={userDisplayName(user)}
+            readOnly={!canWrite(role, PMT_DATA_COLLECTION, 'set')}
+            onClose={() => setSelectedPointId(null)}
+          />
+        )}
 
         {/* Legend */}
         <div className="mt-8 pt-4 border-t">
           <h3 className="text-lg font-semibold text-gray-700 mb-3">Legend (PMT Serial Number)</h3>
           <div className="flex flex-wrap gap-x-6 gap-y-3 text-sm">
-            {selectedPmts.map((pmt) => (
+            {populationOverlay && (
+              <div className="flex items-center">
+                <div className="w-6 h-3 rounded-sm mr-2 bg-indigo-900/30 border-t-2 border-indigo-900"></div>
+                <span className="text-gray-600 font-medium">{populationOverlay.label}</span>
+              </div>
+            )}
+            {chartPmts.map((pmt) => (
               <div key={pmt} className="flex items-center">
                 <div 
                   className="w-3 h-3 rounded-full mr-2" 
@@ -515,12 +1882,56 @@ const App = () => {
             ))}
           </div>
         </div>
+
+        {/* Per-PMT Summary Statistics */}
+        <PmtSummaryTable
+          data={plotData}
+          pmtList={selectedPmts}
+          colorMap={pmtColorMap}
+          metricOption={plotMetricOption}
+          fits={fits}
+        />
+
+        {/* Fitted Parameters and Residuals */}
+        {fits && (
+          <FitResultsPanel
+            fits={fits}
+            pmtList={selectedPmts}
+            colorMap={pmtColorMap}
+            metricOption={selectedMetricOption}
+            modelKey={curveProcessing.model}
+          />
+        )}
+
+        {/* Repeated Measurements and Drift of One PMT */}
+        {activeHistoryPmt && (
+          <RunHistoryPanel
+            dataSource={dataSource}
+            pmtList={uniquePmts}
+            pmt={activeHistoryPmt}
+            onPmtChange={setHistoryPmt}
+            trend={historyTrend}
+            metricOption={selectedMetricOption}
+            colorMap={historyChart.runColors}
+            readOnly={!canWrite(role, PMT_RUNS_COLLECTION, 'set')}
+          >
+            <SvgLineChart
+              data={historyChart.data}
+              selectedMetric={selectedMetric}
+              pmtList={historyChart.labels}
+              colorMap={historyChart.labelColors}
+              xDomain={historyXDomain}
+              onXDomainChange={setHistoryXDomain}
+              axisSettings={axisSettings}
+            />
+          </RunHistoryPanel>
+        )}
         
       </div>
       
       <footer className="text-center text-sm text-gray-400 mt-8">
-        Data stored publicly in Firestore collection: 
-        <span className="font-mono block mt-1">{collectionPath}</span>
+        Data stored in {dataSource.type === 'firestore' ? 'public Firestore collection' : 'local data source'}:
+        <span className="font-mono block mt-1">{dataSource.describe(PMT_DATA_COLLECTION)}</span>
       </footer>
     </div>
   );
@@ -0,0 +1,199 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import App from './PMTDataExplorer.jsx';
+import { createMemoryDataSource } from './dataSources/memoryDataSource.js';
+import { buildPmtIndexEntries } from './dataSources/indexingDataSource.js';
+import { PMT_DATA_COLLECTION, PMT_INDEX_COLLECTION, PMT_SPECS_COLLECTION } from './dataSources/index.js';
+
+const rows = [
+  { id: 'a1', source_file: 'A.txt', wavelength: 200, current: -1e-9, intensity: 100, light_response: 2e-12 },
+  { id: 'a2', source_file: 'A.txt', wavelength: 300, current: -2e-9, intensity: 150, light_response: 3e-12 },
+  { id: 'b1', source_file: 'B.txt', wavelength: 250, current: -3e-9, intensity: 120, light_response: 4e-12 },
+];
+
+const withIndex = (data) => ({ [PMT_DATA_COLLECTION]: data, [PMT_INDEX_COLLECTION]: buildPmtIndexEntries(data) });
+
+// A memory source whose only user is an anonymous (read-only) session
+const anonymousSource = (initialCollections) => ({
+  ...createMemoryDataSource({ initialCollections }),
+  onUserChanged: (callback) => {
+    callback({ uid: 'anon', isAnonymous: true });
+    return () => {};
+  },
+});
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+  window.history.replaceState(null, '', '/');
+});
+
+describe('App', () => {
+  it('lists the indexed PMTs and loads the selected ones', async () => {
+    render(<App dataSource={createMemoryDataSource({ initialCollections: withIndex(rows) })} />);
+
+    expect(await screen.findByText(/Select PMT Serial Numbers \(2 \/ 2 selected\)/)).toBeTruthy();
+    expect(screen.getAllByRole('button', { name: 'A.txt' })).toHaveLength(1);
+    await waitFor(() => expect(screen.queryByText(/Loading \d+ PMT/)).toBeNull());
+    // The main chart and the measurement history
+    expect(screen.getAllByText('Light Response (A/uWatt/cm²/nm) vs. Wavelength (nm)')).toHaveLength(2);
+  });
+
+  it('keeps a selection from the URL', async () => {
+    window.history.replaceState(null, '', '/#pmt=B.txt&metric=current');
+    render(<App dataSource={createMemoryDataSource({ initialCollections: withIndex(rows) })} />);
+
+    expect(await screen.findByText(/\(1 \/ 2 selected\)/)).toBeTruthy();
+    expect(screen.getAllByText('Current (A) vs. Wavelength (nm)')).toHaveLength(2);
+  });
+
+  it('leaves a cleared selection empty when the PMT list changes', async () => {
+    const source = createMemoryDataSource({ initialCollections: withIndex(rows) });
+    render(<App dataSource={source} />);
+
+    expect(await screen.findByText(/\(2 \/ 2 selected\)/)).toBeTruthy();
+    fireEvent.click(screen.getByRole('button', { name: 'Clear Selection' }));
+    await source.setDocs(PMT_INDEX_COLLECTION, buildPmtIndexEntries([{ ...rows[0], id: 'c1', source_file: 'C.txt' }]));
+    expect(await screen.findByText(/\(0 \/ 3 selected\)/)).toBeTruthy();
+  });
+
+  it('does not pick PMTs for a shared view without any', async () => {
+    window.history.replaceState(null, '', '/#metric=current');
+    render(<App dataSource={createMemoryDataSource({ initialCollections: withIndex(rows) })} />);
+
+    expect(await screen.findByText(/\(0 \/ 2 selected\)/)).toBeTruthy();
+  });
+
+  it('filters by the indexed spec results of PMTs that are not loaded', async () => {
+    window.history.replaceState(null, '', '/#pmt=B.txt');
+    // Fails A.txt (current below -1.5e-9 at 300 nm); B.txt has no points in the band
+    const spec = { id: 's1', name: 'Dark', metric: 'current', mode: 'bands', bands: [{ lo: 280, hi: 300, min: -1.5e-9, max: null }] };
+    const source = createMemoryDataSource({ initialCollections: { ...withIndex(rows), [PMT_SPECS_COLLECTION]: [spec] } });
+    await source.setDocs(PMT_INDEX_COLLECTION, buildPmtIndexEntries(rows, new Date(), { specs: [spec] }));
+    const getDocsWhere = vi.spyOn(source, 'getDocsWhere');
+    render(<App dataSource={source} />);
+
+    expect(await screen.findByText(/\(1 \/ 2 selected\)/)).toBeTruthy();
+    fireEvent.change(screen.getByDisplayValue('No spec applied'), { target: { value: 's1' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Fail' }));
+    expect(screen.getByRole('button', { name: 'A.txt' })).toBeTruthy();
+    expect(screen.queryByRole('button', { name: 'B.txt' })).toBeNull();
+    expect(getDocsWhere).not.toHaveBeenCalled();
+  });
+
+  it('works out and stores the results of a spec the index has none for', async () => {
+    window.history.replaceState(null, '', '/#pmt=B.txt');
+    const spec = { id: 's1', name: 'Dark', metric: 'current', mode: 'bands', bands: [{ lo: 280, hi: 300, min: -1.5e-9, max: null }] };
+    // The index holds results of an earlier version of the spec that passed every PMT
+    const earlier = { ...spec, bands: [{ lo: 280, hi: 300, min: -1, max: null }] };
+    const source = createMemoryDataSource({ initialCollections: { ...withIndex(rows), [PMT_SPECS_COLLECTION]: [spec] } });
+    await source.setDocs(PMT_INDEX_COLLECTION, buildPmtIndexEntries(rows, new Date(), { specs: [earlier] }));
+    render(<App dataSource={source} />);
+
+    expect(await screen.findByText(/\(1 \/ 2 selected\)/)).toBeTruthy();
+    fireEvent.change(screen.getByDisplayValue('No spec applied'), { target: { value: 's1' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Fail' }));
+    expect(await screen.findByRole('button', { name: 'A.txt' })).toBeTruthy();
+    await waitFor(async () => {
+      const [entry] = await source.getDocs(PMT_INDEX_COLLECTION);
+      expect(entry.spec_status.s1.status).toBe('fail');
+    });
+  });
+
+  it('shows a banner while a failed listener is retried, then recovers', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const memory = createMemoryDataSource({ initialCollections: withIndex(rows) });
+    let failures = 1;
+    const source = {
+      ...memory,
+      subscribe: (name, onNext, onError) => {
+        if (name === PMT_INDEX_COLLECTION && failures > 0) {
+          failures -= 1;
+          onError(new Error('unavailable'));
+          return () => {};
+        }
+        return memory.subscribe(name, onNext, onError);
+      },
+    };
+    render(<App dataSource={source} />);
+
+    expect((await screen.findByRole('alert')).textContent).toContain('Failed to load the PMT list: unavailable. Retrying in 1 s.');
+    expect(screen.queryByText('Application Error')).toBeNull();
+
+    expect(await screen.findByText(/\(2 \/ 2 selected\)/, {}, { timeout: 3000 })).toBeTruthy();
+    expect(screen.queryByRole('alert')).toBeNull();
+    // Nothing was seeded while the index was unknown
+    expect(await source.getDocs(PMT_DATA_COLLECTION)).toHaveLength(3);
+  });
+
+  it('reports a failed sign-in without blocking the explorer', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const source = {
+      ...anonymousSource(withIndex(rows)),
+      signIn: async () => { throw new Error('network error'); },
+    };
+    render(<App dataSource={source} />);
+
+    expect((await screen.findByRole('alert')).textContent).toContain('Authentication failed: network error');
+    expect(await screen.findByText(/\(2 \/ 2 selected\)/)).toBeTruthy();
+  });
+
+  it('seeds an empty dataset with the sample data for admins', async () => {
+    const source = createMemoryDataSource();
+    render(<App dataSource={source} />);
+
+    await waitFor(async () => {
+      expect((await source.getDocs(PMT_INDEX_COLLECTION)).map(entry => entry.id).sort()).toEqual(['A24-1080.txt', 'J23-1062.txt']);
+    });
+    expect(await source.getDocs(PMT_DATA_COLLECTION)).toHaveLength(11);
+    expect(await screen.findByText(/\(2 \/ 2 selected\)/)).toBeTruthy();
+  });
+
+  it('does not seed from an empty cached index', async () => {
+    const memory = createMemoryDataSource();
+    const source = {
+      ...memory,
+      subscribe: (name, onNext, onError) => memory.subscribe(name, docs => onNext(docs, { fromCache: true }), onError),
+    };
+    render(<App dataSource={source} />);
+
+    expect(await screen.findByText(/\(0 \/ 0 selected\)/)).toBeTruthy();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(await memory.isEmpty(PMT_DATA_COLLECTION)).toBe(true);
+  });
+
+  it('rebuilds a missing index instead of seeding over existing data', async () => {
+    const source = createMemoryDataSource({ initialCollections: { [PMT_DATA_COLLECTION]: rows } });
+    render(<App dataSource={source} />);
+
+    expect(await screen.findByText(/\(2 \/ 2 selected\)/)).toBeTruthy();
+    expect(await source.getDocs(PMT_DATA_COLLECTION)).toHaveLength(3);
+  });
+
+  it('lists the PMTs from the data points while the index is missing for non-admins', async () => {
+    render(<App dataSource={anonymousSource({ [PMT_DATA_COLLECTION]: rows })} />);
+
+    expect((await screen.findByRole('alert')).textContent).toContain('The PMT index is missing');
+    expect(await screen.findByText(/\(2 \/ 2 selected\)/)).toBeTruthy();
+  });
+
+  it('keeps the browser-only backends writable without a network', async () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    const source = createMemoryDataSource();
+    render(<App dataSource={source} />);
+
+    await waitFor(async () => expect(await source.getDocs(PMT_DATA_COLLECTION)).toHaveLength(11));
+    expect(screen.queryByText(/Offline/)).toBeNull();
+  });
+
+  it('does not seed for read-only sessions', async () => {
+    const source = anonymousSource({});
+    render(<App dataSource={source} />);
+
+    expect(await screen.findByText(/\(0 \/ 0 selected\)/)).toBeTruthy();
+    expect(await source.isEmpty(PMT_DATA_COLLECTION)).toBe(true);
+    expect(screen.queryByText(/Import/)).toBeNull();
+  });
+});
@@ -0,0 +1,82 @@
+import React from 'react';
+import { autoDomain, createAxisScale, formatSI, formatTicks } from './axisScales.js';
+import { DRIFT_WARNING_FRACTION } from './measurementRuns.js';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = 45;
+
+/**
+ * Peak magnitude of each dated run over time, with the first run as the
+ * baseline and a dashed line where a drop counts as drift.
+ * `trend` is the output of peakTrend().
+ */
+const PeakTrendChart = ({ trend, metricOption }) => {
+  const points = trend
+    .filter(point => point.run.measured_at && point.peakValue !== null)
+    .map(point => ({ ...point, time: new Date(point.run.measured_at).getTime(), value: Math.abs(point.peakValue) }));
+
+  if (points.length < 2) {
+    return (
+      <p className="text-sm text-gray-500 p-4 bg-gray-50 rounded-lg">
+        At least two dated runs are needed to show a trend.
+      </p>
+    );
+  }
+
+  const baseline = points[0].value;
+  const threshold = baseline * (1 - DRIFT_WARNING_FRACTION);
+  const prefix = metricOption.prefix !== false;
+
+  const x = createAxisScale('linear', autoDomain(points.map(p => p.time), 'linear'), [PADDING, WIDTH - PADDING]);
+  const y = createAxisScale('linear', autoDomain([...points.map(p => p.value), threshold], 'linear'), [HEIGHT - PADDING, PADDING / 2], { nice: true });
+  const yLabels = formatTicks(y.ticks, y.step, metricOption.unit, { prefix });
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" height="auto" className="bg-white">
+      {y.ticks.map((tick, i) => (
+        <g key={`y-${i}`}>
+          <line x1={PADDING} x2={WIDTH - PADDING} y1={y.scale(tick)} y2={y.scale(tick)} stroke="#e5e7eb" strokeDasharray="4 4" />
+          <text x={PADDING - 6} y={y.scale(tick)} dominantBaseline="middle" textAnchor="end" fontSize="10" fill="#6b7280">{yLabels[i]}</text>
+        </g>
+      ))}
+
+      {/* Drift threshold relative to the first run */}
+      <line
+        x1={PADDING} x2={WIDTH - PADDING} y1={y.scale(threshold)} y2={y.scale(threshold)}
+        stroke="#dc2626" strokeWidth="1" strokeDasharray="6 3"
+      >
+        <title>{`${(DRIFT_WARNING_FRACTION * 100).toFixed(0)}% below the first run`}</title>
+      </line>
+
+      <polyline
+        fill="none"
+        stroke="#4f46e5"
+        strokeWidth="2"
+        points={points.map(p => `${x.scale(p.time)},${y.scale(p.value)}`).join(' ')}
+      />
+      {points.map((p, i) => (
+        <g key={p.run.id}>
+          <circle cx={x.scale(p.time)} cy={y.scale(p.value)} r="4" fill={p.value < threshold ? '#dc2626' : '#4f46e5'}>
+            <title>{`${p.run.measured_at.replace('T', ' ')}: ${formatSI(p.value, metricOption.unit, 4, { prefix })}`}</title>
+          </circle>
+          {/* Date labels, alternating rows so neighbouring runs stay readable */}
+          <text
+            x={x.scale(p.time)}
+            y={HEIGHT - PADDING + 14 + (i % 2) * 11}
+            textAnchor="middle"
+            fontSize="9"
+            fill="#6b7280"
+          >
+            {p.run.measured_at.slice(0, 10)}
+          </text>
+        </g>
+      ))}
+      <text x={10} y={HEIGHT / 2} textAnchor="middle" transform={`rotate(-90, 10, ${HEIGHT / 2})`} fontSize="11" fontWeight="bold">
+        Peak |{metricOption.label}|
+      </text>
+    </svg>
+  );
+};
+
+export default PeakTrendChart;
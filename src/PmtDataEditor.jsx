@@ -0,0 +1,205 @@
+import React, { useMemo, useState } from 'react';
+import { PencilLine, Trash2, ArchiveRestore, CheckCircle, XCircle, Loader } from 'lucide-react';
+import { PMT_FIELDS } from './pmtFileParser.js';
+import { FLAG_REASONS, parseRowDraft, toRowDraft, trashRecord } from './dataCuration.js';
+import { runIdOf } from './measurementRuns.js';
+import { PMT_DATA_COLLECTION, PMT_TRASH_COLLECTION } from './dataSources/index.js';
+import { sameDraft, useSyncedDrafts } from './formDrafts.js';
+
+const inputClass = 'w-full border rounded px-2 py-1 text-xs font-mono';
+const selectClass = 'border rounded px-1 py-1 text-xs bg-white';
+
+// The flag column edits the reason; an empty reason means "not flagged"
+const toDraft = (row) => ({ ...toRowDraft(row), flagReason: row.flag ? row.flag.reason : '' });
+
+/**
+ * Table of every stored data point of one PMT (all runs) with editable values
+ * and flags, plus soft delete of the whole PMT dataset and the list of
+ * trashed datasets with restore. `runLabels` maps run IDs to display names.
+ */
+const PmtDataEditor = ({
+  dataSource, pmtList, pmt, onPmtChange, rows, runLabels, trashDocs, canEdit, canTrash, actorName,
+}) => {
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const saved = useMemo(() => rows.reduce((acc, row) => {
+    acc[row.id] = toDraft(row);
+    return acc;
+  }, {}), [rows]);
+  const [drafts, setDrafts] = useSyncedDrafts(saved);
+
+  const updateDraft = (id, changes) => {
+    setDrafts(prev => ({ ...prev, [id]: { ...prev[id], ...changes } }));
+    setStatus(null);
+  };
+
+  const changedRows = rows.filter(row => drafts[row.id] && !sameDraft(drafts[row.id], saved[row.id]));
+  const invalidRows = changedRows.filter(row => parseRowDraft(drafts[row.id]).errors.length > 0);
+
+  const run = async (action, successMessage) => {
+    setIsSaving(true);
+    setStatus(null);
+    try {
+      await action();
+      setStatus({ type: 'success', message: successMessage });
+    } catch (e) {
+      console.error("Data Edit Error:", e);
+      setStatus({ type: 'error', message: `Save failed: ${e.message}` });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = () => run(() => dataSource.setDocs(PMT_DATA_COLLECTION, changedRows.map((row) => {
+    const draft = drafts[row.id];
+    const flagChanged = draft.flagReason !== (row.flag ? row.flag.reason : '');
+    const flag = flagChanged
+      ? (draft.flagReason ? { reason: draft.flagReason, by: actorName, at: new Date().toISOString() } : null)
+      : (row.flag || null);
+    return { ...row, ...parseRowDraft(draft).values, flag };
+  })), `Saved ${changedRows.length} point(s).`);
+
+  const handleTrash = () => {
+    if (!window.confirm(`Move all ${rows.length} point(s) of ${pmt} to the trash? They can be restored later.`)) return;
+    run(
+      () => dataSource.setDocs(PMT_TRASH_COLLECTION, [trashRecord(pmt, rows.length, actorName)]),
+      `Moved ${pmt} to the trash.`
+    );
+  };
+
+  const handleRestore = (sourceFile) => run(
+    () => dataSource.deleteDocs(PMT_TRASH_COLLECTION, [sourceFile]),
+    `Restored ${sourceFile}.`
+  );
+
+  const flaggedCount = rows.filter(row => row.flag).length;
+
+  return (
+    <div className="p-4 border rounded-xl bg-gray-50">
+      <label className="block text-lg font-medium text-gray-700 mb-3 flex items-center">
+        <PencilLine className="w-5 h-5 mr-2 text-indigo-500" />
+        Data Points
+      </label>
+
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <select
+          className="border rounded-lg px-2 py-1.5 text-sm bg-white"
+          value={pmt || ''}
+          onChange={(e) => onPmtChange(e.target.value)}
+        >
+          {pmtList.map(p => <option key={p} value={p}>{p}</option>)}
+        </select>
+        <span className="text-sm text-gray-500">{rows.length} point(s), {flaggedCount} flagged</span>
+        {canTrash && pmt && (
+          <button
+            onClick={handleTrash}
+            disabled={isSaving}
+            className="ml-auto flex items-center text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+          >
+            <Trash2 className="w-4 h-4 mr-1" />
+            Move to Trash
+          </button>
+        )}
+      </div>
+
+      {rows.length > 0 && (
+        <div className="max-h-64 overflow-y-auto">
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="p-1 font-medium">Run</th>
+                {PMT_FIELDS.map(field => <th key={field.key} className="p-1 font-medium whitespace-nowrap">{field.label} ({field.unit})</th>)}
+                <th className="p-1 font-medium">Flag</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => drafts[row.id] && (
+                <tr key={row.id} className={`border-t ${drafts[row.id].flagReason ? 'bg-yellow-50' : ''}`}>
+                  <td className="p-1 text-gray-600 whitespace-nowrap">{runLabels[runIdOf(row)]}</td>
+                  {PMT_FIELDS.map(field => (
+                    <td key={field.key} className="p-1">
+                      <input
+                        inputMode="decimal"
+                        className={inputClass}
+                        disabled={!canEdit}
+                        value={drafts[row.id][field.key]}
+                        onChange={(e) => updateDraft(row.id, { [field.key]: e.target.value })}
+                      />
+                    </td>
+                  ))}
+                  <td className="p-1" title={row.flag ? `Flagged by ${row.flag.by || 'unknown'} on ${new Date(row.flag.at).toLocaleString()}` : undefined}>
+                    <select
+                      className={selectClass}
+                      disabled={!canEdit}
+                      value={drafts[row.id].flagReason}
+                      onChange={(e) => updateDraft(row.id, { flagReason: e.target.value })}
+                    >
+                      <option value="">—</option>
+                      {[...new Set([...FLAG_REASONS, ...(row.flag ? [row.flag.reason] : [])])].map(reason => (
+                        <option key={reason} value={reason}>{reason}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex items-center mt-3">
+        <button
+          onClick={handleSave}
+          disabled={!canEdit || isSaving || changedRows.length === 0 || invalidRows.length > 0}
+          className="px-3 py-1 text-sm font-medium rounded-full text-white bg-indigo-600 hover:bg-indigo-700 transition shadow-md disabled:opacity-50 flex items-center"
+        >
+          {isSaving && <Loader className="w-4 h-4 mr-1 animate-spin" />}
+          Save Points
+        </button>
+        {!canEdit && <span className="ml-3 text-xs text-gray-500">Only uploaders and admins can edit data points.</span>}
+        {invalidRows.length > 0 && (
+          <span className="ml-3 text-sm text-red-600">{invalidRows.length} row(s) need a numeric wavelength and values.</span>
+        )}
+        {status && (
+          <span className={`ml-3 text-sm flex items-center ${status.type === 'success' ? 'text-green-700' : 'text-red-600'}`}>
+            {status.type === 'success'
+              ? <CheckCircle className="w-4 h-4 mr-1" />
+              : <XCircle className="w-4 h-4 mr-1" />}
+            {status.message}
+          </span>
+        )}
+      </div>
+
+      {/* Soft-deleted PMT Datasets */}
+      {trashDocs.length > 0 && (
+        <div className="mt-4 pt-3 border-t">
+          <span className="text-sm font-medium text-gray-700">Trash ({trashDocs.length})</span>
+          <ul className="mt-1 space-y-1 text-sm">
+            {trashDocs.map(record => (
+              <li key={record.id} className="flex items-center justify-between bg-white border rounded px-2 py-1">
+                <span className="text-gray-600">
+                  <span className="font-mono text-gray-800 mr-2">{record.source_file}</span>
+                  {record.point_count} point(s), deleted {new Date(record.deleted_at).toLocaleString()}
+                  {record.deleted_by && <> by {record.deleted_by}</>}
+                </span>
+                {canTrash && (
+                  <button
+                    onClick={() => handleRestore(record.source_file)}
+                    disabled={isSaving}
+                    className="flex items-center text-xs text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                  >
+                    <ArchiveRestore className="w-4 h-4 mr-1" />
+                    Restore
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PmtDataEditor;
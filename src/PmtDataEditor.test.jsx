@@ -0,0 +1,40 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { afterEach, describe, expect, it } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import PmtDataEditor from './PmtDataEditor.jsx';
+
+const row = (id, wavelength) => ({ id, source_file: 'A.txt', wavelength, current: -1e-9, intensity: 1.5, light_response: 2e-12 });
+
+const renderEditor = (rows) => {
+  const props = {
+    dataSource: null, pmtList: ['A.txt'], pmt: 'A.txt', onPmtChange: () => {}, runLabels: {}, trashDocs: [],
+    canEdit: true, canTrash: false, actorName: 'Tester',
+  };
+  const view = render(<PmtDataEditor {...props} rows={rows} />);
+  return { rerender: (next) => view.rerender(<PmtDataEditor {...props} rows={next} />) };
+};
+
+const wavelengthInputs = () => screen.getAllByDisplayValue(/^\d+$/);
+
+afterEach(() => {
+  cleanup();
+});
+
+describe('PmtDataEditor', () => {
+  it('keeps unsaved edits when a snapshot changes other rows', () => {
+    const { rerender } = renderEditor([row('a', 200), row('b', 300)]);
+    fireEvent.change(screen.getByDisplayValue('300'), { target: { value: '310' } });
+
+    rerender([row('a', 205), row('b', 300)]);
+    expect(wavelengthInputs().map(input => input.value)).toEqual(['205', '310']);
+  });
+
+  it('resets a draft when its own stored values change', () => {
+    const { rerender } = renderEditor([row('a', 200)]);
+    fireEvent.change(screen.getByDisplayValue('200'), { target: { value: '210' } });
+
+    rerender([row('a', 220)]);
+    expect(wavelengthInputs().map(input => input.value)).toEqual(['220']);
+  });
+});
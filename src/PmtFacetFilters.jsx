@@ -0,0 +1,52 @@
+import React from 'react';
+import { Filter, X } from 'lucide-react';
+import { EMPTY_FACETS, hasActiveFacets } from './pmtMetadata.js';
+
+const inputClass = 'border rounded px-2 py-1 text-xs bg-white';
+
+/**
+ * Narrows the PMT selection grid by metadata: batch, manufacturer, test date
+ * range and HV setting range.
+ */
+const PmtFacetFilters = ({ facets, onChange, options, matchCount, totalCount }) => {
+  const update = (changes) => onChange({ ...facets, ...changes });
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-3 text-xs text-gray-600">
+      <Filter className="w-4 h-4 text-indigo-500" />
+      <select className={inputClass} value={facets.batch} onChange={(e) => update({ batch: e.target.value })}>
+        <option value="">All batches</option>
+        {options.batches.map(batch => <option key={batch} value={batch}>{batch}</option>)}
+      </select>
+      <select className={inputClass} value={facets.manufacturer} onChange={(e) => update({ manufacturer: e.target.value })}>
+        <option value="">All manufacturers</option>
+        {options.manufacturers.map(name => <option key={name} value={name}>{name}</option>)}
+      </select>
+      <label className="flex items-center gap-1">
+        Tested
+        <input type="date" className={inputClass} value={facets.dateFrom} onChange={(e) => update({ dateFrom: e.target.value })} />
+        –
+        <input type="date" className={inputClass} value={facets.dateTo} onChange={(e) => update({ dateTo: e.target.value })} />
+      </label>
+      <label className="flex items-center gap-1">
+        HV (V)
+        <input className={`${inputClass} w-16`} placeholder="min" value={facets.hvMin} onChange={(e) => update({ hvMin: e.target.value })} />
+        –
+        <input className={`${inputClass} w-16`} placeholder="max" value={facets.hvMax} onChange={(e) => update({ hvMax: e.target.value })} />
+      </label>
+      {hasActiveFacets(facets) && (
+        <>
+          <span className="text-gray-500">{matchCount} of {totalCount} match</span>
+          <button
+            onClick={() => onChange(EMPTY_FACETS)}
+            className="px-2 py-1 rounded-full text-indigo-600 hover:bg-indigo-100 flex items-center"
+          >
+            <X className="w-3 h-3 mr-1" /> Clear filters
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PmtFacetFilters;
@@ -0,0 +1,132 @@
+import React, { useMemo, useState } from 'react';
+import { Tags, CheckCircle, XCircle, Loader } from 'lucide-react';
+import { METADATA_FIELDS, resolveMetadata, serialFromSourceFile } from './pmtMetadata.js';
+import { PMT_METADATA_COLLECTION } from './dataSources/index.js';
+import { useSyncedDrafts } from './formDrafts.js';
+
+const inputClass = 'w-full border rounded px-2 py-1 text-xs font-mono';
+
+// Form values are strings; a missing HV setting is an empty field
+const toDraft = (metadata) => METADATA_FIELDS.reduce((acc, field) => {
+  acc[field.key] = metadata[field.key] === null ? '' : String(metadata[field.key]);
+  return acc;
+}, {});
+
+/**
+ * Editor for the metadata of the selected PMTs (batch, manufacturer, test
+ * date, HV setting, operator). Saved per serial number to the shared metadata
+ * collection, which the selection panel's filters read from.
+ */
+const PmtMetadataPanel = ({ dataSource, pmtList, metadataDocs, readOnly = false }) => {
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  // Files of the same PMT share one record
+  const serials = [...new Set(pmtList.map(serialFromSourceFile))];
+
+  // Every selected PMT starts from its saved (or default) metadata
+  const saved = useMemo(() => pmtList.reduce((acc, pmt) => {
+    const serial = serialFromSourceFile(pmt);
+    acc[serial] = toDraft(resolveMetadata(pmt, metadataDocs[serial]));
+    return acc;
+  }, {}), [pmtList, metadataDocs]);
+  const [drafts, setDrafts] = useSyncedDrafts(saved);
+
+  const updateDraft = (serial, changes) => {
+    setDrafts(prev => ({ ...prev, [serial]: { ...prev[serial], ...changes } }));
+    setStatus(null);
+  };
+
+  const changedSerials = serials.filter((serial) => {
+    const draft = drafts[serial];
+    return draft && saved[serial] && METADATA_FIELDS.some(field => saved[serial][field.key] !== draft[field.key]);
+  });
+
+  const invalidSerials = changedSerials.filter(serial => drafts[serial].hv_setting.trim() !== ''
+    && !Number.isFinite(Number(drafts[serial].hv_setting)));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setStatus(null);
+    try {
+      await dataSource.setDocs(PMT_METADATA_COLLECTION, changedSerials.map((serial) => {
+        const { batch, manufacturer, test_date, hv_setting, operator } = resolveMetadata(serial, drafts[serial]);
+        return { id: serial, batch, manufacturer, test_date, hv_setting, operator };
+      }));
+      setStatus({ type: 'success', message: `Saved metadata for ${changedSerials.length} PMT(s).` });
+    } catch (e) {
+      console.error("Metadata Save Error:", e);
+      setStatus({ type: 'error', message: `Save failed: ${e.message}` });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="p-4 border rounded-xl bg-gray-50">
+      <label className="block text-lg font-medium text-gray-700 mb-3 flex items-center">
+        <Tags className="w-5 h-5 mr-2 text-indigo-500" />
+        PMT Metadata
+      </label>
+
+      {serials.length === 0 ? (
+        <p className="text-sm text-gray-500">Select PMTs to edit their batch, test and operator details.</p>
+      ) : (
+        <div className="max-h-48 overflow-y-auto">
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="p-1 font-medium">Serial</th>
+                {METADATA_FIELDS.map(field => <th key={field.key} className="p-1 font-medium">{field.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {serials.map(serial => drafts[serial] && (
+                <tr key={serial} className="border-t">
+                  <td className="p-1 font-mono text-gray-800">{serial}</td>
+                  {METADATA_FIELDS.map(field => (
+                    <td key={field.key} className="p-1">
+                      <input
+                        type={field.type === 'date' ? 'date' : 'text'}
+                        inputMode={field.type === 'number' ? 'decimal' : undefined}
+                        className={inputClass}
+                        placeholder={field.placeholder}
+                        value={drafts[serial][field.key]}
+                        onChange={(e) => updateDraft(serial, { [field.key]: e.target.value })}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex items-center mt-3">
+        <button
+          onClick={handleSave}
+          disabled={readOnly || isSaving || changedSerials.length === 0 || invalidSerials.length > 0}
+          className="px-3 py-1 text-sm font-medium rounded-full text-white bg-indigo-600 hover:bg-indigo-700 transition shadow-md disabled:opacity-50 flex items-center"
+        >
+          {isSaving && <Loader className="w-4 h-4 mr-1 animate-spin" />}
+          Save Changes
+        </button>
+        {readOnly && <span className="ml-3 text-xs text-gray-500">Only uploaders and admins can edit metadata.</span>}
+        {invalidSerials.length > 0 && (
+          <span className="ml-3 text-sm text-red-600">HV must be a number ({invalidSerials.join(', ')}).</span>
+        )}
+        {status && (
+          <span className={`ml-3 text-sm flex items-center ${status.type === 'success' ? 'text-green-700' : 'text-red-600'}`}>
+            {status.type === 'success'
+              ? <CheckCircle className="w-4 h-4 mr-1" />
+              : <XCircle className="w-4 h-4 mr-1" />}
+            {status.message}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PmtMetadataPanel;
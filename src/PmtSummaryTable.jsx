@@ -0,0 +1,175 @@
+import React, { useMemo, useState } from 'react';
+import { Table, ArrowUp, ArrowDown } from 'lucide-react';
+import { formatSI } from './axisScales.js';
+import { computePmtStats, parseWavelengthList } from './pmtStatistics.js';
+import { groupCurvesByPmt } from './curveMath.js';
+
+const inputClass = 'w-24 border rounded px-2 py-1 text-xs font-mono';
+
+/**
+ * Sortable table with one row of summary statistics per selected PMT:
+ * peak and its wavelength, covered range, band integral, readings at
+ * reference wavelengths and point count, all for the plotted metric.
+ * With `fits` (source_file -> fitCurve() result) the fitted peak and cutoff
+ * wavelengths are added as sortable columns.
+ */
+const PmtSummaryTable = ({ data, pmtList, colorMap, metricOption, fits = null }) => {
+  const [bandText, setBandText] = useState(['', '']);
+  const [referenceText, setReferenceText] = useState('');
+  const [sort, setSort] = useState({ key: 'pmt', direction: 1 });
+
+  const metric = metricOption.key;
+  const format = (value, unit = metricOption.unit) => (value === null || value === undefined
+    ? '—'
+    : formatSI(value, unit, 4, { prefix: metricOption.prefix !== false }));
+
+  const referenceWavelengths = useMemo(() => parseWavelengthList(referenceText), [referenceText]);
+
+  // An empty band input means "from the start" / "to the end" of each curve
+  const band = useMemo(() => {
+    const [lo, hi] = bandText.map(text => (text.trim() === '' ? NaN : Number(text)));
+    if (!Number.isFinite(lo) && !Number.isFinite(hi)) return null;
+    return [Number.isFinite(lo) ? lo : -Infinity, Number.isFinite(hi) ? hi : Infinity];
+  }, [bandText]);
+
+  const rows = useMemo(() => {
+    const curves = groupCurvesByPmt(data, pmtList);
+    return pmtList.map(pmt => ({
+      pmt,
+      ...computePmtStats(curves[pmt], metric, { band, referenceWavelengths }),
+      fit: fits ? fits[pmt] || null : null,
+    }));
+  }, [data, pmtList, metric, band, referenceWavelengths, fits]);
+
+  const columns = [
+    { key: 'pmt', label: 'PMT', value: row => row.pmt },
+    { key: 'peakValue', label: 'Peak', value: row => row.peakValue, render: row => format(row.peakValue) },
+    { key: 'peakWavelength', label: 'Peak λ (nm)', value: row => row.peakWavelength, render: row => row.peakWavelength?.toFixed(1) ?? '—' },
+    {
+      key: 'range',
+      label: 'Range (nm)',
+      value: row => row.minWavelength,
+      render: row => (row.minWavelength === null ? '—' : `${row.minWavelength.toFixed(1)}–${row.maxWavelength.toFixed(1)}`),
+    },
+    {
+      key: 'bandIntegral',
+      label: 'Band Integral',
+      value: row => row.bandIntegral,
+      render: row => (
+        <span title={`${(row.bandCoverage * 100).toFixed(0)}% of the band is covered by this curve`}>
+          {format(row.bandIntegral, `${metricOption.unit}·nm`)}
+          {row.bandIntegral !== null && row.bandCoverage < 0.999 && <span className="text-yellow-600"> *</span>}
+        </span>
+      ),
+    },
+    ...referenceWavelengths.map((wavelength, i) => ({
+      key: `ref-${i}`,
+      label: `@ ${wavelength} nm`,
+      value: row => row.references[i],
+      render: row => format(row.references[i]),
+    })),
+    ...(fits ? [
+      { key: 'fitPeakValue', label: 'Fit Peak', value: row => row.fit?.peakValue, render: row => format(row.fit?.peakValue) },
+      {
+        key: 'fitPeakWavelength',
+        label: 'Fit Peak λ (nm)',
+        value: row => row.fit?.peakWavelength,
+        render: row => (row.fit ? (
+          <span>
+            {row.fit.peakWavelength.toFixed(1)}
+            {!row.fit.peakInRange && <span className="text-yellow-600" title="Outside the measured range"> †</span>}
+          </span>
+        ) : '—'),
+      },
+      { key: 'cutoffLow', label: 'Low Cutoff λ (nm)', value: row => row.fit?.cutoffs[0], render: row => row.fit?.cutoffs[0].toFixed(1) ?? '—' },
+      { key: 'cutoffHigh', label: 'High Cutoff λ (nm)', value: row => row.fit?.cutoffs[1], render: row => row.fit?.cutoffs[1].toFixed(1) ?? '—' },
+    ] : []),
+    { key: 'pointCount', label: 'Points', value: row => row.pointCount },
+  ];
+
+  const sortColumn = columns.find(c => c.key === sort.key) || columns[0];
+  const sortedRows = [...rows].sort((a, b) => {
+    const va = sortColumn.value(a);
+    const vb = sortColumn.value(b);
+    // Missing values always sort last
+    if (va === null || va === undefined) return 1;
+    if (vb === null || vb === undefined) return -1;
+    return (typeof va === 'string' ? va.localeCompare(vb) : va - vb) * sort.direction;
+  });
+
+  const toggleSort = (key) => {
+    setSort(prev => ({ key, direction: prev.key === key ? -prev.direction : 1 }));
+  };
+
+  if (pmtList.length === 0) return null;
+
+  return (
+    <div className="mt-8 pt-4 border-t">
+      <h3 className="text-lg font-semibold text-gray-700 mb-3 flex items-center">
+        <Table className="w-5 h-5 mr-2 text-indigo-500" />
+        Summary Statistics ({metricOption.label})
+      </h3>
+
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-xs text-gray-600">
+        <label className="flex items-center gap-2">
+          Integration band (nm)
+          <input className={inputClass} placeholder="start" value={bandText[0]} onChange={(e) => setBandText([e.target.value, bandText[1]])} />
+          –
+          <input className={inputClass} placeholder="end" value={bandText[1]} onChange={(e) => setBandText([bandText[0], e.target.value])} />
+        </label>
+        <label className="flex items-center gap-2">
+          Reference wavelengths (nm)
+          <input
+            className="w-40 border rounded px-2 py-1 text-xs font-mono"
+            placeholder="e.g. 254, 313"
+            value={referenceText}
+            onChange={(e) => setReferenceText(e.target.value)}
+          />
+        </label>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-50 text-left text-gray-600">
+              {columns.map(column => (
+                <th
+                  key={column.key}
+                  onClick={() => toggleSort(column.key)}
+                  className="px-3 py-2 font-medium cursor-pointer select-none whitespace-nowrap hover:text-indigo-600"
+                >
+                  <span className="inline-flex items-center">
+                    {column.label}
+                    {sort.key === column.key && (sort.direction === 1
+                      ? <ArrowUp className="w-3 h-3 ml-1" />
+                      : <ArrowDown className="w-3 h-3 ml-1" />)}
+                  </span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sortedRows.map(row => (
+              <tr key={row.pmt} className="border-t">
+                {columns.map(column => (
+                  <td key={column.key} className="px-3 py-2 font-mono text-xs text-gray-800 whitespace-nowrap">
+                    {column.key === 'pmt' ? (
+                      <span className="flex items-center font-sans text-sm font-medium text-gray-700">
+                        <span className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: colorMap[row.pmt] }}></span>
+                        {row.pmt}
+                      </span>
+                    ) : (column.render ? column.render(row) : column.value(row))}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-400 mt-2">* Curve covers only part of the integration band; the integral is over the covered part.</p>
+      {fits && <p className="text-xs text-gray-400">† Fitted peak lies outside the measured range (extrapolated).</p>}
+    </div>
+  );
+};
+
+export default PmtSummaryTable;
@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from 'react';
+import { Flag, X, CheckCircle, XCircle, Loader } from 'lucide-react';
+import { formatSI } from './axisScales.js';
+import { FLAG_REASONS, withFlag, withoutFlag } from './dataCuration.js';
+import { PMT_DATA_COLLECTION } from './dataSources/index.js';
+
+const selectClass = 'border rounded px-2 py-1 text-sm bg-white';
+
+/**
+ * Flags or unflags one data point picked in the chart. `row` is the stored
+ * document; `value` is its plotted value of `metricOption`.
+ */
+const PointFlagEditor = ({ dataSource, row, value, metricOption, actorName, readOnly = false, onClose }) => {
+  const [reason, setReason] = useState(FLAG_REASONS[0]);
+  const [otherReason, setOtherReason] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => setStatus(null), [row.id]);
+
+  const save = async (updated, message) => {
+    setIsSaving(true);
+    setStatus(null);
+    try {
+      await dataSource.setDocs(PMT_DATA_COLLECTION, [updated]);
+      setStatus({ type: 'success', message });
+    } catch (e) {
+      console.error("Flag Save Error:", e);
+      setStatus({ type: 'error', message: `Save failed: ${e.message}` });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const flagReason = reason === 'Other' ? otherReason.trim() : reason;
+  const handleFlag = () => save(withFlag(row, flagReason, actorName), 'Point flagged; it is left out of lines and statistics.');
+  const handleUnflag = () => save(withoutFlag(row), 'Flag removed.');
+
+  return (
+    <div className="mt-4 p-3 border rounded-lg bg-yellow-50 border-yellow-200 text-sm">
+      <div className="flex items-center justify-between">
+        <span className="flex items-center font-medium text-gray-700">
+          <Flag className="w-4 h-4 mr-2 text-yellow-600" />
+          <span className="font-mono mr-2">{row.source_file}</span>
+          {row.wavelength.toFixed(1)} nm
+          {value !== null && value !== undefined && (
+            <span className="ml-2 font-mono text-gray-600">
+              {formatSI(value, metricOption.unit, 4, { prefix: metricOption.prefix !== false })}
+            </span>
+          )}
+        </span>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-700" title="Close"><X className="w-4 h-4" /></button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-2">
+        {row.flag ? (
+          <>
+            <span className="text-yellow-800">
+              Flagged as <span className="font-medium">{row.flag.reason}</span>
+              {row.flag.by && <> by {row.flag.by}</>}
+              {row.flag.at && <> on {new Date(row.flag.at).toLocaleString()}</>}
+            </span>
+            <button
+              onClick={handleUnflag}
+              disabled={readOnly || isSaving}
+              className="px-3 py-1 text-sm font-medium rounded-full text-indigo-600 bg-indigo-100 hover:bg-indigo-200 transition disabled:opacity-50"
+            >
+              Remove Flag
+            </button>
+          </>
+        ) : (
+          <>
+            <select className={selectClass} value={reason} onChange={(e) => setReason(e.target.value)}>
+              {FLAG_REASONS.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+            {reason === 'Other' && (
+              <input
+                className="border rounded px-2 py-1 text-sm"
+                placeholder="Reason"
+                value={otherReason}
+                onChange={(e) => setOtherReason(e.target.value)}
+              />
+            )}
+            <button
+              onClick={handleFlag}
+              disabled={readOnly || isSaving || !flagReason}
+              className="px-3 py-1 text-sm font-medium rounded-full text-white bg-yellow-600 hover:bg-yellow-700 transition shadow-md disabled:opacity-50 flex items-center"
+            >
+              {isSaving && <Loader className="w-4 h-4 mr-1 animate-spin" />}
+              Flag Point
+            </button>
+          </>
+        )}
+        {readOnly && <span className="text-xs text-gray-500">Only uploaders and admins can flag points.</span>}
+      </div>
+
+      {status && (
+        <p className={`mt-2 text-sm flex items-center ${status.type === 'success' ? 'text-green-700' : 'text-red-600'}`}>
+          {status.type === 'success'
+            ? <CheckCircle className="w-4 h-4 mr-1" />
+            : <XCircle className="w-4 h-4 mr-1" />}
+          {status.message}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PointFlagEditor;
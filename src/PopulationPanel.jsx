@@ -0,0 +1,92 @@
+import React from 'react';
+import { Layers, AlertTriangle, Eye, EyeOff } from 'lucide-react';
+import { BAND_OPTIONS, CENTER_OPTIONS } from './populationStats.js';
+
+const selectClass = 'border rounded px-2 py-1 text-sm bg-white';
+
+/**
+ * Settings of the population view (center line, spread band, outlier
+ * threshold) and the list of flagged outliers, which can be toggled into
+ * the chart as individual curves.
+ */
+const PopulationPanel = ({ settings, onChange, result, curveCount, detailPmts, onToggleDetail, colorMap }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="p-4 border rounded-xl bg-gray-50">
+      <label className="block text-lg font-medium text-gray-700 mb-3 flex items-center">
+        <Layers className="w-5 h-5 mr-2 text-indigo-500" />
+        Population View
+      </label>
+
+      <label className="flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          className="mr-2"
+          checked={settings.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        Summarize the selected PMTs as a center line with a spread band
+      </label>
+
+      {settings.enabled && (
+        <>
+          <div className="flex flex-wrap items-center gap-3 mt-3 text-sm text-gray-600">
+            <select className={selectClass} value={settings.center} onChange={(e) => update({ center: e.target.value })}>
+              {CENTER_OPTIONS.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+            </select>
+            <select className={selectClass} value={settings.band} onChange={(e) => update({ band: e.target.value })}>
+              {BAND_OPTIONS.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+            </select>
+            <label className="flex items-center gap-1">
+              Outlier above
+              <input
+                type="number"
+                min="0.5"
+                step="0.5"
+                className="w-16 border rounded px-2 py-1 text-sm"
+                value={settings.threshold}
+                onChange={(e) => update({ threshold: Number(e.target.value) || 0 })}
+              />
+              σ
+            </label>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            {curveCount} curve(s) resampled onto a common grid; points covered by fewer than 3 curves are left out.
+            Outliers are scored by their RMS deviation from the median, in robust σ (from the median absolute deviation).
+          </p>
+
+          {result && result.outliers.length > 0 ? (
+            <ul className="mt-2 max-h-40 overflow-y-auto space-y-1 text-sm">
+              {result.outliers.map(({ pmt, score }) => {
+                const isShown = detailPmts.includes(pmt);
+                return (
+                  <li key={pmt} className="flex items-center justify-between bg-white border rounded px-2 py-1">
+                    <span className="flex items-center text-yellow-800">
+                      <AlertTriangle className="w-4 h-4 mr-1 flex-shrink-0" />
+                      <span className="font-mono mr-2">{pmt}</span>
+                      <span className="text-xs text-gray-500">{score.toFixed(1)}σ</span>
+                    </span>
+                    <button
+                      onClick={() => onToggleDetail(pmt)}
+                      className="flex items-center text-xs text-indigo-600 hover:text-indigo-800"
+                      title={isShown ? 'Hide this curve' : 'Draw this curve on top of the population'}
+                    >
+                      {isShown
+                        ? <><EyeOff className="w-3 h-3 mr-1" />Hide</>
+                        : <><Eye className="w-3 h-3 mr-1" style={{ color: colorMap[pmt] }} />Show</>}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <p className="text-sm text-green-700 mt-2">No outliers at this threshold.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PopulationPanel;
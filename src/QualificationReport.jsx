@@ -0,0 +1,160 @@
+import React, { useMemo } from 'react';
+import { Printer, X, CheckCircle, XCircle, Loader } from 'lucide-react';
+import { formatSI } from './axisScales.js';
+import { computePmtStats } from './pmtStatistics.js';
+import { METADATA_FIELDS, serialFromSourceFile } from './pmtMetadata.js';
+import { SPEC_STATUS, specRange } from './acceptanceSpecs.js';
+
+const STATUS_LABELS = {
+  [SPEC_STATUS.PASS]: 'PASS',
+  [SPEC_STATUS.FAIL]: 'FAIL',
+  [SPEC_STATUS.NO_DATA]: 'NO DATA',
+};
+
+// Violations listed on a page; the rest are counted only
+const MAX_LISTED_VIOLATIONS = 8;
+
+const Field = ({ label, children }) => (
+  <div className="flex justify-between border-b border-gray-100 py-1">
+    <dt className="text-gray-500">{label}</dt>
+    <dd className="font-mono text-gray-900">{children}</dd>
+  </div>
+);
+
+const STATUS_CLASSES = {
+  [SPEC_STATUS.PASS]: 'text-green-700',
+  [SPEC_STATUS.FAIL]: 'text-red-700',
+  [SPEC_STATUS.NO_DATA]: 'text-gray-600',
+};
+
+// Violations are in the spec's metric, which need not be the plotted one
+const SpecSection = ({ spec, result, metricOption }) => {
+  if (!spec) return <p className="text-gray-500">No acceptance spec applied.</p>;
+  if (!result) return <p className="text-gray-500">No data loaded for "{spec.name}".</p>;
+  const format = (value) => formatSI(value, metricOption?.unit, 4, { prefix: metricOption?.prefix !== false });
+  const range = specRange(spec);
+  return (
+    <div>
+      <p className={`flex items-center font-bold text-lg ${STATUS_CLASSES[result.status]}`}>
+        {result.status === SPEC_STATUS.PASS ? <CheckCircle className="w-5 h-5 mr-2" /> : <XCircle className="w-5 h-5 mr-2" />}
+        {STATUS_LABELS[result.status]}
+        <span className="ml-2 text-sm font-normal text-gray-600">against "{spec.name}", {result.checkedCount} point(s) checked</span>
+      </p>
+      {result.status === SPEC_STATUS.NO_DATA && range && (
+        <p className="text-xs text-gray-600">
+          The spec covers {range.map(w => w.toFixed(1)).join('–')} nm; the data
+          {result.measuredRange ? ` spans ${result.measuredRange.map(w => w.toFixed(1)).join('–')} nm` : ' has no values'}.
+        </p>
+      )}
+      {result.violations.length > 0 && (
+        <ul className="mt-1 text-xs text-red-700 font-mono">
+          {result.violations.slice(0, MAX_LISTED_VIOLATIONS).map((v, i) => (
+            <li key={i}>
+              {v.wavelength.toFixed(1)} nm: {format(v.value)} {v.kind === 'min' ? '<' : '>'} {format(v.limit)}
+            </li>
+          ))}
+          {result.violations.length > MAX_LISTED_VIOLATIONS && (
+            <li>…and {result.violations.length - MAX_LISTED_VIOLATIONS} more</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Printable qualification report, one page per PMT in `pmtList`: serial,
+ * metadata, latest run, the response curve (drawn by `renderChart(pmt)`),
+ * key statistics of the plotted metric and the pass/fail result against the
+ * active spec (`specMetricOption` describes the metric it constrains). The
+ * browser's print dialog saves the pages as a PDF; the toolbar is not printed.
+ */
+const QualificationReport = ({
+  pmtList, curves, metricOption, metadata, runLabels, spec, specMetricOption, specResults, renderChart, loadingCount, onClose,
+}) => {
+  const generatedAt = useMemo(() => new Date().toLocaleString(), []);
+  const format = (value) => (value === null || value === undefined
+    ? '—'
+    : formatSI(value, metricOption.unit, 4, { prefix: metricOption.prefix !== false }));
+
+  return (
+    <div className="min-h-screen bg-gray-100 print:bg-white font-sans">
+      {/* Toolbar */}
+      <div className="print:hidden sticky top-0 z-20 bg-white shadow flex items-center gap-3 px-6 py-3">
+        <h1 className="text-lg font-semibold text-gray-800 mr-auto">
+          Qualification Report: {pmtList.length} PMT(s), {metricOption.label}
+        </h1>
+        {loadingCount > 0 && (
+          <span className="flex items-center text-sm text-gray-500">
+            <Loader className="w-4 h-4 mr-1 animate-spin" />
+            Loading {loadingCount} PMT(s)...
+          </span>
+        )}
+        <button
+          onClick={() => window.print()}
+          disabled={loadingCount > 0 || pmtList.length === 0}
+          className="px-3 py-1 text-sm font-medium rounded-full text-white bg-indigo-600 hover:bg-indigo-700 transition shadow-md flex items-center disabled:opacity-50"
+        >
+          <Printer className="w-4 h-4 mr-1" /> Print / Save as PDF
+        </button>
+        <button
+          onClick={onClose}
+          className="px-3 py-1 text-sm font-medium rounded-full text-indigo-600 bg-indigo-100 hover:bg-indigo-200 transition flex items-center"
+        >
+          <X className="w-4 h-4 mr-1" /> Close
+        </button>
+      </div>
+
+      {/* One Page per PMT */}
+      {pmtList.map((pmt) => {
+        const stats = computePmtStats(curves[pmt] || [], metricOption.key);
+        return (
+          <section
+            key={pmt}
+            className="bg-white max-w-4xl mx-auto my-6 p-8 shadow print:shadow-none print:my-0 print:p-0 break-after-page"
+          >
+            <header className="flex justify-between items-end border-b-2 border-indigo-700 pb-2 mb-4">
+              <div>
+                <p className="text-xs uppercase tracking-wide text-gray-500">PMT Qualification Report</p>
+                <h2 className="text-3xl font-extrabold text-indigo-700">{serialFromSourceFile(pmt)}</h2>
+              </div>
+              <div className="text-right text-xs text-gray-500">
+                <p>Source file: {pmt}</p>
+                <p>Generated {generatedAt}</p>
+              </div>
+            </header>
+
+            <div className="grid grid-cols-2 gap-8 text-sm">
+              <dl>
+                {METADATA_FIELDS.map(field => (
+                  <Field key={field.key} label={field.label}>
+                    {metadata[pmt][field.key] === null || metadata[pmt][field.key] === '' ? '—' : String(metadata[pmt][field.key])}
+                  </Field>
+                ))}
+                <Field label="Measurement">{runLabels[pmt] || '—'}</Field>
+              </dl>
+              <dl>
+                <Field label={`Peak ${metricOption.label}`}>{format(stats.peakValue)}</Field>
+                <Field label="Peak wavelength">{stats.peakWavelength === null ? '—' : `${stats.peakWavelength.toFixed(1)} nm`}</Field>
+                <Field label="Measured range">
+                  {stats.minWavelength === null ? '—' : `${stats.minWavelength.toFixed(1)}–${stats.maxWavelength.toFixed(1)} nm`}
+                </Field>
+                <Field label="Integral over range">
+                  {stats.bandIntegral === null ? '—' : formatSI(stats.bandIntegral, `${metricOption.unit}·nm`, 4, { prefix: metricOption.prefix !== false })}
+                </Field>
+                <Field label="Data points">{stats.pointCount}</Field>
+              </dl>
+            </div>
+
+            <div className="my-4">{renderChart(pmt)}</div>
+
+            <h3 className="text-sm font-semibold uppercase tracking-wide text-gray-500 mb-1">Acceptance</h3>
+            <SpecSection spec={spec} result={specResults[pmt]} metricOption={specMetricOption} />
+          </section>
+        );
+      })}
+    </div>
+  );
+};
+
+export default QualificationReport;
@@ -0,0 +1,180 @@
+import React, { useMemo, useState } from 'react';
+import { History, AlertTriangle, CheckCircle, XCircle, Loader } from 'lucide-react';
+import { formatSI } from './axisScales.js';
+import { DRIFT_WARNING_FRACTION } from './measurementRuns.js';
+import { PMT_RUNS_COLLECTION } from './dataSources/index.js';
+import PeakTrendChart from './PeakTrendChart.jsx';
+import { sameDraft, useSyncedDrafts } from './formDrafts.js';
+
+const inputClass = 'w-full border rounded px-2 py-1 text-xs font-mono';
+
+const RUN_FIELDS = ['measured_at', 'hv_setting', 'temperature_c', 'notes'];
+
+// Form values are strings; unknown values are empty fields
+const toDraft = (run) => RUN_FIELDS.reduce((acc, key) => {
+  acc[key] = run[key] === null || run[key] === undefined ? '' : String(run[key]);
+  return acc;
+}, {});
+
+const optionalNumber = (text) => (text.trim() === '' || !Number.isFinite(Number(text)) ? null : Number(text));
+
+/**
+ * Measurement history of one PMT: all of its runs overlaid (the chart is
+ * passed as `children`), an editable list of runs with their conditions and
+ * peak change, and the peak trend used to spot photocathode degradation.
+ * `colorMap` maps run IDs to their series colors.
+ */
+const RunHistoryPanel = ({ dataSource, pmtList, pmt, onPmtChange, trend, metricOption, colorMap, readOnly = false, children }) => {
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const runs = trend.map(point => point.run);
+
+  // Every run starts from its saved details; `trend` is rebuilt whenever any run or point changes
+  const saved = useMemo(() => trend.reduce((acc, { run }) => {
+    acc[run.id] = toDraft(run);
+    return acc;
+  }, {}), [trend]);
+  const [drafts, setDrafts] = useSyncedDrafts(saved);
+
+  const updateDraft = (id, changes) => {
+    setDrafts(prev => ({ ...prev, [id]: { ...prev[id], ...changes } }));
+    setStatus(null);
+  };
+
+  const changedRuns = runs.filter(run => drafts[run.id] && !sameDraft(drafts[run.id], saved[run.id]));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setStatus(null);
+    try {
+      await dataSource.setDocs(PMT_RUNS_COLLECTION, changedRuns.map((run) => {
+        const draft = drafts[run.id];
+        return {
+          id: run.id,
+          source_file: run.source_file,
+          file_name: run.file_name,
+          measured_at: draft.measured_at || null,
+          hv_setting: optionalNumber(draft.hv_setting),
+          temperature_c: optionalNumber(draft.temperature_c),
+          notes: draft.notes.trim(),
+        };
+      }));
+      setStatus({ type: 'success', message: `Saved ${changedRuns.length} run(s).` });
+    } catch (e) {
+      console.error("Run Save Error:", e);
+      setStatus({ type: 'error', message: `Save failed: ${e.message}` });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const prefix = metricOption.prefix !== false;
+  const degradedCount = trend.filter(point => point.change !== null && point.change < -DRIFT_WARNING_FRACTION).length;
+
+  return (
+    <div className="mt-8 pt-4 border-t">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <h3 className="text-lg font-semibold text-gray-700 flex items-center">
+          <History className="w-5 h-5 mr-2 text-indigo-500" />
+          Measurement History
+        </h3>
+        <select
+          className="border rounded-lg px-2 py-1 text-sm bg-white font-mono"
+          value={pmt || ''}
+          onChange={(e) => onPmtChange(e.target.value)}
+        >
+          {pmtList.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <span className="text-sm text-gray-500">{runs.length} run(s)</span>
+        {degradedCount > 0 && (
+          <span className="text-sm text-red-600 flex items-center">
+            <AlertTriangle className="w-4 h-4 mr-1" />
+            Peak dropped more than {(DRIFT_WARNING_FRACTION * 100).toFixed(0)}% in {degradedCount} run(s)
+          </span>
+        )}
+      </div>
+
+      {/* All runs of the PMT overlaid */}
+      {children}
+
+      <div className="overflow-x-auto mt-4">
+        <table className="min-w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-600 bg-gray-50">
+              <th className="p-1 font-medium">Run</th>
+              <th className="p-1 font-medium">Measured</th>
+              <th className="p-1 font-medium">HV (V)</th>
+              <th className="p-1 font-medium">Temp. (°C)</th>
+              <th className="p-1 font-medium">Notes</th>
+              <th className="p-1 font-medium">Points</th>
+              <th className="p-1 font-medium">Peak</th>
+              <th className="p-1 font-medium">Δ vs. first</th>
+            </tr>
+          </thead>
+          <tbody>
+            {trend.map(({ run, peakValue, change }) => drafts[run.id] && (
+              <tr key={run.id} className="border-t">
+                <td className="p-1">
+                  <span className="flex items-center font-mono text-gray-700" title={run.id}>
+                    <span className="w-3 h-3 rounded-full mr-2 flex-shrink-0" style={{ backgroundColor: colorMap[run.id] }}></span>
+                    {run.file_name || '—'}
+                  </span>
+                </td>
+                <td className="p-1">
+                  <input
+                    type="datetime-local"
+                    className={inputClass}
+                    value={drafts[run.id].measured_at}
+                    onChange={(e) => updateDraft(run.id, { measured_at: e.target.value })}
+                  />
+                </td>
+                <td className="p-1 w-20">
+                  <input className={inputClass} value={drafts[run.id].hv_setting} onChange={(e) => updateDraft(run.id, { hv_setting: e.target.value })} />
+                </td>
+                <td className="p-1 w-16">
+                  <input className={inputClass} value={drafts[run.id].temperature_c} onChange={(e) => updateDraft(run.id, { temperature_c: e.target.value })} />
+                </td>
+                <td className="p-1">
+                  <input className={inputClass} value={drafts[run.id].notes} onChange={(e) => updateDraft(run.id, { notes: e.target.value })} />
+                </td>
+                <td className="p-1 font-mono text-gray-800">{run.pointCount}</td>
+                <td className="p-1 font-mono text-gray-800 whitespace-nowrap">
+                  {peakValue === null ? '—' : formatSI(peakValue, metricOption.unit, 4, { prefix })}
+                </td>
+                <td className={`p-1 font-mono whitespace-nowrap ${change !== null && change < -DRIFT_WARNING_FRACTION ? 'text-red-600 font-semibold' : 'text-gray-800'}`}>
+                  {change === null ? '—' : `${change >= 0 ? '+' : ''}${(change * 100).toFixed(1)}%`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center mt-3">
+        <button
+          onClick={handleSave}
+          disabled={readOnly || isSaving || changedRuns.length === 0}
+          className="px-3 py-1 text-sm font-medium rounded-full text-white bg-indigo-600 hover:bg-indigo-700 transition shadow-md disabled:opacity-50 flex items-center"
+        >
+          {isSaving && <Loader className="w-4 h-4 mr-1 animate-spin" />}
+          Save Run Details
+        </button>
+        {readOnly && <span className="ml-3 text-xs text-gray-500">Only uploaders and admins can edit run details.</span>}
+        {status && (
+          <span className={`ml-3 text-sm flex items-center ${status.type === 'success' ? 'text-green-700' : 'text-red-600'}`}>
+            {status.type === 'success'
+              ? <CheckCircle className="w-4 h-4 mr-1" />
+              : <XCircle className="w-4 h-4 mr-1" />}
+            {status.message}
+          </span>
+        )}
+      </div>
+
+      <h4 className="text-sm font-semibold text-gray-600 mt-6 mb-2">Peak Trend</h4>
+      <PeakTrendChart trend={trend} metricOption={metricOption} />
+    </div>
+  );
+};
+
+export default RunHistoryPanel;
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { ShieldCheck, Plus, Pencil, Trash2, CheckCircle, XCircle, Loader } from 'lucide-react';
+import { SPEC_STATUS, formatSpecRows, parseSpecRows } from './acceptanceSpecs.js';
+import { PMT_SPECS_COLLECTION } from './dataSources/index.js';
+
+const SPEC_MODES = [
+  { key: 'envelope', label: 'Envelope', placeholder: '# wavelength, min, max  ("-" = no limit)\n250, 2e-12, -\n300, 3e-12, 8e-12' },
+  { key: 'bands', label: 'Bands', placeholder: '# lo, hi, min, max  ("-" = no limit)\n200, 250, 2e-12, -\n250, 350, 3e-12, -' },
+];
+
+const EMPTY_DRAFT = { id: null, name: '', metric: 'light_response', mode: 'envelope', text: '' };
+
+/**
+ * Selects the active acceptance spec and edits the shared spec list, which is
+ * stored in the data source next to pmt_data so the whole team uses the same
+ * criteria. Shows the pass/fail tally of the active spec. `canEdit` and
+ * `canDelete` follow the user's role.
+ */
+const SpecPanel = ({
+  dataSource, specs, activeSpecId, onActiveSpecChange, metricOptions, statusCounts, pendingCount = 0, canEdit = true, canDelete = true,
+}) => {
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const activeSpec = specs.find(spec => spec.id === activeSpecId);
+  const parsed = draft ? parseSpecRows(draft.text, draft.mode) : null;
+
+  const startEdit = (spec) => {
+    setError(null);
+    setDraft(spec
+      ? { id: spec.id, name: spec.name, metric: spec.metric, mode: spec.mode, text: formatSpecRows(spec) }
+      : { ...EMPTY_DRAFT, metric: metricOptions[0].key });
+  };
+
+  const handleSave = async () => {
+    if (!draft.name.trim() || parsed.errors.length > 0) return;
+    setIsSaving(true);
+    setError(null);
+    try {
+      const id = draft.id || `spec_${Date.now()}`;
+      await dataSource.setDocs(PMT_SPECS_COLLECTION, [{
+        id,
+        name: draft.name.trim(),
+        metric: draft.metric,
+        mode: draft.mode,
+        [draft.mode === 'bands' ? 'bands' : 'envelope']: parsed.rows,
+      }]);
+      onActiveSpecChange(id);
+      setDraft(null);
+    } catch (e) {
+      console.error("Spec Save Error:", e);
+      setError(`Save failed: ${e.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!activeSpec || !window.confirm(`Delete spec "${activeSpec.name}" for everyone?`)) return;
+    try {
+      await dataSource.deleteDocs(PMT_SPECS_COLLECTION, [activeSpec.id]);
+      onActiveSpecChange(null);
+    } catch (e) {
+      console.error("Spec Delete Error:", e);
+      setError(`Delete failed: ${e.message}`);
+    }
+  };
+
+  const iconButtonClass = 'p-1.5 rounded-md text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 disabled:opacity-40';
+
+  return (
+    <div className="p-4 border rounded-xl bg-gray-50">
+      <label className="block text-lg font-medium text-gray-700 mb-3 flex items-center">
+        <ShieldCheck className="w-5 h-5 mr-2 text-indigo-500" />
+        Acceptance Spec
+      </label>
+
+      <div className="flex items-center gap-2">
+        <select
+          className="flex-1 border rounded-lg px-2 py-1.5 text-sm bg-white"
+          value={activeSpecId || ''}
+          onChange={(e) => onActiveSpecChange(e.target.value || null)}
+        >
+          <option value="">No spec applied</option>
+          {specs.map(spec => (
+            <option key={spec.id} value={spec.id}>
+              {spec.name} ({metricOptions.find(opt => opt.key === spec.metric)?.label || spec.metric})
+            </option>
+          ))}
+        </select>
+        {canEdit && <button onClick={() => startEdit(null)} className={iconButtonClass} title="New spec"><Plus className="w-4 h-4" /></button>}
+        {canEdit && <button onClick={() => startEdit(activeSpec)} disabled={!activeSpec} className={iconButtonClass} title="Edit spec"><Pencil className="w-4 h-4" /></button>}
+        {canDelete && <button onClick={handleDelete} disabled={!activeSpec} className={iconButtonClass} title="Delete spec"><Trash2 className="w-4 h-4" /></button>}
+      </div>
+
+      {activeSpec && !draft && (
+        <div className="flex gap-4 mt-3 text-sm">
+          <span className="flex items-center text-green-700"><CheckCircle className="w-4 h-4 mr-1" />{statusCounts[SPEC_STATUS.PASS] || 0} pass</span>
+          <span className="flex items-center text-red-600"><XCircle className="w-4 h-4 mr-1" />{statusCounts[SPEC_STATUS.FAIL] || 0} fail</span>
+          <span className="text-gray-500">{statusCounts[SPEC_STATUS.NO_DATA] || 0} without data across the range</span>
+          {pendingCount > 0 && <span className="text-gray-500">{pendingCount} still being checked…</span>}
+        </div>
+      )}
+
+      {/* Spec Editor */}
+      {draft && (
+        <div className="mt-3 space-y-2 text-sm">
+          <input
+            className="w-full border rounded px-2 py-1"
+            placeholder="Spec name, e.g. UV photocathode acceptance"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          />
+          <div className="flex gap-2">
+            <select
+              className="flex-1 border rounded px-2 py-1 bg-white"
+              value={draft.metric}
+              onChange={(e) => setDraft({ ...draft, metric: e.target.value })}
+            >
+              {metricOptions.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+            </select>
+            <div className="inline-flex rounded-lg bg-gray-100 p-0.5">
+              {SPEC_MODES.map(mode => (
+                <button
+                  key={mode.key}
+                  onClick={() => setDraft({ ...draft, mode: mode.key })}
+                  className={`px-3 py-1 text-xs font-medium rounded-md ${draft.mode === mode.key ? 'bg-indigo-600 text-white' : 'text-gray-700'}`}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <textarea
+            className="w-full border rounded px-2 py-1 font-mono text-xs h-28"
+            placeholder={SPEC_MODES.find(mode => mode.key === draft.mode).placeholder}
+            value={draft.text}
+            onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+          />
+          {draft.text && parsed.errors.length > 0 && (
+            <ul className="text-xs text-red-600">
+              {parsed.errors.slice(0, 3).map((message, i) => <li key={i}>{message}</li>)}
+            </ul>
+          )}
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              disabled={isSaving || !draft.name.trim() || parsed.errors.length > 0}
+              className="px-3 py-1 text-sm font-medium rounded-full text-white bg-indigo-600 hover:bg-indigo-700 transition shadow-md disabled:opacity-50 flex items-center"
+            >
+              {isSaving && <Loader className="w-4 h-4 mr-1 animate-spin" />}
+              Save Spec
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              className="px-3 py-1 text-sm font-medium rounded-full text-indigo-600 bg-indigo-100 hover:bg-indigo-200 transition"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default SpecPanel;
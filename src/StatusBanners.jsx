@@ -0,0 +1,40 @@
+import React from 'react';
+import { AlertTriangle, WifiOff, X } from 'lucide-react';
+
+/**
+ * Non-fatal problems shown above the explorer: an offline indicator (cached
+ * data stays viewable, saving fails until the connection returns) and one dismissible banner per
+ * notice ({ key: message }), e.g. failed listeners that are being retried.
+ * `actions` optionally maps a notice key to { label, onClick }.
+ */
+const StatusBanners = ({ isOffline, notices, actions = {}, onDismiss }) => {
+  const keys = Object.keys(notices);
+  if (!isOffline && keys.length === 0) return null;
+
+  return (
+    <div className="max-w-6xl mx-auto mb-6 space-y-2">
+      {isOffline && (
+        <div className="flex items-center rounded-lg border border-gray-300 bg-gray-100 px-4 py-2 text-sm text-gray-700">
+          <WifiOff className="w-4 h-4 mr-2 flex-shrink-0" />
+          Offline: showing cached data. Saving is disabled until the connection returns.
+        </div>
+      )}
+      {keys.map(key => (
+        <div key={key} role="alert" className="flex items-center rounded-lg border border-yellow-300 bg-yellow-50 px-4 py-2 text-sm text-yellow-800">
+          <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+          <span className="mr-auto">{notices[key]}</span>
+          {actions[key] && (
+            <button onClick={actions[key].onClick} className="ml-3 font-medium text-yellow-900 underline hover:no-underline">
+              {actions[key].label}
+            </button>
+          )}
+          <button onClick={() => onDismiss(key)} className="ml-3 text-yellow-700 hover:text-yellow-900" title="Dismiss">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default StatusBanners;
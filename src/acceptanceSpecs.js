@@ -0,0 +1,183 @@
+import { interpolateAt } from './curveMath.js';
+
+// --- Acceptance Spec Evaluation ---
+// A spec constrains one metric over wavelength, either as an envelope
+// (min/max curves through listed points) or as per-band thresholds:
+//
+//   { id, name, metric, mode: 'envelope', envelope: [{ wavelength, min, max }] }
+//   { id, name, metric, mode: 'bands', bands: [{ lo, hi, min, max }] }
+//
+// `min` / `max` may be null for a one-sided limit. Values are compared with
+// the stored (signed) metric values.
+
+export const SPEC_STATUS = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  NO_DATA: 'no-data', // The PMT's points do not span the spec's wavelength range (and violate nothing)
+};
+
+// Version of the rules in evaluateSpec(), part of specKey() so that results
+// stored by an earlier version count as stale
+const EVALUATION_VERSION = 2;
+
+/**
+ * Converts a spec into limit curves: { min: [curve], max: [curve] }, where a
+ * curve is a wavelength-sorted array of { wavelength, value }. Both spec modes
+ * share this representation for evaluation and plotting.
+ */
+export const specLimitCurves = (spec) => {
+  const curves = { min: [], max: [] };
+
+  if (spec.mode === 'bands') {
+    (spec.bands || []).forEach(({ lo, hi, min, max }) => {
+      if (min !== null && min !== undefined) curves.min.push([{ wavelength: lo, value: min }, { wavelength: hi, value: min }]);
+      if (max !== null && max !== undefined) curves.max.push([{ wavelength: lo, value: max }, { wavelength: hi, value: max }]);
+    });
+    return curves;
+  }
+
+  const points = [...(spec.envelope || [])].sort((a, b) => a.wavelength - b.wavelength);
+  ['min', 'max'].forEach((kind) => {
+    const curve = points
+      .filter(p => p[kind] !== null && p[kind] !== undefined)
+      .map(p => ({ wavelength: p.wavelength, value: p[kind] }));
+    if (curve.length > 0) curves[kind].push(curve);
+  });
+  return curves;
+};
+
+// Strictest limit of a kind at a wavelength, or null when no curve covers it.
+const limitAt = (curves, kind, wavelength) => {
+  const values = curves[kind]
+    .map(curve => (curve.length === 1
+      ? (curve[0].wavelength === wavelength ? curve[0].value : null)
+      : interpolateAt(curve, wavelength, 'value')))
+    .filter(value => value !== null);
+  if (values.length === 0) return null;
+  return kind === 'min' ? Math.max(...values) : Math.min(...values);
+};
+
+/**
+ * Wavelength range [lo, hi] constrained by a spec, or null if it has no limits.
+ */
+export const specRange = (spec) => {
+  const { min, max } = specLimitCurves(spec);
+  const wavelengths = [...min, ...max].flat().map(p => p.wavelength);
+  return wavelengths.length > 0 ? [Math.min(...wavelengths), Math.max(...wavelengths)] : null;
+};
+
+/**
+ * Checks one PMT curve (rows sorted by wavelength) against a spec.
+ * Returns { status, violations: [{ wavelength, value, limit, kind }],
+ * checkedCount, measuredRange }, where measuredRange is the [lo, hi]
+ * wavelength span of the points with a value (null without any).
+ *
+ * Passing requires points at or beyond both ends of the spec's range, so a
+ * scan that stops early cannot pass a limit it never reached. Violations fail
+ * the PMT either way; a clean scan that falls short reports no data.
+ */
+export const evaluateSpec = (spec, points) => {
+  const curves = specLimitCurves(spec);
+  const range = specRange(spec);
+  const violations = [];
+  let checkedCount = 0;
+  let measuredRange = null;
+
+  points.forEach((point) => {
+    const value = point[spec.metric];
+    if (typeof value !== 'number') return;
+    measuredRange = measuredRange
+      ? [Math.min(measuredRange[0], point.wavelength), Math.max(measuredRange[1], point.wavelength)]
+      : [point.wavelength, point.wavelength];
+
+    const min = limitAt(curves, 'min', point.wavelength);
+    const max = limitAt(curves, 'max', point.wavelength);
+    if (min === null && max === null) return;
+
+    checkedCount++;
+    if (min !== null && value < min) violations.push({ wavelength: point.wavelength, value, limit: min, kind: 'min' });
+    if (max !== null && value > max) violations.push({ wavelength: point.wavelength, value, limit: max, kind: 'max' });
+  });
+
+  const isCovered = Boolean(range && measuredRange) && measuredRange[0] <= range[0] && measuredRange[1] >= range[1];
+  let status = SPEC_STATUS.PASS;
+  if (violations.length > 0) status = SPEC_STATUS.FAIL;
+  else if (checkedCount === 0 || !isCovered) status = SPEC_STATUS.NO_DATA;
+
+  return { status, violations, checkedCount, measuredRange };
+};
+
+/**
+ * Everything about a spec that decides its results. Results stored with a
+ * different key were computed for an earlier version of the spec.
+ */
+export const specKey = (spec) => JSON.stringify([
+  EVALUATION_VERSION, spec.metric, spec.mode, spec.mode === 'bands' ? spec.bands || [] : spec.envelope || [],
+]);
+
+/**
+ * Compact form of an evaluateSpec() result, stored per spec in the PMT index:
+ * { status, checked_count, violation_count, first_violation } where
+ * first_violation is the wavelength of the first violation or null.
+ */
+export const summarizeSpecResult = ({ status, violations, checkedCount }) => ({
+  status,
+  checked_count: checkedCount,
+  violation_count: violations.length,
+  first_violation: violations.length > 0 ? violations[0].wavelength : null,
+});
+
+// Parses one cell of the spec editor: blank or "-" means "no limit".
+const parseLimit = (cell) => {
+  if (cell === undefined || cell.trim() === '' || cell.trim() === '-') return null;
+  const value = Number(cell);
+  return Number.isFinite(value) ? value : undefined;
+};
+
+/**
+ * Parses the spec editor text (one row per line, comma or whitespace separated)
+ * into envelope points or bands. Returns { rows, errors }.
+ *
+ * Envelope lines are "wavelength, min, max"; band lines are "lo, hi, min, max".
+ */
+export const parseSpecRows = (text, mode) => {
+  const rows = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const cells = line.trim().split(/\s*[,;\t]\s*|\s+/);
+
+    if (mode === 'bands') {
+      const [lo, hi] = cells.slice(0, 2).map(Number);
+      const [min, max] = cells.slice(2, 4).map(parseLimit);
+      if (!Number.isFinite(lo) || !Number.isFinite(hi) || !(hi > lo) || min === undefined || max === undefined) {
+        errors.push(`Line ${index + 1}: expected "lo, hi, min, max" with lo < hi.`);
+        return;
+      }
+      rows.push({ lo, hi, min, max });
+    } else {
+      const wavelength = Number(cells[0]);
+      const [min, max] = cells.slice(1, 3).map(parseLimit);
+      if (!Number.isFinite(wavelength) || min === undefined || max === undefined) {
+        errors.push(`Line ${index + 1}: expected "wavelength, min, max".`);
+        return;
+      }
+      rows.push({ wavelength, min, max });
+    }
+  });
+
+  if (rows.length === 0 && errors.length === 0) errors.push('Add at least one limit row.');
+  return { rows, errors };
+};
+
+/**
+ * Inverse of parseSpecRows, used to load a saved spec into the editor.
+ */
+export const formatSpecRows = (spec) => {
+  const cell = (value) => (value === null || value === undefined ? '-' : String(value));
+  if (spec.mode === 'bands') {
+    return (spec.bands || []).map(b => [b.lo, b.hi, cell(b.min), cell(b.max)].join(', ')).join('\n');
+  }
+  return (spec.envelope || []).map(p => [p.wavelength, cell(p.min), cell(p.max)].join(', ')).join('\n');
+};
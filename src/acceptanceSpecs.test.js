@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { SPEC_STATUS, evaluateSpec } from './acceptanceSpecs.js';
+
+const spec = { id: 's1', metric: 'current', mode: 'bands', bands: [{ lo: 300, hi: 500, min: 0, max: 10 }] };
+const curve = (...points) => points.map(([wavelength, current]) => ({ wavelength, current }));
+
+describe('evaluateSpec', () => {
+  it('passes a curve that spans the spec range within its limits', () => {
+    const result = evaluateSpec(spec, curve([290, 5], [300, 5], [400, 5], [500, 5]));
+    expect(result).toEqual({ status: SPEC_STATUS.PASS, violations: [], checkedCount: 3, measuredRange: [290, 500] });
+  });
+
+  it('does not pass a curve that stops short of the spec range', () => {
+    const result = evaluateSpec(spec, curve([300, 5], [400, 5]));
+    expect(result.status).toBe(SPEC_STATUS.NO_DATA);
+    expect(result.measuredRange).toEqual([300, 400]);
+    expect(evaluateSpec(spec, curve([200, 5], [250, 5])).status).toBe(SPEC_STATUS.NO_DATA);
+  });
+
+  it('fails a partial curve that violates the limits where it was measured', () => {
+    const result = evaluateSpec(spec, curve([350, 5], [400, 12]));
+    expect(result.status).toBe(SPEC_STATUS.FAIL);
+    expect(result.violations).toEqual([{ wavelength: 400, value: 12, limit: 10, kind: 'max' }]);
+  });
+});
@@ -0,0 +1,76 @@
+import {
+  PMT_AUDIT_COLLECTION, PMT_AUDIT_HEADS_COLLECTION, PMT_ROLES_COLLECTION, PMT_TRASH_COLLECTION
+} from './dataSources/index.js';
+
+// --- Roles and Write Permissions ---
+// Every signed-in identity has one role. Roles are ordered: each one can do
+// everything the roles before it can. The same table is enforced server-side
+// by firestore.rules; the checks here keep the UI and the local backends in
+// line with it.
+
+export const ROLES = [
+  { key: 'viewer', label: 'Viewer', description: 'Browse, compare and export the data' },
+  { key: 'uploader', label: 'Uploader', description: 'Import measurements, edit and flag data points, and edit metadata, runs, conversions and specs' },
+  { key: 'admin', label: 'Admin', description: 'Also delete documents, trash and restore PMT datasets, seed the sample data, assign roles and read the audit log' },
+];
+
+// Role of signed-in users without a role document, by data source type. The
+// browser-only backends have a single local user who owns all the data.
+export const DEFAULT_ROLES = {
+  firestore: 'viewer',
+  local: 'admin',
+  memory: 'admin',
+};
+
+// Minimum role per write operation; collections listed in
+// COLLECTION_WRITE_ROLES override it (null = nobody writes directly).
+const WRITE_ROLES = { set: 'uploader', delete: 'admin' };
+const COLLECTION_WRITE_ROLES = {
+  [PMT_ROLES_COLLECTION]: { set: 'admin', delete: 'admin' },
+  [PMT_TRASH_COLLECTION]: { set: 'admin', delete: 'admin' }, // Soft delete and restore
+  [PMT_AUDIT_COLLECTION]: { set: null, delete: null }, // Written by the audited data source only
+  [PMT_AUDIT_HEADS_COLLECTION]: { set: null, delete: null },
+};
+
+const rank = (role) => ROLES.findIndex(r => r.key === role);
+
+export const roleLabel = (role) => (ROLES.find(r => r.key === role) || ROLES[0]).label;
+
+/**
+ * True if `role` is `required` or a higher role.
+ */
+export const hasRole = (role, required) => rank(role) >= 0 && rank(role) >= rank(required);
+
+/**
+ * Minimum role for a 'set' or 'delete' on a collection, or null if the
+ * collection cannot be written directly.
+ */
+export const requiredRole = (name, operation) => {
+  const roles = COLLECTION_WRITE_ROLES[name] || WRITE_ROLES;
+  return roles[operation];
+};
+
+export const canWrite = (role, name, operation) => {
+  const required = requiredRole(name, operation);
+  return required !== null && required !== undefined && hasRole(role, required);
+};
+
+/**
+ * Role of a user given the role documents (uid -> { role }). Anonymous
+ * sessions are always viewers; known users without a valid role document
+ * get `defaultRole`.
+ */
+export const resolveRole = (user, roleDocs, defaultRole = 'viewer') => {
+  if (!user || user.isAnonymous) return 'viewer';
+  const role = roleDocs[user.uid]?.role;
+  return rank(role) >= 0 ? role : defaultRole;
+};
+
+/**
+ * Name shown for a user in the header and the audit log.
+ */
+export const userDisplayName = (user) => {
+  if (!user) return null;
+  if (user.isAnonymous) return 'Anonymous';
+  return user.displayName || user.email || user.uid;
+};
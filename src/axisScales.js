@@ -0,0 +1,166 @@
+// --- Axis Scaling and Tick Generation ---
+
+// Default number of intervals aimed for when generating linear ticks.
+const TARGET_TICK_COUNT = 5;
+
+const SI_PREFIXES = {
+  '-15': 'f', '-12': 'p', '-9': 'n', '-6': 'µ', '-3': 'm', '0': '', '3': 'k', '6': 'M', '9': 'G',
+};
+
+export const DEFAULT_AXIS_SETTINGS = {
+  xScale: 'linear',  // 'linear' | 'log'
+  yScale: 'linear',  // 'linear' | 'log'
+  yMin: '',          // Manual Y range override; '' means automatic
+  yMax: '',
+  absolute: false,   // Plot |value|, e.g. for the negative photocurrent
+};
+
+// Simple linear scaling function for SVG plotting
+export const scaleData = (value, domainMin, domainMax, rangeMin, rangeMax) => {
+  return rangeMin + (rangeMax - rangeMin) * (value - domainMin) / (domainMax - domainMin);
+};
+
+/**
+ * Rounds a raw step size to the nearest "nice" value: 1, 2, 2.5 or 5 times a power of ten.
+ */
+export const niceStep = (roughStep) => {
+  const exponent = Math.floor(Math.log10(roughStep));
+  const fraction = roughStep / 10 ** exponent;
+  const niceFraction = fraction < 1.5 ? 1 : fraction < 2.25 ? 2 : fraction < 3.5 ? 2.5 : fraction < 7.5 ? 5 : 10;
+  return niceFraction * 10 ** exponent;
+};
+
+/**
+ * Generates round tick values covering [min, max] on a linear axis.
+ */
+export const linearTicks = (min, max, count = TARGET_TICK_COUNT) => {
+  if (!(max > min)) return { ticks: [min], step: 0 };
+  const step = niceStep((max - min) / count);
+  const ticks = [];
+  // Small epsilon so floating point noise does not drop the last tick
+  for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+    ticks.push(Math.abs(value) < step * 1e-9 ? 0 : value);
+  }
+  return { ticks, step };
+};
+
+/**
+ * Expands [min, max] outwards to the nearest round tick values.
+ */
+export const niceLinearDomain = (min, max, count = TARGET_TICK_COUNT) => {
+  if (!(max > min)) return [min, max];
+  const step = niceStep((max - min) / count);
+  return [Math.floor(min / step) * step, Math.ceil(max / step) * step];
+};
+
+/**
+ * Generates ticks for a logarithmic axis: powers of ten, plus 2× and 5× (or
+ * every integer multiple) when the range spans too few decades to be readable.
+ */
+export const logTicks = (min, max) => {
+  const firstDecade = Math.floor(Math.log10(min));
+  const lastDecade = Math.ceil(Math.log10(max));
+  const decades = lastDecade - firstDecade;
+  const mantissas = decades > 3 ? [1] : decades > 1 ? [1, 2, 5] : [1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+  const ticks = [];
+  for (let decade = firstDecade; decade <= lastDecade; decade++) {
+    mantissas.forEach((m) => {
+      const value = m * 10 ** decade;
+      if (value >= min * (1 - 1e-9) && value <= max * (1 + 1e-9)) ticks.push(value);
+    });
+  }
+  return ticks;
+};
+
+/**
+ * Creates a scale mapping data values in `domain` onto pixel `range`, for a
+ * 'linear' or 'log' axis. Returns the scale, its inverse and its ticks.
+ */
+export const createAxisScale = (type, [domainMin, domainMax], [rangeMin, rangeMax], { nice = false } = {}) => {
+  const isLog = type === 'log';
+  const forward = isLog ? Math.log10 : (v) => v;
+  const inverse = isLog ? (v) => 10 ** v : (v) => v;
+
+  let [min, max] = [domainMin, domainMax];
+  if (nice && !isLog) [min, max] = niceLinearDomain(min, max);
+
+  const { ticks, step } = isLog ? { ticks: logTicks(min, max), step: null } : linearTicks(min, max);
+
+  return {
+    type,
+    domain: [min, max],
+    ticks,
+    step,
+    forward,
+    inverse,
+    scale: (value) => scaleData(forward(value), forward(min), forward(max), rangeMin, rangeMax),
+    invert: (pixel) => inverse(scaleData(pixel, rangeMin, rangeMax, forward(min), forward(max))),
+  };
+};
+
+/**
+ * Computes the automatic data range for an axis, padding degenerate ranges so
+ * the scale stays finite. Non-positive values are ignored on a log axis.
+ */
+export const autoDomain = (values, type) => {
+  const usable = type === 'log' ? values.filter(v => v > 0) : values;
+  if (usable.length === 0) return type === 'log' ? [1, 10] : [0, 1];
+
+  let min = Math.min(...usable);
+  let max = Math.max(...usable);
+  if (min === max) {
+    if (type === 'log') return [min / 2, max * 2];
+    const pad = Math.abs(min) * 0.1 || 1;
+    min -= pad;
+    max += pad;
+  }
+  return [min, max];
+};
+
+// Picks the SI exponent (a multiple of 3) used to display a value.
+const siExponent = (value) => {
+  if (value === 0 || !Number.isFinite(value)) return 0;
+  const exponent = Math.floor(Math.log10(Math.abs(value)) / 3) * 3;
+  return Math.min(9, Math.max(-15, exponent));
+};
+
+// Number of decimals needed to show multiples of `step` exactly (2.5 needs one more than 2).
+const stepDecimals = (step) => {
+  const magnitude = Math.floor(Math.log10(step));
+  const mantissa = Number((step / 10 ** magnitude).toPrecision(6));
+  return Math.max(0, -magnitude + (Number.isInteger(mantissa) ? 0 : 1));
+};
+
+// Formats a number with at most `digits` significant digits, without trailing zeros.
+const trimNumber = (value, digits) => String(Number(value.toPrecision(digits)));
+
+/**
+ * Formats a value with an SI prefix, e.g. formatSI(-4.78e-10, 'A') -> "-478 pA".
+ * Pass `{ prefix: false }` for quantities such as percentages that read better plain.
+ */
+export const formatSI = (value, unit = '', digits = 3, { prefix = true } = {}) => {
+  const exponent = prefix ? siExponent(value) : 0;
+  const label = `${trimNumber(value / 10 ** exponent, digits)} ${SI_PREFIXES[exponent]}${unit}`;
+  return label.trim();
+};
+
+/**
+ * Formats all ticks of an axis consistently: one shared SI prefix and enough
+ * decimals to tell neighbouring linear ticks apart.
+ */
+export const formatTicks = (ticks, step, unit = '', { prefix = true } = {}) => {
+  if (step === null || ticks.length === 0) return ticks.map(tick => formatSI(tick, unit, 3, { prefix }));
+
+  const exponent = prefix ? siExponent(Math.max(...ticks.map(Math.abs))) : 0;
+  const decimals = step > 0 ? stepDecimals(step / 10 ** exponent) : 2;
+  return ticks.map(tick => `${(tick / 10 ** exponent).toFixed(decimals)} ${SI_PREFIXES[exponent]}${unit}`.trim());
+};
+
+/**
+ * Formats wavelength ticks with just enough decimals for the tick spacing.
+ */
+export const formatWavelengthTicks = (ticks, step) => {
+  const decimals = step > 0 ? stepDecimals(step) : 0;
+  return ticks.map(tick => tick.toFixed(decimals));
+};
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import {
+  autoDomain, createAxisScale, formatSI, formatTicks, formatWavelengthTicks, linearTicks, logTicks, niceLinearDomain,
+  niceStep, scaleData,
+} from './axisScales.js';
+
+describe('scaleData', () => {
+  it('maps a domain linearly onto a range, including inverted ones', () => {
+    expect(scaleData(5, 0, 10, 0, 100)).toBe(50);
+    expect(scaleData(0, 0, 10, 350, 50)).toBe(350);
+    expect(scaleData(10, 0, 10, 350, 50)).toBe(50);
+  });
+});
+
+describe('tick generation', () => {
+  it('rounds steps to 1, 2, 2.5 or 5 times a power of ten', () => {
+    expect(niceStep(0.13)).toBeCloseTo(0.1);
+    expect(niceStep(1.9)).toBe(2);
+    expect(niceStep(3)).toBe(2.5);
+    expect(niceStep(60)).toBe(50);
+    expect(niceStep(8e-12)).toBeCloseTo(1e-11);
+  });
+
+  it('covers a linear range with round ticks', () => {
+    expect(linearTicks(0, 10)).toEqual({ ticks: [0, 2, 4, 6, 8, 10], step: 2 });
+    expect(linearTicks(3, 3)).toEqual({ ticks: [3], step: 0 });
+  });
+
+  it('expands a linear domain to round values', () => {
+    expect(niceLinearDomain(0.3, 9.6)).toEqual([0, 10]);
+  });
+
+  it('adds intermediate log ticks for narrow ranges only', () => {
+    expect(logTicks(1, 10)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    expect(logTicks(1, 100)).toEqual([1, 2, 5, 10, 20, 50, 100]);
+    expect(logTicks(1e-12, 1e-6)).toHaveLength(7);
+  });
+});
+
+describe('createAxisScale', () => {
+  it('scales and inverts a linear axis', () => {
+    const axis = createAxisScale('linear', [0, 10], [50, 650]);
+    expect(axis.scale(5)).toBe(350);
+    expect(axis.invert(350)).toBe(5);
+  });
+
+  it('scales a log axis by decades', () => {
+    const axis = createAxisScale('log', [1, 100], [0, 200]);
+    expect(axis.scale(10)).toBeCloseTo(100);
+    expect(axis.invert(100)).toBeCloseTo(10);
+    expect(axis.step).toBeNull();
+  });
+
+  it('rounds the domain outwards with `nice`', () => {
+    expect(createAxisScale('linear', [0.3, 9.6], [0, 1], { nice: true }).domain).toEqual([0, 10]);
+  });
+});
+
+describe('autoDomain', () => {
+  it('pads degenerate ranges', () => {
+    expect(autoDomain([5, 5], 'linear')).toEqual([4.5, 5.5]);
+    expect(autoDomain([0, 0], 'linear')).toEqual([-1, 1]);
+    expect(autoDomain([4], 'log')).toEqual([2, 8]);
+  });
+
+  it('ignores non-positive values on a log axis', () => {
+    expect(autoDomain([-1, 0, 2, 20], 'log')).toEqual([2, 20]);
+    expect(autoDomain([-1], 'log')).toEqual([1, 10]);
+  });
+});
+
+describe('formatting', () => {
+  it('formats values with SI prefixes', () => {
+    expect(formatSI(-4.78e-10, 'A')).toBe('-478 pA');
+    expect(formatSI(1500, 'V')).toBe('1.5 kV');
+    expect(formatSI(25, '%', 3, { prefix: false })).toBe('25 %');
+  });
+
+  it('formats ticks with a shared prefix and enough decimals', () => {
+    expect(formatTicks([0, 2.5e-12, 5e-12], 2.5e-12, 'A')).toEqual(['0.0 pA', '2.5 pA', '5.0 pA']);
+    expect(formatWavelengthTicks([200, 250, 300], 50)).toEqual(['200', '250', '300']);
+  });
+});
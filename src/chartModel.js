@@ -0,0 +1,72 @@
+import { autoDomain } from './axisScales.js';
+
+// --- Chart Model ---
+// Pure helpers behind SvgLineChart: series colors, the wavelength extent and
+// zoom window, and the Y domain fitted to everything drawn in that window.
+
+export const PLOT_COLORS = [
+  '#ef4444', '#3b82f6', '#10b981', '#f97316', '#a855f7',
+  '#06b6d4', '#eab308', '#ec4899', '#84cc16', '#6366f1'
+];
+
+/**
+ * Assigns each key (PMT, run, ...) a plot color in order, cycling through
+ * PLOT_COLORS. Returns { [key]: color }.
+ */
+export const buildColorMap = (keys) => keys.reduce((acc, key, index) => {
+  acc[key] = PLOT_COLORS[index % PLOT_COLORS.length];
+  return acc;
+}, {});
+
+/**
+ * Wavelength extent [min, max] of the plotted rows, population band points
+ * and shaded regions, or null when there is nothing to plot.
+ */
+export const fullXExtent = (data, bands = [], shadedRegions = []) => {
+  if (data.length === 0 && bands.length === 0) return null;
+  const xValues = [...data.map(d => d.wavelength), ...bands.map(b => b.wavelength), ...shadedRegions.flat()];
+  return [Math.min(...xValues), Math.max(...xValues)];
+};
+
+/**
+ * The zoom window to apply, or null for the full range: a window that no
+ * longer overlaps the data (e.g. after changing the selection) is ignored.
+ */
+export const activeZoomWindow = (xDomain, extent) => (
+  xDomain && extent && xDomain[1] > extent[0] && xDomain[0] < extent[1] ? xDomain : null
+);
+
+/**
+ * Y domain for the wavelength window [xMin, xMax]. Fits the visible rows of
+ * `metric` (all rows if none are visible), the population `bands`, the
+ * `fitCurves` (source_file -> rows) and the spec limit `specCurves`
+ * ({ min, max } from specLimitCurves()). Valid manual bounds in
+ * `axisSettings` win over the automatic ones.
+ * Returns { domain: [min, max], isManual }.
+ */
+export const computeYDomain = (data, metric, [xMin, xMax], axisSettings, { bands = [], fitCurves = null, specCurves = null } = {}) => {
+  const plotted = (value) => (axisSettings.absolute ? Math.abs(value) : value);
+  const inWindow = (d) => d.wavelength >= xMin && d.wavelength <= xMax;
+
+  const visible = data.filter(inWindow);
+  const yValues = (visible.length > 0 ? visible : data).map(d => plotted(d[metric]));
+  bands.filter(inWindow).forEach(b => [b.lower, b.center, b.upper].forEach(v => yValues.push(plotted(v))));
+  if (fitCurves) {
+    Object.values(fitCurves).flat().filter(inWindow).forEach(d => yValues.push(plotted(d[metric])));
+  }
+  if (specCurves) {
+    [...specCurves.min, ...specCurves.max].flat().filter(inWindow).forEach(p => yValues.push(plotted(p.value)));
+  }
+
+  // Log axes need positive bounds
+  const parseBound = (text) => {
+    const value = text === '' ? NaN : Number(text);
+    return Number.isFinite(value) && (axisSettings.yScale !== 'log' || value > 0) ? value : null;
+  };
+  const [autoMin, autoMax] = autoDomain(yValues, axisSettings.yScale);
+  const manualMin = parseBound(axisSettings.yMin);
+  const manualMax = parseBound(axisSettings.yMax);
+  const domain = [manualMin ?? autoMin, manualMax ?? autoMax];
+  if (!(domain[1] > domain[0])) return { domain: [autoMin, autoMax], isManual: false };
+  return { domain, isManual: manualMin !== null || manualMax !== null };
+};
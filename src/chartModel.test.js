@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_AXIS_SETTINGS } from './axisScales.js';
+import { PLOT_COLORS, activeZoomWindow, buildColorMap, computeYDomain, fullXExtent } from './chartModel.js';
+
+const rows = [
+  { source_file: 'A.txt', wavelength: 200, current: -1 },
+  { source_file: 'A.txt', wavelength: 300, current: -4 },
+  { source_file: 'A.txt', wavelength: 400, current: -2 },
+];
+
+describe('buildColorMap', () => {
+  it('assigns colors in order and cycles through the palette', () => {
+    const keys = Array.from({ length: PLOT_COLORS.length + 1 }, (_, i) => `P${i}`);
+    const colors = buildColorMap(keys);
+    expect(colors.P0).toBe(PLOT_COLORS[0]);
+    expect(colors.P1).toBe(PLOT_COLORS[1]);
+    expect(colors[`P${PLOT_COLORS.length}`]).toBe(PLOT_COLORS[0]);
+  });
+});
+
+describe('fullXExtent', () => {
+  it('spans rows, bands and shaded regions', () => {
+    expect(fullXExtent(rows, [{ wavelength: 150 }], [[380, 450]])).toEqual([150, 450]);
+  });
+
+  it('is null without anything to plot', () => {
+    expect(fullXExtent([], [], [[1, 2]])).toBeNull();
+  });
+});
+
+describe('activeZoomWindow', () => {
+  it('keeps a window overlapping the data', () => {
+    expect(activeZoomWindow([250, 350], [200, 400])).toEqual([250, 350]);
+  });
+
+  it('drops a window outside the data or without data', () => {
+    expect(activeZoomWindow([500, 600], [200, 400])).toBeNull();
+    expect(activeZoomWindow([250, 350], null)).toBeNull();
+    expect(activeZoomWindow(null, [200, 400])).toBeNull();
+  });
+});
+
+describe('computeYDomain', () => {
+  it('fits the rows inside the wavelength window', () => {
+    expect(computeYDomain(rows, 'current', [350, 400], DEFAULT_AXIS_SETTINGS).domain).toEqual([-2.2, -1.8]);
+    expect(computeYDomain(rows, 'current', [200, 400], DEFAULT_AXIS_SETTINGS).domain).toEqual([-4, -1]);
+  });
+
+  it('falls back to all rows when none are visible', () => {
+    expect(computeYDomain(rows, 'current', [500, 600], DEFAULT_AXIS_SETTINGS).domain).toEqual([-4, -1]);
+  });
+
+  it('plots magnitudes with the absolute-value option', () => {
+    const { domain } = computeYDomain(rows, 'current', [200, 400], { ...DEFAULT_AXIS_SETTINGS, absolute: true });
+    expect(domain).toEqual([1, 4]);
+  });
+
+  it('includes bands, fitted curves and spec limits in the window', () => {
+    const { domain } = computeYDomain(rows, 'current', [200, 400], DEFAULT_AXIS_SETTINGS, {
+      bands: [{ wavelength: 300, lower: -6, center: -4, upper: -2 }],
+      fitCurves: { 'A.txt': [{ wavelength: 250, current: 1 }] },
+      specCurves: { min: [[{ wavelength: 300, value: -8 }]], max: [[{ wavelength: 900, value: 50 }]] },
+    });
+    expect(domain).toEqual([-8, 1]);
+  });
+
+  it('applies valid manual bounds', () => {
+    const result = computeYDomain(rows, 'current', [200, 400], { ...DEFAULT_AXIS_SETTINGS, yMin: '-10' });
+    expect(result).toEqual({ domain: [-10, -1], isManual: true });
+  });
+
+  it('ignores manual bounds that are inverted or not positive on a log axis', () => {
+    expect(computeYDomain(rows, 'current', [200, 400], { ...DEFAULT_AXIS_SETTINGS, yMin: '5' }))
+      .toEqual({ domain: [-4, -1], isManual: false });
+    const log = { ...DEFAULT_AXIS_SETTINGS, yScale: 'log', absolute: true, yMin: '-1' };
+    expect(computeYDomain(rows, 'current', [200, 400], log)).toEqual({ domain: [1, 4], isManual: false });
+  });
+});
@@ -0,0 +1,54 @@
+import { useEffect, useState } from 'react';
+
+// --- Connection Status ---
+
+// Every start serves the cached copy first, until the server answers; data
+// that keeps coming from the cache for this long means the server is unreachable.
+export const CACHE_GRACE_MS = 5000;
+
+/**
+ * Tracks the browser's network status (navigator.onLine and the
+ * online/offline events). Returns true while the browser reports a connection.
+ */
+export const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => (typeof navigator === 'undefined' ? true : navigator.onLine !== false));
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine !== false);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+/**
+ * True once `value` has been true for `delayMs` without interruption; false
+ * as soon as it turns false.
+ */
+export const useSustained = (value, delayMs) => {
+  const [isSustained, setIsSustained] = useState(false);
+
+  useEffect(() => {
+    if (!value) {
+      setIsSustained(false);
+      return;
+    }
+    const timer = setTimeout(() => setIsSustained(true), delayMs);
+    return () => clearTimeout(timer);
+  }, [value, delayMs]);
+
+  return isSustained;
+};
+
+/**
+ * Message for a failed listener that is retried after `retryInMs`,
+ * e.g. "Failed to load the specs: unavailable. Retrying in 4 s."
+ */
+export const retryMessage = (what, e, { retryInMs } = {}) => (
+  `Failed to load ${what}: ${e.message}.${retryInMs ? ` Retrying in ${Math.round(retryInMs / 1000)} s.` : ''}`
+);
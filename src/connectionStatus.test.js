@@ -0,0 +1,33 @@
+// @vitest-environment jsdom
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import { retryMessage, useSustained } from './connectionStatus.js';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('useSustained', () => {
+  it('turns true only after the value has held for the delay', () => {
+    vi.useFakeTimers();
+    const { result, rerender } = renderHook(({ value }) => useSustained(value, 1000), { initialProps: { value: true } });
+
+    act(() => vi.advanceTimersByTime(500));
+    rerender({ value: false });
+    rerender({ value: true });
+    act(() => vi.advanceTimersByTime(999));
+    expect(result.current).toBe(false);
+
+    act(() => vi.advanceTimersByTime(1));
+    expect(result.current).toBe(true);
+    rerender({ value: false });
+    expect(result.current).toBe(false);
+  });
+});
+
+describe('retryMessage', () => {
+  it('names the retry delay in seconds', () => {
+    expect(retryMessage('the specs', new Error('unavailable'), { retryInMs: 4000 }))
+      .toBe('Failed to load the specs: unavailable. Retrying in 4 s.');
+  });
+});
@@ -0,0 +1,263 @@
+// --- Curve Smoothing, Splines and Spectral Fitting ---
+// Smoothing replaces a metric with a filtered copy, splines only densify the
+// drawn line, and model fits describe a whole response curve by a few
+// parameters (peak, widths) from which the cutoff wavelengths follow.
+
+export const SMOOTHING_OPTIONS = [
+  { key: 'none', label: 'None' },
+  { key: 'moving-average', label: 'Moving average' },
+  { key: 'savitzky-golay', label: 'Savitzky–Golay' },
+];
+
+export const DEFAULT_CURVE_PROCESSING = {
+  smoothing: 'none',
+  window: 5,       // Smoothing window in points (odd)
+  spline: false,   // Draw lines as cubic splines through the points
+  model: 'none',   // Key of FIT_MODELS, or 'none'
+};
+
+// The fitted response falls to this fraction of its peak at the cutoff wavelengths
+export const CUTOFF_FRACTION = 0.1;
+
+// Fits whose peak lies further than this many data spans outside the measured
+// range, or whose widths exceed MAX_WIDTH_SPANS spans, do not describe a peaked
+// response (e.g. a monotonic or U-shaped curve) and are rejected.
+const MAX_PEAK_OFFSET_SPANS = 1;
+const MAX_WIDTH_SPANS = 10;
+
+// Points of a drawn spline segment / fitted curve
+const SPLINE_SAMPLES_PER_SEGMENT = 8;
+const FIT_CURVE_SAMPLES = 120;
+
+// --- Smoothing ---
+
+// Savitzky–Golay weights for a quadratic fit over 2m+1 points, evaluated at the center.
+const savitzkyGolayWeights = (m) => {
+  const norm = (2 * m + 1) * (4 * m * m + 4 * m - 3);
+  return Array.from({ length: 2 * m + 1 }, (_, k) => {
+    const i = k - m;
+    return (3 * (3 * m * m + 3 * m - 1) - 15 * i * i) / norm;
+  });
+};
+
+/**
+ * Smooths `metric` along a curve sorted by wavelength. The window shrinks
+ * symmetrically towards the ends, so edge points are never shifted by
+ * one-sided averages. Points are treated as evenly spaced.
+ */
+export const smoothCurve = (points, metric, { smoothing = 'none', window = 5 } = {}) => {
+  if (smoothing === 'none' || points.length < 3) return points;
+  const half = Math.max(1, Math.floor(window / 2));
+  const values = points.map(d => d[metric]);
+
+  return points.map((point, index) => {
+    if (typeof point[metric] !== 'number') return point;
+    const m = Math.min(half, index, points.length - 1 - index);
+    const neighbours = values.slice(index - m, index + m + 1);
+    if (m === 0 || neighbours.some(v => typeof v !== 'number')) return point;
+
+    const smoothed = smoothing === 'savitzky-golay' && m >= 2
+      ? savitzkyGolayWeights(m).reduce((sum, weight, k) => sum + weight * neighbours[k], 0)
+      : neighbours.reduce((sum, v) => sum + v, 0) / neighbours.length;
+    return { ...point, [metric]: smoothed };
+  });
+};
+
+// --- Splines ---
+
+/**
+ * Natural cubic spline through the (wavelength, metric) points of a sorted
+ * curve, sampled densely for drawing. Returns [{ wavelength, [metric] }].
+ */
+export const splineInterpolate = (points, metric) => {
+  const knots = points.filter(d => typeof d[metric] === 'number');
+  const n = knots.length;
+  if (n < 3) return knots;
+
+  const x = knots.map(d => d.wavelength);
+  const y = knots.map(d => d[metric]);
+  const h = x.slice(1).map((xi, i) => xi - x[i]);
+  if (h.some(step => !(step > 0))) return knots;
+
+  // Solve the tridiagonal system for the second derivatives (natural ends: M0 = Mn-1 = 0)
+  const second = new Array(n).fill(0);
+  const diag = new Array(n).fill(0);
+  const rhs = new Array(n).fill(0);
+  for (let i = 1; i < n - 1; i++) {
+    diag[i] = 2 * (h[i - 1] + h[i]);
+    rhs[i] = 6 * ((y[i + 1] - y[i]) / h[i] - (y[i] - y[i - 1]) / h[i - 1]);
+  }
+  for (let i = 2; i < n - 1; i++) {
+    const factor = h[i - 1] / diag[i - 1];
+    diag[i] -= factor * h[i - 1];
+    rhs[i] -= factor * rhs[i - 1];
+  }
+  for (let i = n - 2; i >= 1; i--) {
+    second[i] = (rhs[i] - (i < n - 2 ? h[i] * second[i + 1] : 0)) / diag[i];
+  }
+
+  const samples = [];
+  for (let i = 0; i < n - 1; i++) {
+    for (let s = 0; s < SPLINE_SAMPLES_PER_SEGMENT; s++) {
+      const t = s / SPLINE_SAMPLES_PER_SEGMENT;
+      const a = 1 - t;
+      const value = a * y[i] + t * y[i + 1]
+        + ((a ** 3 - a) * second[i] + (t ** 3 - t) * second[i + 1]) * (h[i] ** 2) / 6;
+      samples.push({ wavelength: x[i] + t * h[i], [metric]: value });
+    }
+  }
+  samples.push({ wavelength: x[n - 1], [metric]: y[n - 1] });
+  return samples;
+};
+
+// --- Model Fitting ---
+
+// Distance from the peak at which a Gaussian side falls to CUTOFF_FRACTION, in widths
+const CUTOFF_WIDTHS = Math.sqrt(2 * Math.log(1 / CUTOFF_FRACTION));
+
+// Each model evaluates f(λ, params); `cutoffs` gives the [low, high] wavelengths
+// at which f drops to CUTOFF_FRACTION of the peak.
+export const FIT_MODELS = [
+  {
+    key: 'gaussian',
+    label: 'Gaussian',
+    paramLabels: ['Amplitude', 'Peak λ (nm)', 'σ (nm)'],
+    evaluate: (x, [amplitude, center, width]) => amplitude * Math.exp(-((x - center) ** 2) / (2 * width * width)),
+    initial: ({ amplitude, center, width }) => [amplitude, center, width],
+    cutoffs: ([, center, width]) => [center - CUTOFF_WIDTHS * Math.abs(width), center + CUTOFF_WIDTHS * Math.abs(width)],
+  },
+  {
+    // Separate widths below and above the peak, for the sharp long-wavelength cutoff of photocathodes
+    key: 'asymmetric-gaussian',
+    label: 'Asymmetric Gaussian',
+    paramLabels: ['Amplitude', 'Peak λ (nm)', 'σ below (nm)', 'σ above (nm)'],
+    evaluate: (x, [amplitude, center, widthLow, widthHigh]) => {
+      const width = x < center ? widthLow : widthHigh;
+      return amplitude * Math.exp(-((x - center) ** 2) / (2 * width * width));
+    },
+    initial: ({ amplitude, center, width }) => [amplitude, center, width, width],
+    cutoffs: ([, center, widthLow, widthHigh]) => [
+      center - CUTOFF_WIDTHS * Math.abs(widthLow),
+      center + CUTOFF_WIDTHS * Math.abs(widthHigh),
+    ],
+  },
+];
+
+// Solves the small dense system A·x = b by Gaussian elimination with partial pivoting.
+const solveLinear = (matrix, vector) => {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    if (Math.abs(a[pivot][col]) < 1e-300) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+};
+
+/**
+ * Levenberg–Marquardt least squares for f(x, params) with a finite-difference
+ * Jacobian. Returns the fitted params, or null if the fit did not produce
+ * finite values.
+ */
+export const levenbergMarquardt = (f, initialParams, xs, ys, { maxIterations = 200 } = {}) => {
+  const sse = (params) => xs.reduce((sum, x, i) => sum + (ys[i] - f(x, params)) ** 2, 0);
+  let params = [...initialParams];
+  let error = sse(params);
+  let lambda = 1e-3;
+
+  for (let iteration = 0; iteration < maxIterations && lambda < 1e12; iteration++) {
+    const residuals = xs.map((x, i) => ys[i] - f(x, params));
+    const jacobian = xs.map(x => params.map((p, j) => {
+      const step = Math.abs(p) * 1e-6 || 1e-9;
+      const shifted = [...params];
+      shifted[j] = p + step;
+      return (f(x, shifted) - f(x, params)) / step;
+    }));
+
+    const jtj = params.map((_, a) => params.map((__, b) => jacobian.reduce((sum, row) => sum + row[a] * row[b], 0)));
+    const jtr = params.map((_, a) => jacobian.reduce((sum, row, i) => sum + row[a] * residuals[i], 0));
+    const damped = jtj.map((row, a) => row.map((value, b) => (a === b ? value * (1 + lambda) + 1e-12 : value)));
+    const delta = solveLinear(damped, jtr);
+    if (!delta) break;
+
+    const trial = params.map((p, j) => p + delta[j]);
+    const trialError = sse(trial);
+    if (Number.isFinite(trialError) && trialError < error) {
+      const improvement = (error - trialError) / (error || 1);
+      params = trial;
+      error = trialError;
+      lambda /= 10;
+      if (improvement < 1e-10) break;
+    } else {
+      lambda *= 10;
+    }
+  }
+
+  return params.every(Number.isFinite) ? params : null;
+};
+
+/**
+ * Fits a response model to one curve (rows sorted by wavelength).
+ *
+ * Returns null when there are too few points or the fit fails or lands far
+ * outside the data (see MAX_PEAK_OFFSET_SPANS), otherwise
+ *   { model, params, peakValue, peakWavelength, cutoffs: [low, high],
+ *     peakInRange, residuals: [{ wavelength, residual }], rmsResidual,
+ *     rSquared, curve: [{ wavelength, [metric] }] }
+ * Values are fitted after scaling by the largest |value|, which keeps the
+ * optimizer well conditioned for pA-sized responses.
+ */
+export const fitCurve = (points, metric, modelKey) => {
+  const model = FIT_MODELS.find(m => m.key === modelKey);
+  const usable = points.filter(d => typeof d[metric] === 'number' && Number.isFinite(d[metric]));
+  if (!model || usable.length < model.paramLabels.length + 1) return null;
+
+  const xs = usable.map(d => d.wavelength);
+  const peakPoint = usable.reduce((best, d) => (Math.abs(d[metric]) > Math.abs(best[metric]) ? d : best));
+  const scale = Math.abs(peakPoint[metric]);
+  if (!(scale > 0)) return null;
+  const ys = usable.map(d => d[metric] / scale);
+
+  const span = xs[xs.length - 1] - xs[0];
+  const initial = model.initial({ amplitude: peakPoint[metric] / scale, center: peakPoint.wavelength, width: span / 4 || 1 });
+  const fitted = levenbergMarquardt(model.evaluate, initial, xs, ys);
+  if (!fitted) return null;
+
+  const params = [fitted[0] * scale, ...fitted.slice(1).map((p, i) => (i === 0 ? p : Math.abs(p)))];
+  const [, center, ...widths] = params;
+  if (center < xs[0] - MAX_PEAK_OFFSET_SPANS * span || center > xs[xs.length - 1] + MAX_PEAK_OFFSET_SPANS * span) return null;
+  if (widths.some(width => width > MAX_WIDTH_SPANS * span)) return null;
+  const evaluate = (x) => model.evaluate(x, params);
+  const residuals = usable.map(d => ({ wavelength: d.wavelength, residual: d[metric] - evaluate(d.wavelength) }));
+  const meanValue = usable.reduce((sum, d) => sum + d[metric], 0) / usable.length;
+  const totalSquares = usable.reduce((sum, d) => sum + (d[metric] - meanValue) ** 2, 0);
+  const residualSquares = residuals.reduce((sum, r) => sum + r.residual ** 2, 0);
+
+  return {
+    model: model.key,
+    params,
+    peakValue: params[0],
+    peakWavelength: params[1],
+    cutoffs: model.cutoffs(params),
+    peakInRange: params[1] >= xs[0] && params[1] <= xs[xs.length - 1],
+    residuals,
+    rmsResidual: Math.sqrt(residualSquares / usable.length),
+    rSquared: totalSquares > 0 ? 1 - residualSquares / totalSquares : null,
+    curve: Array.from({ length: FIT_CURVE_SAMPLES }, (_, i) => {
+      const wavelength = xs[0] + (span * i) / (FIT_CURVE_SAMPLES - 1);
+      return { wavelength, [metric]: evaluate(wavelength) };
+    }),
+  };
+};
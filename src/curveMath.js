@@ -0,0 +1,105 @@
+// --- Curve Math Helpers ---
+// Shared numeric helpers for working with measured response curves, i.e.
+// arrays of data rows sorted by wavelength.
+
+/**
+ * Linearly interpolates `key` at wavelength `x` on a curve sorted by wavelength.
+ * Returns null when `x` lies outside the measured range of the curve.
+ */
+export const interpolateAt = (points, x, key) => {
+  if (points.length === 0) return null;
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (x < first.wavelength || x > last.wavelength) return null;
+
+  // Binary search for the segment containing x
+  let lo = 0;
+  let hi = points.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].wavelength <= x) lo = mid; else hi = mid;
+  }
+
+  const a = points[lo];
+  const b = points[hi];
+  if (b.wavelength === a.wavelength) return a[key];
+  const t = (x - a.wavelength) / (b.wavelength - a.wavelength);
+  return a[key] + t * (b[key] - a[key]);
+};
+
+/**
+ * Restricts a value to the [min, max] interval.
+ */
+export const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Integrates `key` over wavelength between `lo` and `hi` with the trapezoidal
+ * rule, interpolating the band edges. Only the part of the band covered by
+ * the curve is integrated; returns null when there is no overlap.
+ */
+export const integrateBand = (points, key, lo, hi) => {
+  if (points.length < 2) return null;
+  const start = Math.max(lo, points[0].wavelength);
+  const end = Math.min(hi, points[points.length - 1].wavelength);
+  if (!(end > start)) return null;
+
+  // Band edges plus every measured point strictly inside the band
+  const samples = [
+    { wavelength: start, value: interpolateAt(points, start, key) },
+    ...points
+      .filter(d => d.wavelength > start && d.wavelength < end)
+      .map(d => ({ wavelength: d.wavelength, value: d[key] })),
+    { wavelength: end, value: interpolateAt(points, end, key) },
+  ];
+
+  let total = 0;
+  for (let i = 1; i < samples.length; i++) {
+    total += (samples[i].wavelength - samples[i - 1].wavelength) * (samples[i].value + samples[i - 1].value) / 2;
+  }
+  return total;
+};
+
+/**
+ * Groups rows into one wavelength-sorted curve per PMT. When `pmtList` is
+ * given, every listed PMT gets an entry (possibly empty) and others are dropped.
+ */
+export const groupCurvesByPmt = (rows, pmtList = null) => {
+  const groups = {};
+  if (pmtList) pmtList.forEach((pmt) => { groups[pmt] = []; });
+  rows.forEach((row) => {
+    if (pmtList && !groups[row.source_file]) return;
+    (groups[row.source_file] = groups[row.source_file] || []).push(row);
+  });
+  Object.values(groups).forEach(points => points.sort((a, b) => a.wavelength - b.wavelength));
+  return groups;
+};
+
+/**
+ * Wavelength range [first, last] of a sorted curve, or null when it is empty.
+ */
+export const curveRange = (points) => (points.length > 0
+  ? [points[0].wavelength, points[points.length - 1].wavelength]
+  : null);
+
+// Upper bound on grid points, so a densely sampled curve cannot blow up rendering.
+const MAX_GRID_POINTS = 500;
+
+// Median spacing between consecutive wavelengths of a sorted curve.
+const medianSpacing = (points) => {
+  const gaps = points.slice(1).map((d, i) => d.wavelength - points[i].wavelength).filter(gap => gap > 0);
+  if (gaps.length === 0) return null;
+  gaps.sort((a, b) => a - b);
+  return gaps[Math.floor(gaps.length / 2)];
+};
+
+/**
+ * Builds a uniform wavelength grid over [lo, hi] whose step is the finest
+ * median point spacing among the curves.
+ */
+export const buildCommonGrid = (curves, [lo, hi]) => {
+  if (!(hi > lo)) return [lo];
+  const spacings = curves.map(medianSpacing).filter(Boolean);
+  const finest = spacings.length > 0 ? Math.min(...spacings) : (hi - lo);
+  const count = Math.min(MAX_GRID_POINTS, Math.max(2, Math.round((hi - lo) / finest) + 1));
+  return Array.from({ length: count }, (_, i) => lo + ((hi - lo) * i) / (count - 1));
+};
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { buildCommonGrid, clamp, curveRange, groupCurvesByPmt, integrateBand, interpolateAt } from './curveMath.js';
+
+const curve = [
+  { wavelength: 200, value: 0 },
+  { wavelength: 300, value: 10 },
+  { wavelength: 400, value: 0 },
+];
+
+describe('interpolateAt', () => {
+  it('interpolates between points and returns null outside the curve', () => {
+    expect(interpolateAt(curve, 250, 'value')).toBe(5);
+    expect(interpolateAt(curve, 300, 'value')).toBe(10);
+    expect(interpolateAt(curve, 450, 'value')).toBeNull();
+    expect(interpolateAt([], 250, 'value')).toBeNull();
+  });
+});
+
+describe('integrateBand', () => {
+  it('integrates the covered part of the band', () => {
+    expect(integrateBand(curve, 'value', 200, 400)).toBe(1000);
+    expect(integrateBand(curve, 'value', 100, 300)).toBe(500);
+    expect(integrateBand(curve, 'value', 500, 600)).toBeNull();
+  });
+});
+
+describe('groupCurvesByPmt', () => {
+  const rows = [
+    { source_file: 'B.txt', wavelength: 300 },
+    { source_file: 'A.txt', wavelength: 250 },
+    { source_file: 'B.txt', wavelength: 200 },
+  ];
+
+  it('groups rows into wavelength-sorted curves', () => {
+    const curves = groupCurvesByPmt(rows);
+    expect(Object.keys(curves).sort()).toEqual(['A.txt', 'B.txt']);
+    expect(curves['B.txt'].map(d => d.wavelength)).toEqual([200, 300]);
+  });
+
+  it('keeps only the listed PMTs, with empty curves for missing ones', () => {
+    const curves = groupCurvesByPmt(rows, ['B.txt', 'C.txt']);
+    expect(Object.keys(curves)).toEqual(['B.txt', 'C.txt']);
+    expect(curves['C.txt']).toEqual([]);
+  });
+});
+
+describe('helpers', () => {
+  it('clamps values and reports curve ranges', () => {
+    expect(clamp(5, 0, 3)).toBe(3);
+    expect(clamp(-1, 0, 3)).toBe(0);
+    expect(curveRange(curve)).toEqual([200, 400]);
+    expect(curveRange([])).toBeNull();
+  });
+
+  it('builds a grid at the finest median spacing', () => {
+    expect(buildCommonGrid([curve, [{ wavelength: 200 }, { wavelength: 250 }, { wavelength: 300 }]], [200, 300]))
+      .toEqual([200, 250, 300]);
+    expect(buildCommonGrid([curve], [300, 300])).toEqual([300]);
+  });
+});
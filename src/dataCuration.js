@@ -0,0 +1,56 @@
+import { PMT_FIELDS } from './pmtFileParser.js';
+
+// --- Point Flags, Row Edits and Soft Delete ---
+// A flagged data point keeps its values but carries `flag: { reason, by, at }`;
+// flagged points are left out of lines, statistics and fits. A PMT dataset is
+// soft-deleted by a record in the trash collection keyed by its source_file,
+// and restored by removing that record. Nothing here deletes measured data.
+
+export const FLAG_REASONS = ['Outlier', 'Bad reading', 'Saturated', 'Light leak', 'Other'];
+
+export const isFlagged = (row) => Boolean(row.flag);
+
+/**
+ * Copy of a stored row flagged for `reason` by `by`.
+ */
+export const withFlag = (row, reason, by, at = new Date()) => ({
+  ...row,
+  flag: { reason, by, at: at.toISOString() },
+});
+
+export const withoutFlag = (row) => ({ ...row, flag: null });
+
+// Form values are strings; missing values are empty fields
+export const toRowDraft = (row) => PMT_FIELDS.reduce((acc, field) => {
+  acc[field.key] = typeof row[field.key] === 'number' ? String(row[field.key]) : '';
+  return acc;
+}, {});
+
+/**
+ * Parses an edited row. Returns { values, errors } where values holds the
+ * numeric fields (empty fields become null) and errors names the fields that
+ * are not numbers. A wavelength is always required.
+ */
+export const parseRowDraft = (draft) => {
+  const values = {};
+  const errors = [];
+  PMT_FIELDS.forEach(({ key, label }) => {
+    const text = draft[key].trim();
+    const value = text === '' ? null : Number(text);
+    if (value !== null && !Number.isFinite(value)) errors.push(label);
+    else if (key === 'wavelength' && value === null) errors.push(label);
+    values[key] = value;
+  });
+  return { values, errors };
+};
+
+/**
+ * Trash record soft-deleting every row of `sourceFile`.
+ */
+export const trashRecord = (sourceFile, pointCount, by, at = new Date()) => ({
+  id: sourceFile,
+  source_file: sourceFile,
+  point_count: pointCount,
+  deleted_by: by,
+  deleted_at: at.toISOString(),
+});
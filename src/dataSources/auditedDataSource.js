@@ -0,0 +1,140 @@
+import { PMT_AUDIT_COLLECTION, PMT_AUDIT_HEADS_COLLECTION } from './index.js';
+import { canWrite, requiredRole, roleLabel } from '../accessControl.js';
+
+// Field-level changes are recorded for at most this many documents per entry;
+// large imports record the remaining document IDs only.
+const MAX_DETAILED_CHANGES = 25;
+// Mutations per commit, leaving room for the audit entry and head in a Firestore batch
+export const AUDITED_BATCH_SIZE = 450;
+
+// Firestore rejects undefined values
+const orNull = (value) => (value === undefined ? null : value);
+
+// Fields that differ between two versions of a document: { field: { before, after } }
+const diffFields = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.delete('id');
+  const fields = {};
+  keys.forEach((key) => {
+    const [a, b] = [orNull(before?.[key]), orNull(after?.[key])];
+    if (JSON.stringify(a) !== JSON.stringify(b)) fields[key] = { before: a, after: b };
+  });
+  return fields;
+};
+
+/**
+ * Wraps a data source so that every write is checked against the role of the
+ * current actor and recorded in the audit log collection, in the same atomic
+ * commit as the write itself (firestore.rules reject unaudited writes).
+ *
+ * `getActor()` returns { uid, name, role } at the time of the write. Writes
+ * the role does not allow are rejected with an Error before reaching the
+ * backend. "Before" values come from the latest snapshot of each subscribed
+ * collection (or of the filtered subscriptions to it); documents outside any
+ * snapshot record new values only.
+ *
+ * `commit(writes)` stays atomic: the writes, which may span collections, are
+ * authorized one by one and share a single batch and audit entry, so at most
+ * AUDITED_BATCH_SIZE of them can be committed together.
+ */
+export const createAuditedDataSource = (source, { getActor }) => {
+  const snapshots = new Map(); // name -> { docs: Map(id -> doc), complete }
+  let entryCount = 0;
+
+  const authorize = (name, operation) => {
+    const actor = getActor();
+    if (!canWrite(actor.role, name, operation)) {
+      const required = requiredRole(name, operation);
+      throw new Error(required
+        ? `The ${roleLabel(actor.role)} role cannot ${operation === 'delete' ? 'delete from' : 'write to'} "${name}" (requires ${roleLabel(required)}).`
+        : `"${name}" cannot be written directly.`);
+    }
+    return actor;
+  };
+
+  // Commits the writes in batches, each together with an audit entry of its
+  // changes and the actor's audit head, so no mutation lands unaudited
+  const commitAudited = async (actor, name, operation, changes, toWrite) => {
+    for (let i = 0; i < changes.length; i += AUDITED_BATCH_SIZE) {
+      const part = changes.slice(i, i + AUDITED_BATCH_SIZE);
+      const timestamp = new Date();
+      entryCount += 1;
+      const entry = {
+        id: `${timestamp.getTime()}_${actor.uid}_${entryCount}`,
+        timestamp: timestamp.toISOString(),
+        actor_uid: actor.uid,
+        actor_name: actor.name,
+        actor_role: actor.role,
+        collection: name,
+        operation,
+        count: part.length,
+        doc_ids: part.map(change => change.id),
+        changes: part.slice(0, MAX_DETAILED_CHANGES),
+      };
+      await source.commit([
+        ...toWrite.slice(i, i + AUDITED_BATCH_SIZE),
+        { type: 'set', name: PMT_AUDIT_COLLECTION, doc: entry },
+        { type: 'set', name: PMT_AUDIT_HEADS_COLLECTION, doc: { id: actor.uid, entry_id: entry.id } },
+      ]);
+    }
+  };
+
+  // Known documents of a collection, and whether they are all of them
+  const snapshotOf = (name) => {
+    if (!snapshots.has(name)) snapshots.set(name, { docs: new Map(), complete: false });
+    return snapshots.get(name);
+  };
+
+  // Audit records of single writes, against the latest known documents
+  const setChange = (name, d) => {
+    const known = snapshotOf(name);
+    const before = known.docs.get(d.id);
+    const type = before ? 'update' : (known.complete ? 'create' : 'set');
+    return { id: d.id, type, fields: diffFields(before, d) };
+  };
+  const deleteChange = (name, id) => ({ id, type: 'delete', fields: diffFields(snapshotOf(name).docs.get(id), null) });
+
+  return {
+    ...source,
+
+    subscribe: (name, onNext, onError) => source.subscribe(name, (docs, meta) => {
+      snapshots.set(name, { docs: new Map(docs.map(d => [d.id, d])), complete: true });
+      onNext(docs, meta);
+    }, onError),
+
+    subscribeWhere: (name, field, values, onNext, onError) => source.subscribeWhere(name, field, values, (docs) => {
+      const known = snapshotOf(name).docs;
+      known.forEach((d, id) => { if (values.includes(d[field])) known.delete(id); });
+      docs.forEach(d => known.set(d.id, d));
+      onNext(docs);
+    }, onError),
+
+    setDocs: async (name, docs) => {
+      const actor = authorize(name, 'set');
+      const changes = docs.map(d => setChange(name, d));
+      await commitAudited(actor, name, 'set', changes, docs.map(d => ({ type: 'set', name, doc: d })));
+    },
+
+    deleteDocs: async (name, ids) => {
+      const actor = authorize(name, 'delete');
+      const changes = ids.map(id => deleteChange(name, id));
+      await commitAudited(actor, name, 'delete', changes, ids.map(id => ({ type: 'delete', name, id })));
+    },
+
+    // Changes name their collection, which the entry lists comma-separated
+    commit: async (writes) => {
+      if (writes.length === 0) return;
+      if (writes.length > AUDITED_BATCH_SIZE) {
+        throw new Error(`At most ${AUDITED_BATCH_SIZE} writes can be committed together.`);
+      }
+      const actor = writes.map(write => authorize(write.name, write.type)).pop();
+      const changes = writes.map(write => ({
+        collection: write.name,
+        ...(write.type === 'delete' ? deleteChange(write.name, write.id) : setChange(write.name, write.doc)),
+      }));
+      const operations = [...new Set(writes.map(write => write.type))];
+      const names = [...new Set(writes.map(write => write.name))].join(', ');
+      await commitAudited(actor, names, operations.length === 1 ? operations[0] : 'commit', changes, writes);
+    },
+  };
+};
@@ -0,0 +1,280 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  PMT_AUDIT_COLLECTION, PMT_AUDIT_HEADS_COLLECTION, PMT_DATA_COLLECTION, PMT_INDEX_COLLECTION, PMT_ROLES_COLLECTION,
+  PMT_RUNS_COLLECTION, PMT_SPECS_COLLECTION,
+} from './index.js';
+import { createMemoryDataSource } from './memoryDataSource.js';
+import { buildPmtIndexEntries, createIndexingDataSource, readPmtIndexEntries, rebuildPmtIndex } from './indexingDataSource.js';
+import { specKey } from '../acceptanceSpecs.js';
+import { createAuditedDataSource } from './auditedDataSource.js';
+import { createRetryingDataSource, retryDelay } from './retryingDataSource.js';
+import { createOnlineWritesDataSource } from './onlineWritesDataSource.js';
+
+const point = (id, sourceFile, wavelength, extra = {}) => ({ id, source_file: sourceFile, wavelength, ...extra });
+
+describe('memory data source', () => {
+  it('notifies subscribers with the current documents and after each write', async () => {
+    const source = createMemoryDataSource({ initialCollections: { pmt_specs: [{ id: 's1', name: 'Spec' }] } });
+    const onNext = vi.fn();
+    const unsubscribe = source.subscribe('pmt_specs', onNext);
+    expect(onNext).toHaveBeenLastCalledWith([{ id: 's1', name: 'Spec' }]);
+
+    await source.deleteDocs('pmt_specs', ['s1']);
+    expect(onNext).toHaveBeenLastCalledWith([]);
+
+    unsubscribe();
+    await source.setDocs('pmt_specs', [{ id: 's2' }]);
+    expect(onNext).toHaveBeenCalledTimes(2);
+  });
+
+  it('filters subscriptions and reads by field value', async () => {
+    const source = createMemoryDataSource({
+      initialCollections: { [PMT_DATA_COLLECTION]: [point('a', 'A.txt', 200), point('b', 'B.txt', 200)] },
+    });
+    const onNext = vi.fn();
+    source.subscribeWhere(PMT_DATA_COLLECTION, 'source_file', ['B.txt'], onNext);
+    expect(onNext).toHaveBeenLastCalledWith([point('b', 'B.txt', 200)]);
+    expect(await source.getDocsWhere(PMT_DATA_COLLECTION, 'source_file', ['A.txt'])).toEqual([point('a', 'A.txt', 200)]);
+    expect(await source.isEmpty(PMT_DATA_COLLECTION)).toBe(false);
+    expect(await source.isEmpty('pmt_runs')).toBe(true);
+  });
+
+  it('limits latest-first subscriptions to the newest documents', async () => {
+    const entry = (id, timestamp) => ({ id, timestamp });
+    const source = createMemoryDataSource({
+      initialCollections: { [PMT_AUDIT_COLLECTION]: [entry('a', '2024-01-01'), entry('b', '2024-03-01'), entry('c', '2024-02-01')] },
+    });
+    const onNext = vi.fn();
+    source.subscribeLatest(PMT_AUDIT_COLLECTION, 'timestamp', 2, onNext);
+    expect(onNext).toHaveBeenLastCalledWith([entry('b', '2024-03-01'), entry('c', '2024-02-01')]);
+
+    await source.setDocs(PMT_AUDIT_COLLECTION, [entry('d', '2024-04-01')]);
+    expect(onNext).toHaveBeenLastCalledWith([entry('d', '2024-04-01'), entry('b', '2024-03-01')]);
+  });
+});
+
+describe('PMT index', () => {
+  it('summarizes points, runs and wavelength range per PMT', () => {
+    const entries = buildPmtIndexEntries([
+      point('a', 'A.txt', 300, { run_id: 'r1' }),
+      point('b', 'A.txt', 200, { run_id: 'r2' }),
+      point('c', 'B.txt', 250),
+    ], new Date('2024-01-01T00:00:00Z'));
+    expect(entries).toEqual([
+      {
+        id: 'A.txt', source_file: 'A.txt', point_count: 2, run_count: 2,
+        min_wavelength: 200, max_wavelength: 300, spec_status: {}, updated_at: '2024-01-01T00:00:00.000Z',
+      },
+      {
+        id: 'B.txt', source_file: 'B.txt', point_count: 1, run_count: 1,
+        min_wavelength: 250, max_wavelength: 250, spec_status: {}, updated_at: '2024-01-01T00:00:00.000Z',
+      },
+    ]);
+  });
+
+  it('stores the spec results of each PMT\'s latest run', () => {
+    const spec = { id: 's1', name: 'Min', metric: 'current', mode: 'envelope', envelope: [{ wavelength: 250, min: 0, max: null }] };
+    const [entry] = buildPmtIndexEntries([
+      point('a', 'A.txt', 250, { run_id: 'r1', current: -1 }),
+      point('b', 'A.txt', 250, { run_id: 'r2', current: 1 }),
+    ], new Date(), {
+      runs: [{ id: 'r1', measured_at: '2024-01-01T00:00' }, { id: 'r2', measured_at: '2024-02-01T00:00' }],
+      specs: [spec],
+    });
+    expect(entry.spec_status).toEqual({
+      s1: { status: 'pass', checked_count: 1, violation_count: 0, first_violation: null, spec_key: specKey(spec) },
+    });
+  });
+
+  it('is kept current by writes to pmt_data', async () => {
+    const memory = createMemoryDataSource();
+    const source = createIndexingDataSource(memory);
+    await source.setDocs(PMT_DATA_COLLECTION, [point('a', 'A.txt', 200), point('b', 'A.txt', 300)]);
+    await source.setDocs(PMT_DATA_COLLECTION, [point('c', 'B.txt', 250)]);
+
+    const index = await memory.getDocs(PMT_INDEX_COLLECTION);
+    expect(index.map(entry => [entry.id, entry.point_count])).toEqual([['A.txt', 2], ['B.txt', 1]]);
+  });
+
+  it('is kept current by commits that write pmt_data', async () => {
+    const memory = createMemoryDataSource();
+    const source = createIndexingDataSource(memory);
+    await source.commit([
+      { type: 'set', name: PMT_RUNS_COLLECTION, doc: { id: 'r1', source_file: 'A.txt' } },
+      { type: 'set', name: PMT_DATA_COLLECTION, doc: point('a', 'A.txt', 200, { run_id: 'r1' }) },
+    ]);
+
+    const [entry] = await memory.getDocs(PMT_INDEX_COLLECTION);
+    expect(entry).toMatchObject({ id: 'A.txt', point_count: 1, run_count: 1 });
+  });
+
+  it('neither reads the data nor touches the index when a spec is saved', async () => {
+    const memory = createMemoryDataSource({ initialCollections: { [PMT_DATA_COLLECTION]: [point('a', 'A.txt', 200, { current: -1 })] } });
+    const getDocs = vi.spyOn(memory, 'getDocs');
+    const source = createIndexingDataSource(memory);
+    await source.setDocs(PMT_SPECS_COLLECTION, [{ id: 's1', metric: 'current', mode: 'envelope', envelope: [{ wavelength: 200, min: 0, max: null }] }]);
+
+    expect(getDocs).not.toHaveBeenCalled();
+    expect(await memory.getDocs(PMT_INDEX_COLLECTION)).toEqual([]);
+  });
+
+  it('reads fresh entries of the given PMTs only', async () => {
+    const spec = { id: 's1', metric: 'current', mode: 'envelope', envelope: [{ wavelength: 200, min: 0, max: null }] };
+    const memory = createMemoryDataSource({
+      initialCollections: {
+        [PMT_DATA_COLLECTION]: [point('a', 'A.txt', 200, { current: -1 }), point('b', 'B.txt', 200)],
+        [PMT_SPECS_COLLECTION]: [spec],
+      },
+    });
+    const entries = await readPmtIndexEntries(memory, ['A.txt']);
+    expect(entries.map(entry => entry.id)).toEqual(['A.txt']);
+    expect(entries[0].spec_status.s1).toMatchObject({ status: 'fail', violation_count: 1, first_violation: 200 });
+  });
+
+  it('is rebuilt from pmt_data, dropping PMTs without points', async () => {
+    const memory = createMemoryDataSource({
+      initialCollections: {
+        [PMT_DATA_COLLECTION]: [point('a', 'A.txt', 200)],
+        [PMT_INDEX_COLLECTION]: [{ id: 'Gone.txt', point_count: 3 }],
+      },
+    });
+    expect(await rebuildPmtIndex(memory)).toBe(1);
+    expect((await memory.getDocs(PMT_INDEX_COLLECTION)).map(entry => entry.id)).toEqual(['A.txt']);
+  });
+});
+
+describe('audited data source', () => {
+  const audited = (role, initialCollections) => {
+    const memory = createMemoryDataSource({ initialCollections });
+    return { memory, source: createAuditedDataSource(memory, { getActor: () => ({ uid: 'u1', name: 'Tester', role }) }) };
+  };
+
+  it('rejects writes the role does not allow', async () => {
+    const { source } = audited('viewer');
+    await expect(source.setDocs(PMT_DATA_COLLECTION, [point('a', 'A.txt', 200)])).rejects.toThrow(/Viewer role cannot write/);
+    const uploader = audited('uploader').source;
+    await expect(uploader.deleteDocs(PMT_DATA_COLLECTION, ['a'])).rejects.toThrow(/requires Admin/);
+    await expect(uploader.setDocs(PMT_ROLES_COLLECTION, [{ id: 'u2', role: 'admin' }])).rejects.toThrow();
+  });
+
+  it('records field changes against the subscribed snapshot', async () => {
+    const { memory, source } = audited('uploader', { [PMT_DATA_COLLECTION]: [point('a', 'A.txt', 200, { current: 1 })] });
+    source.subscribe(PMT_DATA_COLLECTION, () => {});
+    await source.setDocs(PMT_DATA_COLLECTION, [point('a', 'A.txt', 200, { current: 2 }), point('b', 'A.txt', 300)]);
+
+    const [entry] = await memory.getDocs(PMT_AUDIT_COLLECTION);
+    expect(entry).toMatchObject({ actor_uid: 'u1', actor_role: 'uploader', collection: PMT_DATA_COLLECTION, count: 2 });
+    expect(entry.changes[0]).toEqual({ id: 'a', type: 'update', fields: { current: { before: 1, after: 2 } } });
+    expect(entry.changes[1].type).toBe('create');
+  });
+
+  it('knows documents from filtered subscriptions only partially', async () => {
+    const { memory, source } = audited('uploader', { [PMT_DATA_COLLECTION]: [point('a', 'A.txt', 200)] });
+    source.subscribeWhere(PMT_DATA_COLLECTION, 'source_file', ['A.txt'], () => {});
+    await source.setDocs(PMT_DATA_COLLECTION, [point('a', 'A.txt', 210), point('b', 'B.txt', 200)]);
+
+    const [entry] = await memory.getDocs(PMT_AUDIT_COLLECTION);
+    expect(entry.changes.map(change => change.type)).toEqual(['update', 'set']);
+  });
+
+  it('commits the audit entry and the actor\'s audit head together with the write', async () => {
+    const { memory, source } = audited('admin', { [PMT_DATA_COLLECTION]: [point('a', 'A.txt', 200)] });
+    const commit = vi.spyOn(memory, 'commit');
+    await source.deleteDocs(PMT_DATA_COLLECTION, ['a']);
+
+    expect(commit).toHaveBeenCalledTimes(1);
+    const [entry] = await memory.getDocs(PMT_AUDIT_COLLECTION);
+    expect(commit.mock.calls[0][0]).toEqual([
+      { type: 'delete', name: PMT_DATA_COLLECTION, id: 'a' },
+      { type: 'set', name: PMT_AUDIT_COLLECTION, doc: entry },
+      { type: 'set', name: PMT_AUDIT_HEADS_COLLECTION, doc: { id: 'u1', entry_id: entry.id } },
+    ]);
+    expect(await memory.isEmpty(PMT_DATA_COLLECTION)).toBe(true);
+  });
+
+  it('leaves neither the write nor an audit entry behind when the commit fails', async () => {
+    const { memory, source } = audited('uploader');
+    vi.spyOn(memory, 'commit').mockRejectedValue(new Error('offline'));
+    await expect(source.setDocs(PMT_DATA_COLLECTION, [point('a', 'A.txt', 200)])).rejects.toThrow('offline');
+    expect(await memory.isEmpty(PMT_DATA_COLLECTION)).toBe(true);
+    expect(await memory.isEmpty(PMT_AUDIT_COLLECTION)).toBe(true);
+  });
+
+  it('checks and records every write of a commit in one entry', async () => {
+    const run = { type: 'set', name: PMT_RUNS_COLLECTION, doc: { id: 'r1', source_file: 'A.txt' } };
+    const data = { type: 'set', name: PMT_DATA_COLLECTION, doc: point('a', 'A.txt', 200, { run_id: 'r1' }) };
+    const { memory, source } = audited('uploader');
+    await expect(source.commit([run, { type: 'delete', name: PMT_DATA_COLLECTION, id: 'b' }])).rejects.toThrow(/requires Admin/);
+    expect(await memory.isEmpty(PMT_RUNS_COLLECTION)).toBe(true);
+
+    await source.commit([run, data]);
+    const entries = await memory.getDocs(PMT_AUDIT_COLLECTION);
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ collection: 'pmt_runs, pmt_data', operation: 'set', count: 2, doc_ids: ['r1', 'a'] });
+    expect(entries[0].changes.map(change => change.collection)).toEqual([PMT_RUNS_COLLECTION, PMT_DATA_COLLECTION]);
+  });
+});
+
+describe('retrying data source', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('doubles the delay up to the maximum', () => {
+    expect([0, 1, 2].map(attempt => retryDelay(attempt))).toEqual([1000, 2000, 4000]);
+    expect(retryDelay(10)).toBe(30000);
+  });
+
+  it('resubscribes failed listeners with backoff until a snapshot arrives', () => {
+    vi.useFakeTimers();
+    const memory = createMemoryDataSource({ initialCollections: { pmt_specs: [{ id: 's1' }] } });
+    let failures = 2;
+    const subscribe = vi.fn((name, onNext, onError) => {
+      if (failures > 0) {
+        failures -= 1;
+        onError(new Error('unavailable'));
+        return () => {};
+      }
+      return memory.subscribe(name, onNext);
+    });
+    const source = createRetryingDataSource({ ...memory, subscribe });
+    const onNext = vi.fn();
+    const onError = vi.fn();
+    source.subscribe('pmt_specs', onNext, onError);
+
+    expect(onError).toHaveBeenLastCalledWith(expect.any(Error), { retryInMs: 1000 });
+    vi.advanceTimersByTime(1000);
+    expect(onError).toHaveBeenLastCalledWith(expect.any(Error), { retryInMs: 2000 });
+    vi.advanceTimersByTime(1999);
+    expect(onNext).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(1);
+    expect(onNext).toHaveBeenCalledWith([{ id: 's1' }]);
+    expect(subscribe).toHaveBeenCalledTimes(3);
+  });
+
+  it('stops retrying once unsubscribed', () => {
+    vi.useFakeTimers();
+    const subscribe = vi.fn((name, onNext, onError) => {
+      onError(new Error('unavailable'));
+      return () => {};
+    });
+    const unsubscribe = createRetryingDataSource({ subscribe }).subscribe('pmt_specs', () => {}, () => {});
+    unsubscribe();
+    vi.advanceTimersByTime(60000);
+    expect(subscribe).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('online writes data source', () => {
+  it('rejects writes while offline without reaching the backend', async () => {
+    let offline = true;
+    const memory = createMemoryDataSource();
+    const source = createOnlineWritesDataSource(memory, { isOffline: () => offline });
+    await expect(source.setDocs('pmt_specs', [{ id: 's1' }])).rejects.toThrow(/offline/);
+    expect(await memory.isEmpty('pmt_specs')).toBe(true);
+
+    offline = false;
+    await source.setDocs('pmt_specs', [{ id: 's1' }]);
+    expect(await memory.getDocs('pmt_specs')).toEqual([{ id: 's1' }]);
+  });
+});
@@ -0,0 +1,136 @@
+import { initializeApp } from 'firebase/app';
+import {
+  getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, signInWithPopup, signOut, GoogleAuthProvider
+} from 'firebase/auth';
+import {
+  initializeFirestore, persistentLocalCache, persistentMultipleTabManager, collection, doc, getDocs, onSnapshot,
+  query, where, orderBy, limit, writeBatch, setLogLevel
+} from 'firebase/firestore';
+
+// Firestore allows at most 500 writes per batch.
+const MAX_BATCH_WRITES = 500;
+const BATCH_SIZE = 450;
+// ...and at most 30 values in an "in" filter.
+const IN_FILTER_SIZE = 30;
+
+const chunk = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+const toDocs = (snapshot) => snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+
+/**
+ * Data source backed by Cloud Firestore. Collections live under the shared
+ * public path of the app: artifacts/{appId}/public/data/{name}.
+ *
+ * Documents are cached in IndexedDB (shared by all tabs), so listeners start
+ * from the cached copy and only changed documents are fetched again. While
+ * offline, `subscribe` keeps delivering the cached copy with `fromCache` set.
+ * `logLevel` is passed to Firestore's setLogLevel ('debug', 'error' or 'silent').
+ */
+export const createFirestoreDataSource = ({ firebaseConfig, appId, initialAuthToken, logLevel = 'error' }) => {
+  if (!firebaseConfig) {
+    throw new Error('Firebase configuration is missing. Cannot initialize application.');
+  }
+
+  setLogLevel(logLevel);
+  const app = initializeApp(firebaseConfig);
+  const db = initializeFirestore(app, {
+    localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+  });
+  const auth = getAuth(app);
+
+  const collectionPath = (name) => `artifacts/${appId}/public/data/${name}`;
+  const collectionRef = (name) => collection(db, collectionPath(name));
+  const whereQueries = (name, field, values) => chunk(values, IN_FILTER_SIZE)
+    .map(part => query(collectionRef(name), where(field, 'in', part)));
+
+  // Applies a list of mutations in as few batches as Firestore allows.
+  const commitInBatches = async (items, apply) => {
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+      const batch = writeBatch(db);
+      items.slice(i, i + BATCH_SIZE).forEach(item => apply(batch, item));
+      await batch.commit();
+    }
+  };
+
+  return {
+    type: 'firestore',
+
+    describe: (name) => collectionPath(name),
+
+    signIn: async () => {
+      if (initialAuthToken) {
+        await signInWithCustomToken(auth, initialAuthToken);
+      } else {
+        await signInAnonymously(auth);
+      }
+    },
+
+    onUserChanged: (callback) => onAuthStateChanged(auth, callback),
+
+    // Anonymous sessions can only read; roles are tied to real accounts
+    signInWithGoogle: () => signInWithPopup(auth, new GoogleAuthProvider()),
+
+    signOut: () => signOut(auth),
+
+    getDocs: async (name) => toDocs(await getDocs(collectionRef(name))),
+
+    getDocsWhere: async (name, field, values) => {
+      const snapshots = await Promise.all(whereQueries(name, field, values).map(q => getDocs(q)));
+      return snapshots.flatMap(toDocs);
+    },
+
+    isEmpty: async (name) => (await getDocs(query(collectionRef(name), limit(1)))).empty,
+
+    // Metadata changes report switching between the cache and the server
+    subscribe: (name, onNext, onError) => onSnapshot(
+      query(collectionRef(name)),
+      { includeMetadataChanges: true },
+      (snapshot) => onNext(toDocs(snapshot), { fromCache: snapshot.metadata.fromCache }),
+      onError
+    ),
+
+    // One listener per chunk of values; the merged result is reported once every chunk has loaded
+    subscribeWhere: (name, field, values, onNext, onError) => {
+      const queries = whereQueries(name, field, values);
+      if (queries.length === 0) {
+        onNext([]);
+        return () => {};
+      }
+      const results = new Array(queries.length).fill(null);
+      const unsubscribes = queries.map((q, i) => onSnapshot(q, (snapshot) => {
+        results[i] = toDocs(snapshot);
+        if (results.every(Boolean)) onNext(results.flat());
+      }, onError));
+      return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    },
+
+    subscribeLatest: (name, field, count, onNext, onError) => onSnapshot(
+      query(collectionRef(name), orderBy(field, 'desc'), limit(count)),
+      (snapshot) => onNext(toDocs(snapshot)),
+      onError
+    ),
+
+    setDocs: (name, docs) => commitInBatches(docs, (batch, { id, ...data }) => {
+      batch.set(doc(collectionRef(name), id), data);
+    }),
+
+    deleteDocs: (name, ids) => commitInBatches(ids, (batch, id) => {
+      batch.delete(doc(collectionRef(name), id));
+    }),
+
+    commit: async (writes) => {
+      if (writes.length > MAX_BATCH_WRITES) {
+        throw new Error(`At most ${MAX_BATCH_WRITES} writes can be committed together.`);
+      }
+      const batch = writeBatch(db);
+      writes.forEach((write) => {
+        if (write.type === 'delete') {
+          batch.delete(doc(collectionRef(write.name), write.id));
+        } else {
+          const { id, ...data } = write.doc;
+          batch.set(doc(collectionRef(write.name), id), data);
+        }
+      });
+      return batch.commit();
+    },
+  };
+};
@@ -0,0 +1,71 @@
+import { createFirestoreDataSource } from './firestoreDataSource.js';
+import { createLocalDataSource } from './localDataSource.js';
+import { createMemoryDataSource } from './memoryDataSource.js';
+
+// --- Data Source Layer ---
+// Every backend exposes the same interface, so the explorer never talks to
+// Firestore (or any other store) directly:
+//
+//   type                                  'firestore' | 'local' | 'memory'
+//   describe(name)                        human-readable location of a collection
+//   signIn()                              authenticates the current user
+//   onUserChanged(callback)               -> unsubscribe; callback(user | null)
+//   signInWithGoogle(), signOut()         optional; only backends with user accounts
+//   getDocs(name)                         -> Promise<[{ id, ...data }]>
+//   getDocsWhere(name, field, values)     -> Promise<[{ id, ...data }]> with data[field] in values
+//   isEmpty(name)                         -> Promise<boolean>, without reading the collection
+//   subscribe(name, onNext, onError)      -> unsubscribe; onNext([{ id, ...data }], { fromCache }?)
+//                                         where fromCache (Firestore only) marks data served offline
+//   subscribeWhere(name, field, values, onNext, onError)
+//                                         -> unsubscribe; like subscribe, filtered as in getDocsWhere
+//   subscribeLatest(name, field, count, onNext, onError)
+//                                         -> unsubscribe; like subscribe, limited to the `count`
+//                                         documents with the largest `field`, in descending order
+//   setDocs(name, [{ id, ...data }])      creates or overwrites documents
+//   deleteDocs(name, [id])                removes documents
+//   commit([{ type: 'set', name, doc } | { type: 'delete', name, id }])
+//                                         applies all writes atomically (at most 500)
+
+// Collection holding one document per measured data point.
+export const PMT_DATA_COLLECTION = 'pmt_data';
+// Per-PMT conversion settings (photocathode area, bandwidth, units) for derived metrics,
+// keyed by source_file.
+export const PMT_CONVERSIONS_COLLECTION = 'pmt_conversions';
+// Shared acceptance specs (min/max envelopes or band thresholds for one metric).
+export const PMT_SPECS_COLLECTION = 'pmt_specs';
+// Per-PMT metadata (batch, manufacturer, test date, HV setting, operator), keyed by serial number.
+export const PMT_METADATA_COLLECTION = 'pmt_metadata';
+// Measurement runs (one scan of a PMT: time and conditions); data points refer to them by run_id.
+export const PMT_RUNS_COLLECTION = 'pmt_runs';
+// Role of each user ({ role, name }), keyed by uid; see accessControl.js.
+export const PMT_ROLES_COLLECTION = 'pmt_roles';
+// One entry per mutation: who, when, which collection and what changed.
+export const PMT_AUDIT_COLLECTION = 'pmt_audit';
+// Latest audit entry of each user ({ entry_id }), keyed by uid. Moved in the same batch
+// as every mutation, which is how firestore.rules tell that the mutation was audited.
+export const PMT_AUDIT_HEADS_COLLECTION = 'pmt_audit_heads';
+// Soft-deleted PMT datasets, keyed by source_file; their rows stay in pmt_data until restored.
+export const PMT_TRASH_COLLECTION = 'pmt_trash';
+// One small document per PMT (point and run counts, wavelength range), keyed by
+// source_file, so the PMT list loads without reading pmt_data; see indexingDataSource.js.
+export const PMT_INDEX_COLLECTION = 'pmt_index';
+// Named chart layouts ({ name, metrics }): the main metric followed by the extra panels.
+export const PMT_DASHBOARDS_COLLECTION = 'pmt_dashboards';
+
+/**
+ * Creates the data source selected by `type`, passing the backend its options.
+ */
+export const createDataSource = (type, { firebaseConfig, appId, initialAuthToken, initialCollections, logLevel } = {}) => {
+  switch (type) {
+    case 'firestore':
+      return createFirestoreDataSource({ firebaseConfig, appId, initialAuthToken, logLevel });
+    case 'local':
+      return createLocalDataSource({ namespace: `pmt-explorer-${appId}` });
+    case 'memory':
+      return createMemoryDataSource({ initialCollections });
+    default:
+      throw new Error(`Unknown data source "${type}". Use firestore, local or memory.`);
+  }
+};
+
+export { createFirestoreDataSource, createLocalDataSource, createMemoryDataSource };
@@ -0,0 +1,142 @@
+import {
+  PMT_CONVERSIONS_COLLECTION, PMT_DATA_COLLECTION, PMT_INDEX_COLLECTION, PMT_RUNS_COLLECTION, PMT_SPECS_COLLECTION
+} from './index.js';
+import { evaluateSpec, specKey, summarizeSpecResult } from '../acceptanceSpecs.js';
+import { groupCurvesByPmt } from '../curveMath.js';
+import { isFlagged } from '../dataCuration.js';
+import { applyDerivedMetrics } from '../derivedMetrics.js';
+import { groupRunsByPmt, latestRunRows } from '../measurementRuns.js';
+
+const byId = (docs) => Object.fromEntries(docs.map(({ id, ...data }) => [id, data]));
+
+// Result of every spec per PMT, computed like the explorer does: the latest
+// run's unflagged rows with derived metrics
+const specStatusByPmt = (rows, { runs = [], conversions = [], specs = [] }) => {
+  if (specs.length === 0) return {};
+  const runDocs = Object.fromEntries(runs.map(run => [run.id, run]));
+  const latest = latestRunRows(rows, groupRunsByPmt(rows, runDocs));
+  const curves = groupCurvesByPmt(applyDerivedMetrics(latest, byId(conversions)).filter(row => !isFlagged(row)));
+  return Object.fromEntries(Object.entries(curves).map(([pmt, points]) => [
+    pmt,
+    Object.fromEntries(specs.map(spec => [spec.id, { ...summarizeSpecResult(evaluateSpec(spec, points)), spec_key: specKey(spec) }])),
+  ]));
+};
+
+/**
+ * Index entries ({ id: source_file, point_count, run_count, min_wavelength,
+ * max_wavelength, spec_status, updated_at }) for every PMT present in `rows`.
+ * `spec_status` maps spec IDs to summarizeSpecResult() of the PMT against
+ * each of `context.specs`, given the PMTs' `runs` and `conversions` documents,
+ * plus the specKey() the result was computed for.
+ */
+export const buildPmtIndexEntries = (rows, updatedAt = new Date(), context = {}) => {
+  const byPmt = new Map();
+  rows.forEach((row) => {
+    if (!byPmt.has(row.source_file)) byPmt.set(row.source_file, []);
+    byPmt.get(row.source_file).push(row);
+  });
+  const specStatus = specStatusByPmt(rows, context);
+
+  return [...byPmt.entries()].map(([sourceFile, pmtRows]) => {
+    const wavelengths = pmtRows.map(row => row.wavelength).filter(Number.isFinite);
+    return {
+      id: sourceFile,
+      source_file: sourceFile,
+      point_count: pmtRows.length,
+      run_count: new Set(pmtRows.map(row => row.run_id || null)).size,
+      min_wavelength: wavelengths.length > 0 ? Math.min(...wavelengths) : null,
+      max_wavelength: wavelengths.length > 0 ? Math.max(...wavelengths) : null,
+      spec_status: specStatus[sourceFile] || {},
+      updated_at: updatedAt.toISOString(),
+    };
+  });
+};
+
+// Runs, conversions and specs needed for the spec results of `sourceFiles`
+const readSpecContext = async (source, sourceFiles) => {
+  const [runs, conversions, specs] = await Promise.all([
+    source.getDocsWhere(PMT_RUNS_COLLECTION, 'source_file', sourceFiles),
+    source.getDocs(PMT_CONVERSIONS_COLLECTION),
+    source.getDocs(PMT_SPECS_COLLECTION),
+  ]);
+  return { runs, conversions: conversions.filter(conversion => sourceFiles.includes(conversion.id)), specs };
+};
+
+/**
+ * Up-to-date index entries of `sourceFiles`, read from their rows (one
+ * filtered query, not the whole collection). PMTs without rows have none.
+ */
+export const readPmtIndexEntries = async (source, sourceFiles) => {
+  const unique = [...new Set(sourceFiles)];
+  const [rows, context] = await Promise.all([
+    source.getDocsWhere(PMT_DATA_COLLECTION, 'source_file', unique),
+    readSpecContext(source, unique),
+  ]);
+  return buildPmtIndexEntries(rows, new Date(), context);
+};
+
+/**
+ * Rewrites the whole PMT index from a full read of pmt_data and removes
+ * entries of PMTs without rows. Needed once for data written before the index
+ * existed, or by tools that bypass the explorer. Returns the number of PMTs.
+ */
+export const rebuildPmtIndex = async (source) => {
+  const [rows, runs, conversions, specs] = await Promise.all([
+    source.getDocs(PMT_DATA_COLLECTION),
+    source.getDocs(PMT_RUNS_COLLECTION),
+    source.getDocs(PMT_CONVERSIONS_COLLECTION),
+    source.getDocs(PMT_SPECS_COLLECTION),
+  ]);
+  const entries = buildPmtIndexEntries(rows, new Date(), { runs, conversions, specs });
+  const indexed = new Set(entries.map(entry => entry.id));
+  const stale = (await source.getDocs(PMT_INDEX_COLLECTION)).map(entry => entry.id).filter(id => !indexed.has(id));
+  if (entries.length > 0) await source.setDocs(PMT_INDEX_COLLECTION, entries);
+  if (stale.length > 0) await source.deleteDocs(PMT_INDEX_COLLECTION, stale);
+  return entries.length;
+};
+
+/**
+ * Wraps a data source so that writes keep the PMT index current. After a
+ * write (setDocs or commit) to pmt_data, pmt_runs or pmt_conversions the affected PMTs' rows are
+ * read back and their entries rewritten, which keeps counts and spec results
+ * exact when rows are overwritten or edited.
+ *
+ * Saving a spec leaves the index alone: re-evaluating every PMT would read all
+ * data. The stored results of an edited spec no longer match its specKey(),
+ * and the explorer works out the missing ones as they are needed.
+ *
+ * Deleting pmt_data rows by ID does not tell which PMTs they belonged to;
+ * the explorer never does (datasets are soft-deleted), other tools must
+ * rebuild the index afterwards. Results of deleted specs are left in place
+ * and ignored.
+ */
+export const createIndexingDataSource = (source) => {
+  const refresh = async (sourceFiles) => {
+    const entries = await readPmtIndexEntries(source, sourceFiles);
+    if (entries.length > 0) await source.setDocs(PMT_INDEX_COLLECTION, entries);
+  };
+
+  // PMTs whose index entry depends on the written documents
+  const affectedPmts = {
+    [PMT_DATA_COLLECTION]: docs => docs.map(d => d.source_file),
+    [PMT_RUNS_COLLECTION]: docs => docs.map(d => d.source_file),
+    [PMT_CONVERSIONS_COLLECTION]: docs => docs.map(d => d.id),
+  };
+
+  return {
+    ...source,
+
+    setDocs: async (name, docs) => {
+      await source.setDocs(name, docs);
+      if (docs.length > 0 && affectedPmts[name]) await refresh(affectedPmts[name](docs));
+    },
+
+    commit: async (writes) => {
+      await source.commit(writes);
+      const sourceFiles = writes
+        .filter(write => write.type === 'set' && affectedPmts[write.name])
+        .flatMap(write => affectedPmts[write.name]([write.doc]));
+      if (sourceFiles.length > 0) await refresh(sourceFiles);
+    },
+  };
+};
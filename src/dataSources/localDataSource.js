@@ -0,0 +1,148 @@
+import { createMemoryDataSource } from './memoryDataSource.js';
+
+const STORE_NAME = 'collections';
+
+// Wraps an IDBRequest in a Promise.
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Persists each collection as one IndexedDB record keyed by collection name.
+ */
+const createIndexedDbStorage = (namespace) => {
+  const dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(namespace, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  const store = async (mode) => (await dbPromise).transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+
+  return {
+    label: 'IndexedDB',
+    load: async (name) => (await promisify((await store('readonly')).get(name))) || [],
+    loadAll: async () => {
+      const objectStore = await store('readonly');
+      const [keys, values] = await Promise.all([
+        promisify(objectStore.getAllKeys()),
+        promisify(objectStore.getAll()),
+      ]);
+      return Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+    },
+    save: async (name, docs) => promisify((await store('readwrite')).put(docs, name)),
+  };
+};
+
+/**
+ * Fallback for browsers without IndexedDB: one localStorage entry per collection.
+ */
+const createLocalStorageStorage = (namespace) => {
+  const prefix = `${namespace}:`;
+  const read = (key) => JSON.parse(localStorage.getItem(key) || '[]');
+
+  return {
+    label: 'localStorage',
+    load: async (name) => read(prefix + name),
+    loadAll: async () => Object.fromEntries(
+      Object.keys(localStorage)
+        .filter(key => key.startsWith(prefix))
+        .map(key => [key.slice(prefix.length), read(key)])
+    ),
+    save: async (name, docs) => localStorage.setItem(prefix + name, JSON.stringify(docs)),
+  };
+};
+
+/**
+ * Data source that stores everything in the browser, for air-gapped test
+ * benches without Firebase. Other tabs of the explorer are kept in sync
+ * through a BroadcastChannel.
+ */
+export const createLocalDataSource = ({ namespace }) => {
+  const storage = typeof indexedDB !== 'undefined'
+    ? createIndexedDbStorage(namespace)
+    : createLocalStorageStorage(namespace);
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(namespace) : null;
+
+  const memory = createMemoryDataSource({
+    onChange: (name, docs) => {
+      storage.save(name, docs)
+        .then(() => channel && channel.postMessage(name))
+        .catch(e => console.error("Local Storage Error:", e));
+    },
+  });
+
+  const ready = storage.loadAll().then((saved) => {
+    Object.entries(saved).forEach(([name, docs]) => memory.replaceCollection(name, docs));
+  });
+
+  if (channel) {
+    channel.onmessage = async ({ data: name }) => {
+      memory.replaceCollection(name, await storage.load(name));
+    };
+  }
+
+  // Subscribes once the stored collections are loaded; returns the unsubscribe function
+  const afterReady = (subscribe, onError) => {
+    let unsubscribe = null;
+    let cancelled = false;
+    ready
+      .then(() => {
+        if (!cancelled) unsubscribe = subscribe();
+      })
+      .catch(onError);
+    return () => {
+      cancelled = true;
+      if (unsubscribe) unsubscribe();
+    };
+  };
+
+  return {
+    ...memory,
+    type: 'local',
+
+    describe: (name) => `${storage.label} store "${namespace}", collection "${name}"`,
+
+    getDocs: async (name) => {
+      await ready;
+      return memory.getDocs(name);
+    },
+
+    getDocsWhere: async (name, field, values) => {
+      await ready;
+      return memory.getDocsWhere(name, field, values);
+    },
+
+    isEmpty: async (name) => {
+      await ready;
+      return memory.isEmpty(name);
+    },
+
+    subscribe: (name, onNext, onError) => afterReady(() => memory.subscribe(name, onNext), onError),
+
+    subscribeWhere: (name, field, values, onNext, onError) => (
+      afterReady(() => memory.subscribeWhere(name, field, values, onNext), onError)
+    ),
+
+    subscribeLatest: (name, field, count, onNext, onError) => (
+      afterReady(() => memory.subscribeLatest(name, field, count, onNext), onError)
+    ),
+
+    setDocs: async (name, docs) => {
+      await ready;
+      return memory.setDocs(name, docs);
+    },
+
+    deleteDocs: async (name, ids) => {
+      await ready;
+      return memory.deleteDocs(name, ids);
+    },
+
+    commit: async (writes) => {
+      await ready;
+      return memory.commit(writes);
+    },
+  };
+};
@@ -0,0 +1,103 @@
+// User reported by the local and in-memory data sources, which have no sign-in.
+export const LOCAL_USER = { uid: 'local-user' };
+
+/**
+ * Data source that keeps every collection in memory. Used directly in unit
+ * tests and as the working copy behind the persistent local data source.
+ *
+ * `initialCollections` maps collection names to arrays of `{ id, ...data }` docs.
+ * `onChange` is called with (name, docs) after every mutation.
+ */
+export const createMemoryDataSource = ({ initialCollections = {}, onChange } = {}) => {
+  const collections = new Map(
+    Object.entries(initialCollections).map(([name, docs]) => [name, new Map(docs.map(d => [d.id, d]))])
+  );
+  const listeners = new Map();
+
+  const docsOf = (name) => [...(collections.get(name) || new Map()).values()];
+  const docsWhere = (name, field, values) => docsOf(name).filter(d => values.includes(d[field]));
+
+  const notify = (name) => {
+    const docs = docsOf(name);
+    (listeners.get(name) || new Set()).forEach(listener => listener(docs));
+    if (onChange) onChange(name, docs);
+  };
+
+  const mutate = async (name, apply) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    apply(collections.get(name));
+    notify(name);
+  };
+
+  return {
+    type: 'memory',
+
+    describe: (name) => `in-memory collection "${name}"`,
+
+    signIn: async () => {},
+
+    onUserChanged: (callback) => {
+      callback(LOCAL_USER);
+      return () => {};
+    },
+
+    getDocs: async (name) => docsOf(name),
+
+    getDocsWhere: async (name, field, values) => docsWhere(name, field, values),
+
+    isEmpty: async (name) => docsOf(name).length === 0,
+
+    subscribe: (name, onNext) => {
+      if (!listeners.has(name)) listeners.set(name, new Set());
+      listeners.get(name).add(onNext);
+      onNext(docsOf(name));
+      return () => listeners.get(name).delete(onNext);
+    },
+
+    subscribeWhere: (name, field, values, onNext) => {
+      const listener = () => onNext(docsWhere(name, field, values));
+      if (!listeners.has(name)) listeners.set(name, new Set());
+      listeners.get(name).add(listener);
+      listener();
+      return () => listeners.get(name).delete(listener);
+    },
+
+    subscribeLatest: (name, field, count, onNext) => {
+      const listener = () => onNext(
+        docsOf(name).sort((a, b) => (a[field] < b[field] ? 1 : a[field] > b[field] ? -1 : 0)).slice(0, count)
+      );
+      if (!listeners.has(name)) listeners.set(name, new Set());
+      listeners.get(name).add(listener);
+      listener();
+      return () => listeners.get(name).delete(listener);
+    },
+
+    setDocs: (name, docs) => mutate(name, (store) => {
+      docs.forEach(d => store.set(d.id, d));
+    }),
+
+    deleteDocs: (name, ids) => mutate(name, (store) => {
+      ids.forEach(id => store.delete(id));
+    }),
+
+    // Subscribers of each touched collection are notified once all writes are applied
+    commit: async (writes) => {
+      const touched = new Set();
+      writes.forEach((write) => {
+        if (!collections.has(write.name)) collections.set(write.name, new Map());
+        const store = collections.get(write.name);
+        if (write.type === 'delete') store.delete(write.id);
+        else store.set(write.doc.id, write.doc);
+        touched.add(write.name);
+      });
+      touched.forEach(notify);
+    },
+
+    // Replaces a whole collection without notifying onChange; used when
+    // another tab updated the persisted copy.
+    replaceCollection: (name, docs) => {
+      collections.set(name, new Map(docs.map(d => [d.id, d])));
+      (listeners.get(name) || new Set()).forEach(listener => listener(docsOf(name)));
+    },
+  };
+};
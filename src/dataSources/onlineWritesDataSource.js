@@ -0,0 +1,30 @@
+/**
+ * Wraps the Firestore data source so that writes fail at once while
+ * `isOffline()`. Firestore would apply them to the local cache but only resolve once the
+ * server confirms them, leaving every save waiting, and the PMT index would
+ * be refreshed from a partial cache. Reads and listeners are unaffected.
+ */
+export const createOnlineWritesDataSource = (source, { isOffline }) => {
+  const ensureOnline = () => {
+    if (isOffline()) throw new Error('You are offline. Changes can be saved once the connection returns.');
+  };
+
+  return {
+    ...source,
+
+    setDocs: async (name, docs) => {
+      ensureOnline();
+      return source.setDocs(name, docs);
+    },
+
+    deleteDocs: async (name, ids) => {
+      ensureOnline();
+      return source.deleteDocs(name, ids);
+    },
+
+    commit: async (writes) => {
+      ensureOnline();
+      return source.commit(writes);
+    },
+  };
+};
@@ -0,0 +1,72 @@
+// First retry delay after a listener fails; it doubles with every further
+// failure up to MAX_RETRY_DELAY_MS and starts over once a snapshot arrives.
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * Delay before retry number `attempt` (0-based) of a failed listener.
+ */
+export const retryDelay = (attempt, baseDelayMs = BASE_RETRY_DELAY_MS, maxDelayMs = MAX_RETRY_DELAY_MS) => (
+  Math.min(maxDelayMs, baseDelayMs * 2 ** attempt)
+);
+
+/**
+ * Wraps a data source so that failed listeners (subscribe, subscribeWhere,
+ * subscribeLatest)
+ * are re-established with exponential backoff instead of staying dead.
+ * `onError(e, { retryInMs })` is still called for every failure, so callers
+ * can report it; the next successful snapshot means the listener recovered.
+ */
+export const createRetryingDataSource = (source, { baseDelayMs, maxDelayMs } = {}) => {
+  const retrying = (start, onNext, onError) => {
+    let attempt = 0;
+    let timer = null;
+    let stopped = false;
+    let unsubscribe = () => {};
+
+    const connect = () => {
+      let active = null;
+      let failed = false;
+      active = start((...args) => {
+        attempt = 0;
+        onNext(...args);
+      }, (e) => {
+        if (failed || stopped) return;
+        failed = true;
+        if (active) active();
+        const retryInMs = retryDelay(attempt, baseDelayMs, maxDelayMs);
+        attempt += 1;
+        timer = setTimeout(connect, retryInMs);
+        if (onError) onError(e, { retryInMs });
+      });
+      // The listener may have failed before it was returned
+      if (failed) active();
+      unsubscribe = () => {
+        if (!failed) active();
+      };
+    };
+
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  };
+
+  return {
+    ...source,
+
+    subscribe: (name, onNext, onError) => retrying(
+      (next, error) => source.subscribe(name, next, error), onNext, onError
+    ),
+
+    subscribeWhere: (name, field, values, onNext, onError) => retrying(
+      (next, error) => source.subscribeWhere(name, field, values, next, error), onNext, onError
+    ),
+
+    subscribeLatest: (name, field, count, onNext, onError) => retrying(
+      (next, error) => source.subscribeLatest(name, field, count, next, error), onNext, onError
+    ),
+  };
+};
@@ -0,0 +1,96 @@
+import { UNIT_FACTORS } from './pmtFileParser.js';
+import { isFlagged } from './dataCuration.js';
+
+// --- Derived Metrics Engine ---
+// Computes metrics that are not stored in pmt_data but follow from the raw
+// light_response and wavelength of each point, using per-PMT conversion settings.
+
+// hc/e in W·nm/A: QE = S[A/W] * HC_OVER_E / λ[nm]
+const HC_OVER_E = 1239.84198;
+
+// Conversion settings used for PMTs without a saved entry.
+export const DEFAULT_CONVERSION = {
+  cathode_area_cm2: 1,                // Illuminated photocathode area
+  bandwidth_nm: 1,                    // Monochromator passband the irradiance is integrated over
+  response_unit: 'A/uW/cm²/nm',       // Unit light_response was stored in for this PMT
+};
+
+/**
+ * Cathode radiant sensitivity in A/W for one point:
+ * S = R / (area * bandwidth), with R converted to A per (W/cm²/nm).
+ */
+const radiantSensitivity = (row, conversion) => {
+  const responsePerMicrowatt = row.light_response * UNIT_FACTORS.light_response[conversion.response_unit];
+  return (responsePerMicrowatt * 1e6) / (conversion.cathode_area_cm2 * conversion.bandwidth_nm);
+};
+
+// Each derived metric computes its value from one row plus the PMT's context
+// ({ conversion, peakResponse }). `prefix: false` keeps SI prefixes off the labels.
+export const DERIVED_METRICS = [
+  {
+    key: 'quantum_efficiency',
+    label: 'Quantum Efficiency (%)',
+    unit: '%',
+    prefix: false,
+    compute: (row, { conversion }) => (radiantSensitivity(row, conversion) * HC_OVER_E / row.wavelength) * 100,
+  },
+  {
+    key: 'radiant_sensitivity',
+    label: 'Cathode Radiant Sensitivity (mA/W)',
+    unit: 'mA/W',
+    prefix: false,
+    compute: (row, { conversion }) => radiantSensitivity(row, conversion) * 1e3,
+  },
+  {
+    key: 'normalized_response',
+    label: 'Normalized Response (peak = 1)',
+    unit: '',
+    prefix: false,
+    compute: (row, { peakResponse }) => (peakResponse ? row.light_response / peakResponse : 0),
+  },
+];
+
+/**
+ * Merges a saved conversion entry with the defaults, ignoring invalid numbers.
+ */
+export const resolveConversion = (saved = {}) => {
+  const positive = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+  return {
+    cathode_area_cm2: positive(saved.cathode_area_cm2, DEFAULT_CONVERSION.cathode_area_cm2),
+    bandwidth_nm: positive(saved.bandwidth_nm, DEFAULT_CONVERSION.bandwidth_nm),
+    response_unit: UNIT_FACTORS.light_response[saved.response_unit] !== undefined
+      ? saved.response_unit
+      : DEFAULT_CONVERSION.response_unit,
+  };
+};
+
+/**
+ * Returns copies of the rows with every derived metric added. Rows without a
+ * light_response are passed through unchanged. Flagged points get derived
+ * values too, but do not count towards the peak used for normalization.
+ *
+ * `conversions` maps a source_file to its saved conversion settings.
+ */
+export const applyDerivedMetrics = (rows, conversions = {}) => {
+  // Peak light response per PMT, needed for normalization
+  const peaks = {};
+  rows.forEach((row) => {
+    if (typeof row.light_response !== 'number' || isFlagged(row)) return;
+    const magnitude = Math.abs(row.light_response);
+    peaks[row.source_file] = Math.max(peaks[row.source_file] || 0, magnitude);
+  });
+
+  return rows.map((row) => {
+    if (typeof row.light_response !== 'number' || typeof row.wavelength !== 'number') return row;
+
+    const context = {
+      conversion: resolveConversion(conversions[row.source_file]),
+      peakResponse: peaks[row.source_file],
+    };
+    const derived = {};
+    DERIVED_METRICS.forEach((metric) => {
+      derived[metric.key] = metric.compute(row, context);
+    });
+    return { ...row, ...derived };
+  });
+};
@@ -0,0 +1,197 @@
+// --- Data and Chart Export Helpers ---
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Layout of the title and legend added around the chart in exported images.
+const TITLE_HEIGHT = 30;
+const LEGEND_ROW_HEIGHT = 18;
+const LEGEND_ITEM_WIDTH = 140;
+
+// Raster exports are rendered at twice the SVG size for sharper report images.
+const PNG_SCALE = 2;
+
+// Firefox and Safari cancel a download whose object URL is revoked right after the click.
+const REVOKE_DELAY_MS = 1000;
+
+/**
+ * Triggers a browser download of a Blob under the given file name.
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
+
+/**
+ * Builds a base file name like "pmt_light_response_2024-05-01".
+ */
+export const exportFileName = (metric, extension) => {
+  const date = new Date().toISOString().slice(0, 10);
+  return `pmt_${metric}_${date}.${extension}`;
+};
+
+// Quotes a CSV cell when it contains a separator, quote or newline.
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Selects the exported columns from the plotted rows, sorted by PMT and wavelength.
+ */
+export const exportRows = (rows, metric) => rows
+  .map(d => ({ source_file: d.source_file, wavelength: d.wavelength, [metric]: d[metric] }))
+  .sort((a, b) => a.source_file.localeCompare(b.source_file) || a.wavelength - b.wavelength);
+
+/**
+ * Serializes the plotted rows as CSV text.
+ */
+export const toCsv = (rows, metric) => {
+  const columns = ['source_file', 'wavelength', metric];
+  const lines = exportRows(rows, metric).map(row => columns.map(key => csvCell(row[key])).join(','));
+  return [columns.join(','), ...lines].join('\n');
+};
+
+/**
+ * Serializes the plotted rows as JSON, with the metric and PMT list as context.
+ */
+export const toJson = (rows, metric, pmts) => JSON.stringify({
+  metric,
+  pmts,
+  exported_at: new Date().toISOString(),
+  rows: exportRows(rows, metric),
+}, null, 2);
+
+// Columns of the exported population bands (see computePopulation), named after the metric
+const populationColumns = (metric) => ['wavelength', `${metric}_center`, `${metric}_lower`, `${metric}_upper`, 'pmt_count'];
+
+const populationRows = (bands, metric) => bands.map((band) => {
+  const [wavelength, center, lower, upper, count] = populationColumns(metric);
+  return {
+    [wavelength]: band.wavelength, [center]: band.center, [lower]: band.lower, [upper]: band.upper, [count]: band.count,
+  };
+});
+
+/**
+ * Serializes the population view's center line and band as CSV text, one
+ * row per wavelength of the common grid.
+ */
+export const populationToCsv = (bands, metric) => {
+  const columns = populationColumns(metric);
+  const lines = populationRows(bands, metric).map(row => columns.map(key => csvCell(row[key])).join(','));
+  return [columns.join(','), ...lines].join('\n');
+};
+
+/**
+ * Serializes the population view as JSON: the band computed from `pmts`
+ * (described by `label`) and the rows of the curves drawn on top of it.
+ */
+export const populationToJson = (bands, label, rows, metric, pmts) => JSON.stringify({
+  metric,
+  pmts,
+  population: label,
+  exported_at: new Date().toISOString(),
+  bands: populationRows(bands, metric),
+  rows: exportRows(rows, metric),
+}, null, 2);
+
+/**
+ * Wraps the on-screen chart SVG into a self-contained document with a title
+ * and a legend, so the exported file matches what is shown in the explorer.
+ */
+export const buildStandaloneSvg = (svgElement, { title, legend }) => {
+  const { width, height } = svgElement.viewBox.baseVal;
+  const legendColumns = Math.max(1, Math.floor(width / LEGEND_ITEM_WIDTH));
+  const legendRows = Math.ceil(legend.length / legendColumns);
+  const totalHeight = TITLE_HEIGHT + height + legendRows * LEGEND_ROW_HEIGHT + 10;
+
+  const root = document.createElementNS(SVG_NS, 'svg');
+  root.setAttribute('xmlns', SVG_NS);
+  root.setAttribute('width', width);
+  root.setAttribute('height', totalHeight);
+  root.setAttribute('viewBox', `0 0 ${width} ${totalHeight}`);
+  root.setAttribute('font-family', 'Helvetica, Arial, sans-serif');
+
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', 'white');
+  root.appendChild(background);
+
+  const titleText = document.createElementNS(SVG_NS, 'text');
+  titleText.setAttribute('x', width / 2);
+  titleText.setAttribute('y', TITLE_HEIGHT - 10);
+  titleText.setAttribute('text-anchor', 'middle');
+  titleText.setAttribute('font-size', '14');
+  titleText.setAttribute('font-weight', 'bold');
+  titleText.textContent = title;
+  root.appendChild(titleText);
+
+  // Copy the chart content below the title
+  const chart = document.createElementNS(SVG_NS, 'g');
+  chart.setAttribute('transform', `translate(0, ${TITLE_HEIGHT})`);
+  [...svgElement.childNodes].forEach(node => chart.appendChild(node.cloneNode(true)));
+  root.appendChild(chart);
+
+  legend.forEach(({ label, color }, index) => {
+    const x = 50 + (index % legendColumns) * LEGEND_ITEM_WIDTH;
+    const y = TITLE_HEIGHT + height + Math.floor(index / legendColumns) * LEGEND_ROW_HEIGHT;
+
+    const swatch = document.createElementNS(SVG_NS, 'circle');
+    swatch.setAttribute('cx', x);
+    swatch.setAttribute('cy', y);
+    swatch.setAttribute('r', 5);
+    swatch.setAttribute('fill', color);
+    root.appendChild(swatch);
+
+    const text = document.createElementNS(SVG_NS, 'text');
+    text.setAttribute('x', x + 10);
+    text.setAttribute('y', y);
+    text.setAttribute('dominant-baseline', 'middle');
+    text.setAttribute('font-size', '11');
+    text.setAttribute('fill', '#4b5563');
+    text.textContent = label;
+    root.appendChild(text);
+  });
+
+  return root;
+};
+
+/**
+ * Serializes a standalone SVG element to a string with an XML prolog.
+ */
+export const serializeSvg = (svgElement) =>
+  `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svgElement)}`;
+
+/**
+ * Rasterizes a standalone SVG element into a PNG Blob via an offscreen canvas.
+ */
+export const svgToPngBlob = (svgElement) => new Promise((resolve, reject) => {
+  const width = Number(svgElement.getAttribute('width'));
+  const height = Number(svgElement.getAttribute('height'));
+  const svgBlob = new Blob([serializeSvg(svgElement)], { type: 'image/svg+xml;charset=utf-8' });
+  const url = URL.createObjectURL(svgBlob);
+  const image = new Image();
+
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * PNG_SCALE;
+    canvas.height = height * PNG_SCALE;
+    const context = canvas.getContext('2d');
+    context.scale(PNG_SCALE, PNG_SCALE);
+    context.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas export failed.'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not render chart image.'));
+  };
+  image.src = url;
+});
@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { populationToCsv, populationToJson, toCsv } from './exportUtils.js';
+
+const bands = [{ wavelength: 300, center: 2, lower: 1, upper: 3, count: 4 }];
+
+describe('data export', () => {
+  it('writes the plotted rows sorted by PMT and wavelength', () => {
+    const rows = [{ source_file: 'B.txt', wavelength: 300, current: 2 }, { source_file: 'A.txt', wavelength: 200, current: 1 }];
+    expect(toCsv(rows, 'current')).toBe('source_file,wavelength,current\nA.txt,200,1\nB.txt,300,2');
+  });
+
+  it('writes the population band in place of the rows it summarizes', () => {
+    expect(populationToCsv(bands, 'current')).toBe(
+      'wavelength,current_center,current_lower,current_upper,pmt_count\n300,2,1,3,4'
+    );
+    const json = JSON.parse(populationToJson(bands, 'Mean (±1σ) of 4 PMTs', [], 'current', ['A.txt']));
+    expect(json).toMatchObject({
+      population: 'Mean (±1σ) of 4 PMTs',
+      pmts: ['A.txt'],
+      bands: [{ wavelength: 300, current_center: 2, current_lower: 1, current_upper: 3, pmt_count: 4 }],
+      rows: [],
+    });
+  });
+});
@@ -0,0 +1,32 @@
+import { useEffect, useRef, useState } from 'react';
+
+// --- Form Drafts ---
+// Editors keep unsaved edits as drafts: one object of form values per record,
+// keyed by record ID, next to the saved values it was started from.
+
+/**
+ * True when draft `a` has every value of draft `b`.
+ */
+export const sameDraft = (a, b) => Boolean(a && b) && Object.keys(b).every(key => a[key] === b[key]);
+
+/**
+ * Drafts of the records in `saved` ({ id: saved values as a draft }, memoized
+ * by the caller). Snapshots of other records arrive too, so a draft is only
+ * reset when the saved values of its own record change; unsaved edits of the
+ * others are kept. Records that leave `saved` lose their draft.
+ * Returns [drafts, setDrafts].
+ */
+export const useSyncedDrafts = (saved) => {
+  const [drafts, setDrafts] = useState({});
+  const savedRef = useRef({}); // Saved values the drafts were last synced with
+
+  useEffect(() => {
+    const previous = savedRef.current;
+    savedRef.current = saved;
+    setDrafts(prev => Object.fromEntries(Object.entries(saved).map(([id, draft]) => (
+      [id, prev[id] && sameDraft(previous[id], draft) ? prev[id] : draft]
+    ))));
+  }, [saved]);
+
+  return [drafts, setDrafts];
+};
@@ -0,0 +1,19 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import { useSyncedDrafts } from './formDrafts.js';
+
+describe('useSyncedDrafts', () => {
+  it('keeps edits of records whose saved values did not change', () => {
+    const { result, rerender } = renderHook(({ saved }) => useSyncedDrafts(saved), {
+      initialProps: { saved: { a: { name: 'A' }, b: { name: 'B' } } },
+    });
+    act(() => result.current[1](prev => ({ ...prev, a: { name: 'A (edited)' }, b: { name: 'B (edited)' } })));
+
+    rerender({ saved: { a: { name: 'A' }, b: { name: 'B2' }, c: { name: 'C' } } });
+    expect(result.current[0]).toEqual({ a: { name: 'A (edited)' }, b: { name: 'B2' }, c: { name: 'C' } });
+
+    rerender({ saved: { c: { name: 'C' } } });
+    expect(result.current[0]).toEqual({ c: { name: 'C' } });
+  });
+});
@@ -0,0 +1,117 @@
+import { groupCurvesByPmt } from './curveMath.js';
+import { computePmtStats } from './pmtStatistics.js';
+import { serialFromSourceFile } from './pmtMetadata.js';
+
+// --- Measurement Runs ---
+// Every scan of a PMT is one run. Its data points carry the run's `run_id`;
+// the run itself is a document in the runs collection:
+//
+//   { id, source_file, measured_at, hv_setting, temperature_c, notes, file_name }
+//
+// `measured_at` is a local ISO date-time (YYYY-MM-DDTHH:mm), or null when
+// unknown. Rows stored before runs existed have no run_id and form one undated
+// legacy run per PMT.
+
+const LEGACY_RUN_PREFIX = 'legacy:';
+
+// Relative drop in peak response, compared with the first dated run, that is flagged as drift
+export const DRIFT_WARNING_FRACTION = 0.1;
+
+export const runIdOf = (row) => row.run_id || `${LEGACY_RUN_PREFIX}${row.source_file}`;
+
+/**
+ * Formats a Date as a local YYYY-MM-DDTHH:mm string, the format of
+ * `measured_at` and of datetime-local inputs.
+ */
+export const toLocalDateTime = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * New run ID for a scan of `sourceFile`. `sequence` tells apart several
+ * files of one import.
+ */
+export const createRunId = (sourceFile, date = new Date(), sequence = 0) => (
+  `run_${serialFromSourceFile(sourceFile).replace(/[^\w-]/g, '_')}_${date.getTime()}_${sequence}`
+);
+
+// Undated runs sort first, then by measurement time
+const compareRuns = (a, b) => {
+  if (!a.measured_at || !b.measured_at) return (a.measured_at ? 1 : 0) - (b.measured_at ? 1 : 0) || a.id.localeCompare(b.id);
+  return a.measured_at.localeCompare(b.measured_at) || a.id.localeCompare(b.id);
+};
+
+/**
+ * Groups the runs present in `rows` by PMT, oldest first. Runs referenced by
+ * rows but missing from `runDocs` (e.g. legacy rows) get an undated record.
+ * Returns { [source_file]: [run] } where run is the stored document plus
+ * `pointCount`.
+ */
+export const groupRunsByPmt = (rows, runDocs = {}) => {
+  const runs = {};
+  rows.forEach((row) => {
+    const id = runIdOf(row);
+    if (!runs[id]) {
+      runs[id] = {
+        measured_at: null, hv_setting: null, temperature_c: null, notes: '', file_name: null,
+        ...runDocs[id],
+        id,
+        source_file: row.source_file,
+        pointCount: 0,
+      };
+    }
+    runs[id].pointCount++;
+  });
+
+  return Object.values(runs).reduce((acc, run) => {
+    (acc[run.source_file] = acc[run.source_file] || []).push(run);
+    return acc;
+  }, {});
+};
+
+/**
+ * Keeps only the rows of each PMT's most recent run, which is what the main
+ * chart, statistics and specs look at.
+ */
+export const latestRunRows = (rows, runsByPmt) => {
+  const latest = new Set(Object.values(runsByPmt).map(runs => [...runs].sort(compareRuns).pop().id));
+  return rows.filter(row => latest.has(runIdOf(row)));
+};
+
+/**
+ * Runs of one PMT, oldest first.
+ */
+export const sortedRuns = (runs = []) => [...runs].sort(compareRuns);
+
+/**
+ * Short human-readable name for a run, used as its series label.
+ */
+export const runLabel = (run) => {
+  if (!run.measured_at) return run.file_name ? `Undated (${run.file_name})` : 'Undated run';
+  return run.measured_at.slice(0, 16).replace('T', ' ');
+};
+
+/**
+ * Peak of `metric` for every run (oldest first), with the change relative to
+ * the first dated run: [{ run, peakValue, peakWavelength, change }], where
+ * change is a fraction (e.g. -0.12 for a 12% drop) or null.
+ * `rowsByRun` maps run IDs to their rows.
+ */
+export const peakTrend = (runs, rowsByRun, metric) => {
+  const curves = groupCurvesByPmt(runs.flatMap(run => (rowsByRun[run.id] || []).map(row => ({ ...row, source_file: run.id }))));
+  const trend = runs.map((run) => {
+    const { peakValue, peakWavelength } = computePmtStats(curves[run.id] || [], metric);
+    return { run, peakValue, peakWavelength, change: null };
+  });
+
+  const baseline = trend.find(point => point.run.measured_at && point.peakValue);
+  if (baseline) {
+    trend.forEach((point) => {
+      if (point.run.measured_at && point.peakValue !== null) {
+        point.change = Math.abs(point.peakValue) / Math.abs(baseline.peakValue) - 1;
+      }
+    });
+  }
+  return trend;
+};
@@ -0,0 +1,65 @@
+import { useEffect, useRef, useState } from 'react';
+import { PMT_DATA_COLLECTION } from './dataSources/index.js';
+
+// --- On-demand PMT Data ---
+// The explorer never reads the whole pmt_data collection. Each PMT it needs
+// (selected, or shown in the history or the editor) gets its own filtered
+// subscription, which delivers the PMT's rows and then only its changes.
+// Dropping a PMT ends its subscription; with Firestore's persistent cache,
+// selecting it again is served from the local cache first.
+
+/**
+ * Subscribes to the rows of every PMT in `pmts` while `enabled`. Returns
+ * { rowsByPmt, loadingPmts }: the rows of each PMT received so far, and the
+ * wanted PMTs still waiting for their first snapshot. `onError(pmt, e, retry)`
+ * is called when a subscription fails (see createRetryingDataSource) and
+ * `onLoad(pmt)` with every snapshot received.
+ */
+export const usePmtRows = (dataSource, pmts, enabled, onError, onLoad = null) => {
+  const [rowsByPmt, setRowsByPmt] = useState({});
+  const subscriptionsRef = useRef(new Map()); // pmt -> unsubscribe
+  const callbacksRef = useRef({ onError, onLoad });
+  callbacksRef.current = { onError, onLoad };
+
+  // A stable key, so re-ordering the selection does not resubscribe
+  const wantedKey = enabled ? [...new Set(pmts.filter(Boolean))].sort().join('\n') : '';
+
+  // A new data source starts from scratch
+  useEffect(() => {
+    const subscriptions = subscriptionsRef.current;
+    return () => {
+      subscriptions.forEach(unsubscribe => unsubscribe());
+      subscriptions.clear();
+      setRowsByPmt({});
+    };
+  }, [dataSource]);
+
+  useEffect(() => {
+    if (!dataSource) return;
+    const subscriptions = subscriptionsRef.current;
+    const wanted = new Set(wantedKey ? wantedKey.split('\n') : []);
+
+    subscriptions.forEach((unsubscribe, pmt) => {
+      if (wanted.has(pmt)) return;
+      unsubscribe();
+      subscriptions.delete(pmt);
+    });
+    setRowsByPmt((prev) => {
+      const kept = Object.keys(prev).filter(pmt => wanted.has(pmt));
+      return kept.length === Object.keys(prev).length
+        ? prev
+        : Object.fromEntries(kept.map(pmt => [pmt, prev[pmt]]));
+    });
+
+    wanted.forEach((pmt) => {
+      if (subscriptions.has(pmt)) return;
+      subscriptions.set(pmt, dataSource.subscribeWhere(PMT_DATA_COLLECTION, 'source_file', [pmt], (rows) => {
+        setRowsByPmt(prev => ({ ...prev, [pmt]: rows }));
+        if (callbacksRef.current.onLoad) callbacksRef.current.onLoad(pmt);
+      }, (e, retry) => callbacksRef.current.onError(pmt, e, retry)));
+    });
+  }, [dataSource, wantedKey]);
+
+  const loadingPmts = (wantedKey ? wantedKey.split('\n') : []).filter(pmt => !rowsByPmt[pmt]);
+  return { rowsByPmt, loadingPmts };
+};
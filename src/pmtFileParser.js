@@ -0,0 +1,191 @@
+// --- PMT Bench File Parsing ---
+// Turns raw bench output (e.g. J23-1062.txt) into rows shaped like the
+// documents stored in the pmt_data collection.
+
+// Canonical fields stored in Firestore, with the unit each value is stored in.
+export const PMT_FIELDS = [
+  { key: 'current', label: 'Current', unit: 'A' },
+  { key: 'intensity', label: 'Intensity', unit: 'uW/cm²/nm' },
+  { key: 'wavelength', label: 'Wavelength', unit: 'nm' },
+  { key: 'light_response', label: 'Light Response', unit: 'A/uW/cm²/nm' },
+];
+
+// Column order written by the bench software when a file has no header line.
+const DEFAULT_COLUMN_ORDER = ['current', 'intensity', 'wavelength', 'light_response'];
+
+// Header patterns used to recognise each field. Checked in order, so the more
+// specific "light response" pattern wins over the plain "current" one.
+const COLUMN_PATTERNS = [
+  { key: 'light_response', pattern: /light.?resp|response|responsivity|sensitivity/i },
+  { key: 'wavelength', pattern: /wave|lambda|λ|^wl$/i },
+  { key: 'intensity', pattern: /intens|irrad|power|flux/i },
+  { key: 'current', pattern: /curr|^i$|^i[ _(]|amp/i },
+];
+
+// Multipliers converting a unit found in a header into the canonical unit.
+export const UNIT_FACTORS = {
+  current: { A: 1, mA: 1e-3, uA: 1e-6, nA: 1e-9, pA: 1e-12, fA: 1e-15 },
+  intensity: { 'uW/cm²/nm': 1, 'nW/cm²/nm': 1e-3, 'mW/cm²/nm': 1e3, 'W/cm²/nm': 1e6, 'W/m²/nm': 1e2 },
+  wavelength: { nm: 1, um: 1e3, 'Å': 0.1, m: 1e9 },
+  light_response: { 'A/uW/cm²/nm': 1, 'A/nW/cm²/nm': 1e3, 'A/mW/cm²/nm': 1e-3, 'A/W/cm²/nm': 1e-6 },
+};
+
+// Valid wavelength window for PMT photocathode measurements (nm).
+const WAVELENGTH_LIMITS = [100, 2000];
+
+// Normalises the many ways a unit is spelled in bench headers ("µA", "uW/cm^2/nm", ...).
+const normalizeUnit = (unit) => unit
+  .trim()
+  .replace(/[µμ]/g, 'u')
+  .replace(/watts?/gi, 'W')
+  .replace(/\^2|2(?=\/|$)/g, '²')
+  .replace(/\s+/g, '')
+  .replace(/\*/g, '')
+  .replace(/^(um|micron|microns)$/i, 'um')
+  .replace(/^(angstrom|A°)$/i, 'Å');
+
+/**
+ * Extracts a unit from a header cell such as "Current (nA)" or "Wavelength [um]".
+ */
+export const parseHeaderUnit = (header) => {
+  const match = header.match(/[([]([^)\]]+)[)\]]/);
+  return match ? normalizeUnit(match[1]) : null;
+};
+
+/**
+ * Guesses which canonical field a header cell refers to, or null if unknown.
+ */
+export const detectColumnKey = (header) => {
+  const name = header.replace(/[([][^)\]]*[)\]]/g, '').trim();
+  const found = COLUMN_PATTERNS.find(({ pattern }) => pattern.test(name));
+  return found ? found.key : null;
+};
+
+/**
+ * Picks the field separator used by a file from its first data lines.
+ */
+const detectDelimiter = (lines) => {
+  const sample = lines.slice(0, 5).join('\n');
+  if (sample.includes('\t')) return '\t';
+  if (sample.includes(';')) return ';';
+  if (sample.includes(',')) return ',';
+  return /\s+/;
+};
+
+const isNumeric = (cell) => cell !== '' && !Number.isNaN(Number(cell));
+
+/**
+ * Splits raw file text into a header row (if any) and numeric body rows.
+ */
+export const tokenizeFile = (text) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  if (lines.length === 0) return { headers: null, body: [] };
+
+  const delimiter = detectDelimiter(lines);
+  const cells = lines.map(line => line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, '')));
+
+  // The first line is a header if any of its cells is not a number.
+  const hasHeader = cells[0].some(cell => !isNumeric(cell));
+  return {
+    headers: hasHeader ? cells[0] : null,
+    body: hasHeader ? cells.slice(1) : cells,
+  };
+};
+
+/**
+ * Builds the initial column mapping for a file. Each entry says which field a
+ * column feeds (or null to ignore it) and which unit its values are in.
+ */
+export const detectColumns = (headers, columnCount) => {
+  if (!headers) {
+    return Array.from({ length: columnCount }, (_, index) => {
+      const key = DEFAULT_COLUMN_ORDER[index] || null;
+      return { header: `Column ${index + 1}`, key, unit: key ? PMT_FIELDS.find(f => f.key === key).unit : null };
+    });
+  }
+
+  const used = new Set();
+  return headers.map((header) => {
+    let key = detectColumnKey(header);
+    if (key && used.has(key)) key = null; // First matching column wins
+    if (key) used.add(key);
+
+    const headerUnit = parseHeaderUnit(header);
+    const canonicalUnit = key ? PMT_FIELDS.find(f => f.key === key).unit : null;
+    const unit = key && headerUnit && UNIT_FACTORS[key][headerUnit] !== undefined ? headerUnit : canonicalUnit;
+    return { header, key, unit };
+  });
+};
+
+/**
+ * Converts tokenized body rows into PMT data rows using a column mapping,
+ * collecting validation problems along the way.
+ */
+export const buildRows = (body, columns, sourceFile) => {
+  const rows = [];
+  const errors = [];
+  const warnings = [];
+  const mappedKeys = columns.map(c => c.key).filter(Boolean);
+
+  if (!mappedKeys.includes('wavelength')) {
+    errors.push('No wavelength column detected.');
+  }
+  if (!mappedKeys.some(key => key !== 'wavelength')) {
+    errors.push('No measurement column (current, intensity or light response) detected.');
+  }
+  columns.forEach((column) => {
+    if (column.key && UNIT_FACTORS[column.key][column.unit] === undefined) {
+      errors.push(`Unsupported unit "${column.unit}" for ${column.key}.`);
+    }
+  });
+  if (errors.length > 0) return { rows, errors, warnings };
+
+  const seenWavelengths = new Set();
+  body.forEach((cells, lineIndex) => {
+    const row = { source_file: sourceFile };
+    let valid = true;
+
+    columns.forEach((column, colIndex) => {
+      if (!column.key) return;
+      const value = Number(cells[colIndex]);
+      if (cells[colIndex] === undefined || cells[colIndex] === '' || Number.isNaN(value)) {
+        errors.push(`Row ${lineIndex + 1}: invalid ${column.key} value "${cells[colIndex] ?? ''}".`);
+        valid = false;
+        return;
+      }
+      row[column.key] = value * UNIT_FACTORS[column.key][column.unit];
+    });
+
+    if (!valid) return;
+
+    if (row.wavelength < WAVELENGTH_LIMITS[0] || row.wavelength > WAVELENGTH_LIMITS[1]) {
+      warnings.push(`Row ${lineIndex + 1}: wavelength ${row.wavelength.toFixed(1)} nm is outside ${WAVELENGTH_LIMITS[0]}–${WAVELENGTH_LIMITS[1]} nm.`);
+    }
+    if (seenWavelengths.has(row.wavelength)) {
+      warnings.push(`Row ${lineIndex + 1}: duplicate wavelength ${row.wavelength} nm.`);
+    }
+    seenWavelengths.add(row.wavelength);
+    rows.push(row);
+  });
+
+  if (body.length === 0) errors.push('File contains no data rows.');
+
+  return { rows, errors, warnings };
+};
+
+/**
+ * Parses one bench file end to end: tokenize, detect columns, convert units
+ * and validate. The returned object feeds the import preview.
+ */
+export const parsePmtFile = (text, fileName) => {
+  const { headers, body } = tokenizeFile(text);
+  const columnCount = headers ? headers.length : Math.max(0, ...body.map(cells => cells.length));
+  const columns = detectColumns(headers, columnCount);
+  const { rows, errors, warnings } = buildRows(body, columns, fileName);
+
+  return { fileName, body, columns, rows, errors, warnings };
+};
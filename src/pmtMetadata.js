@@ -0,0 +1,89 @@
+// --- PMT Metadata ---
+// Per-PMT records (batch, manufacturer, test date, HV setting, operator) stored
+// in their own collection, one document per serial number. Data points only
+// carry `source_file`; the serial is that file name without its extension.
+
+export const METADATA_FIELDS = [
+  { key: 'batch', label: 'Batch', placeholder: 'e.g. J23' },
+  { key: 'manufacturer', label: 'Manufacturer', placeholder: 'e.g. Hamamatsu' },
+  { key: 'test_date', label: 'Test Date', type: 'date' },
+  { key: 'hv_setting', label: 'HV (V)', type: 'number', placeholder: 'e.g. 1000' },
+  { key: 'operator', label: 'Operator', placeholder: 'Initials' },
+];
+
+// Empty facet values mean "no constraint"
+export const EMPTY_FACETS = { batch: '', manufacturer: '', dateFrom: '', dateTo: '', hvMin: '', hvMax: '' };
+
+/**
+ * Serial number of a PMT, e.g. "J23-1062.txt" -> "J23-1062".
+ */
+export const serialFromSourceFile = (sourceFile) => sourceFile.replace(/\.[^./\\]+$/, '');
+
+/**
+ * Batch prefix of a serial number, e.g. "J23-1062" -> "J23". Used when no
+ * batch has been entered for the PMT.
+ */
+export const batchFromSerial = (serial) => serial.split(/[-_\s]/)[0];
+
+const toVoltage = (value) => (value === '' || value === null || value === undefined || !Number.isFinite(Number(value))
+  ? null
+  : Number(value));
+
+/**
+ * Merges a saved metadata document with the defaults derived from the file name.
+ */
+export const resolveMetadata = (sourceFile, saved = {}) => {
+  const serial = serialFromSourceFile(sourceFile);
+  return {
+    serial,
+    batch: saved.batch || batchFromSerial(serial),
+    manufacturer: saved.manufacturer || '',
+    test_date: saved.test_date || '', // ISO date, YYYY-MM-DD
+    hv_setting: toVoltage(saved.hv_setting),
+    operator: saved.operator || '',
+  };
+};
+
+/**
+ * Distinct batches and manufacturers, for the facet dropdowns.
+ */
+export const facetOptions = (metadataList) => {
+  const distinct = (key) => [...new Set(metadataList.map(meta => meta[key]).filter(Boolean))].sort();
+  return { batches: distinct('batch'), manufacturers: distinct('manufacturer') };
+};
+
+/**
+ * One-line description of a PMT's metadata, e.g. for tooltips:
+ * "J23 · Hamamatsu · tested 2024-03-01 at 1000 V by AB".
+ */
+export const formatMetadataSummary = (metadata) => [
+  metadata.batch,
+  metadata.manufacturer,
+  metadata.test_date && `tested ${metadata.test_date}`,
+  metadata.hv_setting !== null && `at ${metadata.hv_setting} V`,
+  metadata.operator && `by ${metadata.operator}`,
+].filter(Boolean).join(' · ');
+
+export const hasActiveFacets = (facets) => Object.values(facets).some(value => value !== '');
+
+/**
+ * True when a resolved metadata record satisfies every active facet. A PMT
+ * without a test date or HV setting never matches a filter on that field.
+ */
+export const matchesFacets = (metadata, facets) => {
+  if (facets.batch && metadata.batch !== facets.batch) return false;
+  if (facets.manufacturer && metadata.manufacturer !== facets.manufacturer) return false;
+
+  // ISO dates compare correctly as strings
+  if ((facets.dateFrom || facets.dateTo) && !metadata.test_date) return false;
+  if (facets.dateFrom && metadata.test_date < facets.dateFrom) return false;
+  if (facets.dateTo && metadata.test_date > facets.dateTo) return false;
+
+  const hvMin = toVoltage(facets.hvMin);
+  const hvMax = toVoltage(facets.hvMax);
+  if ((hvMin !== null || hvMax !== null) && metadata.hv_setting === null) return false;
+  if (hvMin !== null && metadata.hv_setting < hvMin) return false;
+  if (hvMax !== null && metadata.hv_setting > hvMax) return false;
+
+  return true;
+};
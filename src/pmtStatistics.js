@@ -0,0 +1,57 @@
+import { integrateBand, interpolateAt } from './curveMath.js';
+
+// --- Per-PMT Summary Statistics ---
+
+/**
+ * Summarizes one PMT curve (rows sorted by wavelength) for a metric.
+ *
+ * `band` is the [lo, hi] wavelength window integrated over (null or infinite
+ * edges for the full curve) and `referenceWavelengths` the wavelengths the
+ * metric is read at.
+ * The peak is the point with the largest magnitude, so negative photocurrents
+ * report their strongest reading rather than the one closest to zero.
+ */
+export const computePmtStats = (points, metric, { band = null, referenceWavelengths = [] } = {}) => {
+  const values = points.filter(d => typeof d[metric] === 'number');
+  if (values.length === 0) {
+    return {
+      pointCount: points.length,
+      peakValue: null,
+      peakWavelength: null,
+      minWavelength: null,
+      maxWavelength: null,
+      bandIntegral: null,
+      bandCoverage: 0,
+      references: referenceWavelengths.map(() => null),
+    };
+  }
+
+  const peak = values.reduce((best, d) => (Math.abs(d[metric]) > Math.abs(best[metric]) ? d : best));
+  const minWavelength = values[0].wavelength;
+  const maxWavelength = values[values.length - 1].wavelength;
+
+  // Open band edges (null or ±Infinity) fall back to the curve's own range
+  const lo = band && Number.isFinite(band[0]) ? band[0] : minWavelength;
+  const hi = band && Number.isFinite(band[1]) ? band[1] : maxWavelength;
+  const covered = Math.max(0, Math.min(hi, maxWavelength) - Math.max(lo, minWavelength));
+
+  return {
+    pointCount: points.length,
+    peakValue: peak[metric],
+    peakWavelength: peak.wavelength,
+    minWavelength,
+    maxWavelength,
+    bandIntegral: integrateBand(values, metric, lo, hi),
+    // Fraction of the requested band the curve actually covers
+    bandCoverage: hi > lo ? covered / (hi - lo) : 0,
+    references: referenceWavelengths.map(wavelength => interpolateAt(values, wavelength, metric)),
+  };
+};
+
+/**
+ * Parses a list of reference wavelengths typed as "254, 313 365".
+ */
+export const parseWavelengthList = (text) => text
+  .split(/[\s,;]+/)
+  .map(Number)
+  .filter(value => Number.isFinite(value) && value > 0);
@@ -0,0 +1,112 @@
+import { buildCommonGrid, curveRange, interpolateAt } from './curveMath.js';
+
+// --- Population Statistics ---
+// Summarizes many PMT curves at once: every curve is resampled onto a common
+// wavelength grid, and at each grid point the curves covering it give a
+// center (mean or median) and a spread band. Curves far from the median are
+// flagged as outliers.
+
+export const CENTER_OPTIONS = [
+  { key: 'mean', label: 'Mean' },
+  { key: 'median', label: 'Median' },
+];
+
+// `sigma` bands are center ± k·σ; `percentile` bands span [lo, hi] percentiles
+export const BAND_OPTIONS = [
+  { key: 'sigma1', label: '±1σ', type: 'sigma', k: 1 },
+  { key: 'sigma2', label: '±2σ', type: 'sigma', k: 2 },
+  { key: 'p25-75', label: '25–75th pct.', type: 'percentile', lo: 25, hi: 75 },
+  { key: 'p10-90', label: '10–90th pct.', type: 'percentile', lo: 10, hi: 90 },
+];
+
+export const DEFAULT_POPULATION_SETTINGS = {
+  enabled: false,
+  center: 'mean',
+  band: 'sigma1',
+  threshold: 3, // Outlier threshold, in robust σ
+};
+
+// Grid points covered by fewer curves than this get no statistics
+const MIN_CURVES_PER_POINT = 3;
+
+// Scales the median absolute deviation to σ for normally distributed values
+const MAD_TO_SIGMA = 1.4826;
+
+/**
+ * Linearly interpolated percentile (0–100) of a sorted array.
+ */
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const index = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(index);
+  const hi = Math.ceil(index);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (index - lo);
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Population statistics of the curves (source_file -> sorted rows) for a metric.
+ *
+ * Returns:
+ *   bands     [{ wavelength, center, lower, upper, count }] on the common grid
+ *   outliers  [{ pmt, score }] sorted by score, for curves whose score
+ *             exceeds `threshold`
+ *   scores    source_file -> RMS deviation from the median in robust σ
+ *             (null if not comparable)
+ *
+ * Outliers are always scored against the median and the MAD-based robust σ,
+ * whatever center is drawn, so a few bad curves cannot mask themselves by
+ * inflating the standard deviation.
+ */
+export const computePopulation = (curves, metric, { center = 'mean', band = 'sigma1', threshold = 3 } = {}) => {
+  const pmts = Object.keys(curves).filter(pmt => curves[pmt].some(d => typeof d[metric] === 'number'));
+  const ranges = pmts.map(pmt => curveRange(curves[pmt]));
+  if (pmts.length === 0) return { bands: [], outliers: [], scores: {} };
+
+  const grid = buildCommonGrid(pmts.map(pmt => curves[pmt]), [
+    Math.min(...ranges.map(r => r[0])),
+    Math.max(...ranges.map(r => r[1])),
+  ]);
+  const bandOption = BAND_OPTIONS.find(option => option.key === band) || BAND_OPTIONS[0];
+
+  const bands = [];
+  const deviations = Object.fromEntries(pmts.map(pmt => [pmt, []]));
+
+  grid.forEach((wavelength) => {
+    const samples = pmts
+      .map(pmt => ({ pmt, value: interpolateAt(curves[pmt], wavelength, metric) }))
+      .filter(sample => sample.value !== null && Number.isFinite(sample.value));
+    if (samples.length < MIN_CURVES_PER_POINT) return;
+
+    const values = samples.map(sample => sample.value);
+    const sorted = [...values].sort((a, b) => a - b);
+    const median = percentile(sorted, 50);
+    const robustSigma = MAD_TO_SIGMA * percentile(values.map(v => Math.abs(v - median)).sort((a, b) => a - b), 50);
+
+    const mid = center === 'median' ? median : mean(values);
+    const spread = center === 'median'
+      ? robustSigma
+      : Math.sqrt(values.reduce((sum, v) => sum + (v - mid) ** 2, 0) / (values.length - 1));
+
+    const [lower, upper] = bandOption.type === 'sigma'
+      ? [mid - bandOption.k * spread, mid + bandOption.k * spread]
+      : [percentile(sorted, bandOption.lo), percentile(sorted, bandOption.hi)];
+    bands.push({ wavelength, center: mid, lower, upper, count: samples.length });
+
+    if (robustSigma > 0) samples.forEach(sample => deviations[sample.pmt].push((sample.value - median) / robustSigma));
+  });
+
+  const scores = {};
+  pmts.forEach((pmt) => {
+    const z = deviations[pmt];
+    scores[pmt] = z.length > 0 ? Math.sqrt(z.reduce((sum, v) => sum + v * v, 0) / z.length) : null;
+  });
+
+  const outliers = pmts
+    .filter(pmt => scores[pmt] !== null && scores[pmt] > threshold)
+    .map(pmt => ({ pmt, score: scores[pmt] }))
+    .sort((a, b) => b.score - a.score);
+
+  return { bands, outliers, scores };
+};
@@ -0,0 +1,71 @@
+import { buildCommonGrid, curveRange, interpolateAt } from './curveMath.js';
+
+// --- Reference PMT Comparison ---
+// Plots every selected PMT relative to one reference PMT. Curves rarely share
+// wavelengths, so all of them are resampled by linear interpolation onto a
+// common grid, and only the part each one shares with the reference is kept.
+
+export const COMPARISON_MODES = [
+  { key: 'off', label: 'Off' },
+  { key: 'ratio', label: 'Ratio' },
+  { key: 'difference', label: 'Difference' },
+];
+
+/**
+ * Compares each curve against the reference PMT's curve.
+ *
+ * `curves` maps source_file to wavelength-sorted rows. Returns:
+ *   rows            comparison rows { source_file, wavelength, [metric] }
+ *   ranges          source_file -> [lo, hi] covered by that curve
+ *   overlaps        source_file -> [lo, hi] shared with the reference, or null
+ *   referenceRange  [lo, hi] covered by the reference
+ *   uncovered       wavelength regions of the selection the reference does not cover
+ */
+export const compareToReference = (curves, referencePmt, metric, mode) => {
+  const reference = (curves[referencePmt] || []).filter(d => typeof d[metric] === 'number');
+  const referenceRange = curveRange(reference);
+  const pmts = Object.keys(curves);
+
+  const allRanges = pmts.map(pmt => curveRange(curves[pmt])).filter(Boolean);
+  const selectionRange = allRanges.length > 0
+    ? [Math.min(...allRanges.map(r => r[0])), Math.max(...allRanges.map(r => r[1]))]
+    : null;
+
+  if (!referenceRange || !selectionRange) {
+    return { rows: [], ranges: {}, overlaps: {}, referenceRange, uncovered: selectionRange ? [selectionRange] : [] };
+  }
+
+  const grid = buildCommonGrid(Object.values(curves), selectionRange);
+  const rows = [];
+  const ranges = {};
+  const overlaps = {};
+
+  pmts.forEach((pmt) => {
+    const range = curveRange(curves[pmt]);
+    ranges[pmt] = range;
+    const lo = range && Math.max(range[0], referenceRange[0]);
+    const hi = range && Math.min(range[1], referenceRange[1]);
+    overlaps[pmt] = range && hi >= lo ? [lo, hi] : null;
+    if (!overlaps[pmt]) return;
+
+    // Grid points inside the overlap, plus its exact edges so short overlaps still plot
+    const wavelengths = [lo, ...grid.filter(w => w > lo && w < hi), hi].filter((w, i, all) => i === 0 || w !== all[i - 1]);
+    wavelengths.forEach((wavelength) => {
+      const value = interpolateAt(curves[pmt], wavelength, metric);
+      const referenceValue = interpolateAt(reference, wavelength, metric);
+      if (value === null || referenceValue === null) return;
+      if (mode === 'ratio' && referenceValue === 0) return;
+      rows.push({
+        source_file: pmt,
+        wavelength,
+        [metric]: mode === 'ratio' ? value / referenceValue : value - referenceValue,
+      });
+    });
+  });
+
+  const uncovered = [];
+  if (selectionRange[0] < referenceRange[0]) uncovered.push([selectionRange[0], referenceRange[0]]);
+  if (selectionRange[1] > referenceRange[1]) uncovered.push([referenceRange[1], selectionRange[1]]);
+
+  return { rows, ranges, overlaps, referenceRange, uncovered };
+};
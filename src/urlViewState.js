@@ -0,0 +1,130 @@
+import { useEffect, useRef } from 'react';
+import { DEFAULT_AXIS_SETTINGS } from './axisScales.js';
+
+// --- Shareable View State ---
+// The plotted view lives in the URL hash, e.g.
+//
+//   #pmt=J23-1062.txt&pmt=A24-1080.txt&metric=current&panel=intensity&y=log&zoom=250,300
+//
+// so a copied link reopens the same plot, including the extra dashboard panels.
+// Axis and comparison settings are only written when they differ from the defaults.
+// Each view change adds a history entry, so back/forward step through views.
+
+// Changes closer together than this (wheel zoom, typing a range) share one history entry
+const HISTORY_COALESCE_MS = 800;
+
+const SCALES = ['linear', 'log'];
+const COMPARISON_MODES = ['ratio', 'difference'];
+
+const parseNumberPair = (text) => {
+  const values = (text || '').split(',').map(Number);
+  return values.length === 2 && values.every(Number.isFinite) && values[1] > values[0] ? values : null;
+};
+
+// Keeps zoom windows readable in the URL without visibly moving the view
+const roundForUrl = (value) => Number(value.toPrecision(6));
+
+/**
+ * Parses a location hash into a partial view: only the keys present (and
+ * valid) in the hash are returned, so callers can fall back to their defaults.
+ * `metricKeys` lists the accepted `selectedMetric` and `panelMetrics` values.
+ */
+export const parseViewHash = (hash, { metricKeys = [] } = {}) => {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const view = {};
+
+  if (params.has('pmt')) view.selectedPmts = params.getAll('pmt').filter(Boolean);
+
+  const metric = params.get('metric');
+  if (metric && metricKeys.includes(metric)) view.selectedMetric = metric;
+
+  view.panelMetrics = [...new Set(params.getAll('panel'))].filter(key => metricKeys.includes(key));
+
+  const xScale = params.get('x');
+  const yScale = params.get('y');
+  view.axisSettings = {
+    ...DEFAULT_AXIS_SETTINGS,
+    xScale: SCALES.includes(xScale) ? xScale : DEFAULT_AXIS_SETTINGS.xScale,
+    yScale: SCALES.includes(yScale) ? yScale : DEFAULT_AXIS_SETTINGS.yScale,
+    yMin: params.get('ymin') || '',
+    yMax: params.get('ymax') || '',
+    absolute: params.get('abs') === '1',
+  };
+
+  view.xDomain = parseNumberPair(params.get('zoom'));
+
+  const mode = params.get('cmp');
+  view.comparison = {
+    mode: COMPARISON_MODES.includes(mode) ? mode : 'off',
+    referencePmt: params.get('ref') || null,
+  };
+
+  return view;
+};
+
+/**
+ * Inverse of parseViewHash. Returns the hash string including the leading "#",
+ * or "" when everything is at its default.
+ */
+export const formatViewHash = ({ selectedPmts, selectedMetric, panelMetrics = [], axisSettings, xDomain, comparison }) => {
+  const params = new URLSearchParams();
+
+  selectedPmts.forEach(pmt => params.append('pmt', pmt));
+  if (selectedMetric) params.set('metric', selectedMetric);
+  panelMetrics.forEach(key => params.append('panel', key));
+  if (axisSettings.xScale !== DEFAULT_AXIS_SETTINGS.xScale) params.set('x', axisSettings.xScale);
+  if (axisSettings.yScale !== DEFAULT_AXIS_SETTINGS.yScale) params.set('y', axisSettings.yScale);
+  if (axisSettings.yMin) params.set('ymin', axisSettings.yMin);
+  if (axisSettings.yMax) params.set('ymax', axisSettings.yMax);
+  if (axisSettings.absolute) params.set('abs', '1');
+  if (xDomain) params.set('zoom', xDomain.map(roundForUrl).join(','));
+  if (comparison && comparison.mode !== 'off') {
+    params.set('cmp', comparison.mode);
+    if (comparison.referencePmt) params.set('ref', comparison.referencePmt);
+  }
+
+  const query = params.toString();
+  return query ? `#${query}` : '';
+};
+
+/**
+ * Keeps the URL hash in sync with `view` and calls `onNavigate(hash)` when the
+ * user moves through history (back/forward or an edited URL). Nothing is
+ * written while `enabled` is false, e.g. before the data has loaded and the
+ * selection from the URL could still be applied.
+ */
+export const useUrlViewState = (view, onNavigate, enabled = true) => {
+  const hasSyncedRef = useRef(false);
+  const lastChangeRef = useRef(0);
+  const onNavigateRef = useRef(onNavigate);
+  onNavigateRef.current = onNavigate;
+
+  const hash = formatViewHash(view);
+
+  useEffect(() => {
+    if (!enabled) return;
+    // The first sync only normalizes the URL the page was opened with
+    const isFirstSync = !hasSyncedRef.current;
+    hasSyncedRef.current = true;
+    if (hash === window.location.hash) return;
+
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    const now = Date.now();
+    if (isFirstSync || now - lastChangeRef.current < HISTORY_COALESCE_MS) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+    lastChangeRef.current = now;
+  }, [hash, enabled]);
+
+  useEffect(() => {
+    const handleNavigate = () => onNavigateRef.current(window.location.hash);
+    window.addEventListener('popstate', handleNavigate);
+    window.addEventListener('hashchange', handleNavigate);
+    return () => {
+      window.removeEventListener('popstate', handleNavigate);
+      window.removeEventListener('hashchange', handleNavigate);
+    };
+  }, []);
+};
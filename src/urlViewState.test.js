@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_AXIS_SETTINGS } from './axisScales.js';
+import { formatViewHash, parseViewHash } from './urlViewState.js';
+
+const metricKeys = ['light_response', 'current', 'intensity'];
+
+describe('view hash', () => {
+  it('round-trips a full view', () => {
+    const view = {
+      selectedPmts: ['J23-1062.txt', 'A24-1080.txt'],
+      selectedMetric: 'current',
+      panelMetrics: ['intensity'],
+      axisSettings: { ...DEFAULT_AXIS_SETTINGS, yScale: 'log', yMin: '1e-12', absolute: true },
+      xDomain: [250, 300],
+      comparison: { mode: 'ratio', referencePmt: 'A24-1080.txt' },
+    };
+    expect(parseViewHash(formatViewHash(view), { metricKeys })).toEqual(view);
+  });
+
+  it('leaves defaults out of the hash', () => {
+    expect(formatViewHash({
+      selectedPmts: [], selectedMetric: null, axisSettings: DEFAULT_AXIS_SETTINGS, xDomain: null, comparison: { mode: 'off' },
+    })).toBe('');
+  });
+
+  it('drops unknown metrics and invalid zoom windows', () => {
+    const view = parseViewHash('#metric=bogus&panel=current&panel=bogus&zoom=300,250&x=cubic', { metricKeys });
+    expect(view.selectedMetric).toBeUndefined();
+    expect(view.panelMetrics).toEqual(['current']);
+    expect(view.xDomain).toBeNull();
+    expect(view.axisSettings.xScale).toBe('linear');
+  });
+});